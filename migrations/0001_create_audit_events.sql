@@ -0,0 +1,22 @@
+-- Audit trail of employee lookups (AUDIT_DB binding): one row per employee record a request
+-- returned, or one row for a lookup that returned none.
+-- Apply with: wrangler d1 migrations apply ukg-employee-lookup-audit (--local for wrangler dev)
+CREATE TABLE audit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  occurred_at TEXT NOT NULL,          -- ISO 8601 timestamp (UTC)
+  request_id TEXT,                    -- X-Request-ID of the request
+  client TEXT NOT NULL,               -- API key client name, or "service-binding" for RPC calls
+  operation TEXT NOT NULL,            -- lookup, batch, employee, search, managers or scim
+  tenant TEXT,                        -- UKG tenant (when UKG_TENANTS is set)
+  lookup_key TEXT,                    -- what was looked up; HMAC-SHA256 hex when AUDIT_HASH_KEY is set
+  employee TEXT,                      -- <CompanyCode>:<EmployeeNumber> of the returned record
+  outcome TEXT NOT NULL,              -- FOUND, NO_RESULTS or the error code
+  http_status INTEGER NOT NULL,
+  debug INTEGER NOT NULL DEFAULT 0,   -- 1 when debug=true was used
+  fields TEXT NOT NULL DEFAULT '[]'   -- JSON array of the returned field names
+);
+
+CREATE INDEX audit_events_occurred_at ON audit_events (occurred_at);
+CREATE INDEX audit_events_client ON audit_events (client, id);
+CREATE INDEX audit_events_lookup_key ON audit_events (lookup_key);
+CREATE INDEX audit_events_employee ON audit_events (employee);
@@ -0,0 +1,36 @@
+-- Employee directory written by the scheduled sync (DIRECTORY_DB binding). Rows are keyed by
+-- tenant ('' without UKG_TENANTS) and employee key (<COMPANYCODE>:<EmployeeNumber>).
+-- Apply with: wrangler d1 migrations apply <database> (--local for wrangler dev)
+CREATE TABLE directory_employment (
+  tenant TEXT NOT NULL,
+  employee_key TEXT NOT NULL,
+  details TEXT NOT NULL,              -- JSON employment information from FindEmploymentInformations
+  employment_status TEXT,             -- UKG status code, compared between runs for webhook events
+  hire_date TEXT,
+  termination_date TEXT,
+  previous_state TEXT,                -- JSON { status, hireDate, terminationDate } before the last status change
+  changed_at TEXT,                    -- start of the run that last changed employment_status
+  updated_at TEXT NOT NULL,           -- start of the run that last rewrote details
+  seen_at TEXT NOT NULL,              -- start of the last run that read the record
+  PRIMARY KEY (tenant, employee_key)
+);
+
+CREATE TABLE directory_sso_users (
+  tenant TEXT NOT NULL,
+  employee_key TEXT NOT NULL,
+  email TEXT,                         -- lower-cased client user name
+  sso_user TEXT NOT NULL,             -- JSON SSO user from FindSsoUsers
+  updated_at TEXT NOT NULL,
+  seen_at TEXT NOT NULL,
+  PRIMARY KEY (tenant, employee_key)
+);
+
+CREATE INDEX directory_sso_users_email ON directory_sso_users (tenant, email);
+CREATE INDEX directory_employment_changed_at ON directory_employment (tenant, changed_at);
+
+-- Sync status per tenant: JSON { watermark, lastSync, currentRun }; currentRun is the cursor
+-- of a run that continues in the next cron invocation
+CREATE TABLE directory_sync (
+  tenant TEXT PRIMARY KEY,
+  state TEXT NOT NULL
+);
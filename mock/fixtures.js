@@ -0,0 +1,99 @@
+/**
+ * Sanitized UKG fixtures for the local SOAP stand-in (mock/ukg-mock.js).
+ * Names, emails and numbers are made up; the shapes follow real UKG responses.
+ */
+
+// Employment information keyed by "CompanyCode/EmployeeNumber"; "supervisor" is the
+// "CompanyCode/EmployeeNumber" that EmployeeJob reports as the employee's supervisor.
+// EmployeePerson and EmployeeContact answer from the names, preferredName and workPhone
+export const EMPLOYEES = {
+  'BPML/100001': {
+    firstName: 'Avery', lastName: 'Active', employmentStatus: 'A',
+    hireDate: '2019-04-01T00:00:00', terminationDate: null, jobTitle: 'Software Developer',
+    supervisor: 'BPML/100007',
+    // Enrichment (include=person,job,contact)
+    preferredName: 'Ave', jobCode: 'DEV2', department: 'Engineering', fullOrPartTime: 'F', workPhone: '+1 555 0101'
+  },
+  'BPML/100002': {
+    firstName: 'Terry', lastName: 'Terminated', employmentStatus: 'T',
+    hireDate: '2015-02-16T00:00:00', terminationDate: '2022-08-31T00:00:00', jobTitle: 'Analyst',
+    lastWorkDate: '2022-08-26T00:00:00', terminationReason: 'Resignation', supervisor: 'BPML/100007'
+  },
+  // multi@example.com: terminated in BPML, active in BPCA
+  'BPML/100003': {
+    firstName: 'Morgan', lastName: 'Multi', employmentStatus: 'T',
+    hireDate: '2016-01-04T00:00:00', terminationDate: '2020-12-31T00:00:00', jobTitle: 'Coordinator'
+  },
+  'BPCA/200003': {
+    firstName: 'Morgan', lastName: 'Multi', employmentStatus: 'A',
+    hireDate: '2021-01-04T00:00:00', terminationDate: null, jobTitle: 'Team Lead'
+  },
+  // multi-active@example.com: active in both companies, BPUS flagged as primary
+  'BPML/100004': {
+    firstName: 'Casey', lastName: 'Concurrent', employmentStatus: 'A',
+    hireDate: '2023-06-12T00:00:00', terminationDate: null, jobTitle: 'Consultant'
+  },
+  'BPUS/300004': {
+    firstName: 'Casey', lastName: 'Concurrent', employmentStatus: 'A',
+    hireDate: '2018-09-10T00:00:00', terminationDate: null, jobTitle: 'Manager', primaryCompany: 'true'
+  },
+  // Leave of absence
+  'BPML/100005': {
+    firstName: 'Lee', lastName: 'Leave', employmentStatus: 'L',
+    hireDate: '2017-03-20T00:00:00', terminationDate: null, jobTitle: 'Designer',
+    leaveReason: 'Parental leave', leaveStartDate: '2026-09-01T00:00:00', leaveEndDate: '2027-03-01T00:00:00',
+    supervisor: 'BPML/100007'
+  },
+  // Pending hire: in UKG before the start date; the supervisor is not in UKG
+  'BPML/100006': {
+    firstName: 'Pat', lastName: 'Pending', employmentStatus: 'P',
+    hireDate: '2026-12-01T00:00:00', terminationDate: null, jobTitle: 'Intern',
+    supervisor: 'BPML/199999'
+  },
+  // Reporting chain: Avery, Terry and Lee report to Dana, who reports to Cameron (top of the chain)
+  'BPML/100007': {
+    firstName: 'Dana', lastName: 'Director', employmentStatus: 'A',
+    hireDate: '2012-05-07T00:00:00', terminationDate: null, jobTitle: 'Director of Engineering',
+    supervisor: 'BPUS/300008'
+  },
+  'BPUS/300008': {
+    firstName: 'Cameron', lastName: 'Chief', employmentStatus: 'A',
+    hireDate: '2010-01-11T00:00:00', terminationDate: null, jobTitle: 'Chief Executive Officer'
+  },
+  // Broken org data: two employees who are each other's supervisor
+  'BPML/100009': {
+    firstName: 'Quinn', lastName: 'Cycle', employmentStatus: 'A',
+    hireDate: '2020-02-03T00:00:00', terminationDate: null, jobTitle: 'Team Lead',
+    supervisor: 'BPML/100010'
+  },
+  'BPML/100010': {
+    firstName: 'Riley', lastName: 'Cycle', employmentStatus: 'A',
+    hireDate: '2020-02-03T00:00:00', terminationDate: null, jobTitle: 'Team Lead',
+    supervisor: 'BPML/100009'
+  }
+};
+
+// SSO users keyed by client user name (email); each entry lists the employee records it maps to
+export const SSO_USERS = {
+  'active@example.com': ['BPML/100001'],
+  'terminated@example.com': ['BPML/100002'],
+  'multi@example.com': ['BPML/100003', 'BPCA/200003'],
+  'multi-active@example.com': ['BPUS/300004', 'BPML/100004'],
+  'leave@example.com': ['BPML/100005'],
+  'pending@example.com': ['BPML/100006'],
+  'director@example.com': ['BPML/100007'],
+  'chief@example.com': ['BPUS/300008'],
+  'cycle@example.com': ['BPML/100009'],
+  'cycle-peer@example.com': ['BPML/100010']
+};
+
+// Emails that make EmployeeSsoUser misbehave instead of answering from SSO_USERS
+export const SSO_FAILURES = {
+  'fault@example.com': 'fault', // SOAP 1.2 receiver fault (HTTP 500)
+  'denied@example.com': 'denied', // OperationMessages permission error (Success=false)
+  'malformed@example.com': 'malformed', // Truncated XML body
+  'unavailable@example.com': 'unavailable' // HTTP 503 with no SOAP body
+};
+
+// LoginService accepts any credentials except this password, which gets an auth fault
+export const REJECTED_PASSWORD = 'wrong-password';
@@ -0,0 +1,341 @@
+/**
+ * Local UKG SOAP stand-in
+ *
+ * A small worker that answers the UKG services the lookup worker calls
+ * (LoginService, EmployeeSsoUser, EmployeeEmploymentInformation, EmployeeJob, EmployeePerson,
+ * EmployeeContact) from the
+ * sanitized fixtures in mock/fixtures.js, so the lookup worker can be run
+ * without a live UKG tenant.
+ *
+ * Run it with:   wrangler dev -c mock/wrangler.toml
+ * and point the lookup worker at it with UKG_BASE_URL=http://localhost:8788
+ *
+ * Fixture cases: active, terminated, multi-record, leave of absence, pending hire, SOAP fault,
+ * permission error, malformed XML, 503 outage, rejected login and a reporting chain with a
+ * supervisor cycle (see fixtures.js).
+ * FindSsoUsers and FindEmploymentInformations page through the fixtures for the
+ * scheduled directory sync and the search endpoint, filtered by the CompanyCode,
+ * FirstName and LastName query fields (case-insensitive, exact match).
+ */
+
+import { EMPLOYEES, SSO_USERS, SSO_FAILURES, REJECTED_PASSWORD } from './fixtures.js';
+
+const TOKEN_PREFIX = 'mock-token-';
+const CONTRACTS_NAMESPACE = 'http://www.ultipro.com/contracts';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+export default {
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (request.method !== 'POST') {
+      return new Response('UKG mock: SOAP services only accept POST', { status: 405 });
+    }
+
+    const requestXml = await request.text();
+
+    switch (url.pathname) {
+      case '/services/LoginService':
+        return handleLogin(requestXml);
+      case '/services/EmployeeSsoUser':
+        return withValidToken(requestXml, () => handleSsoUser(requestXml));
+      case '/services/EmployeeEmploymentInformation':
+        return withValidToken(requestXml, () => handleEmploymentInformation(requestXml));
+      case '/services/EmployeeJob':
+        return withValidToken(requestXml, () => handleJob(requestXml));
+      case '/services/EmployeePerson':
+        return withValidToken(requestXml, () => handlePerson(requestXml));
+      case '/services/EmployeeContact':
+        return withValidToken(requestXml, () => handleContact(requestXml));
+      default:
+        return new Response(`UKG mock: no service at ${url.pathname}`, { status: 404 });
+    }
+  }
+};
+
+/**
+ * LoginService Authenticate: any credentials except REJECTED_PASSWORD get a token
+ */
+function handleLogin(requestXml) {
+  if (readElement(requestXml, 'Password') === REJECTED_PASSWORD) {
+    return soapFault('s:Sender', 'Invalid user name or password');
+  }
+
+  return soapResponse(`<TokenResponse xmlns="${CONTRACTS_NAMESPACE}" xmlns:i="${XSI_NAMESPACE}">
+      <Status>Ok</Status>
+      <StatusMessage i:nil="true"/>
+      <Token>${TOKEN_PREFIX}${crypto.randomUUID()}</Token>
+    </TokenResponse>`);
+}
+
+/**
+ * Data services require a token issued by handleLogin
+ */
+function withValidToken(requestXml, handler) {
+  const token = readElement(requestXml, 'UltiProToken') || '';
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return soapFault('s:Sender', 'The security token is invalid or expired');
+  }
+  return handler();
+}
+
+/**
+ * EmployeeSsoUser: GetSsoUserByClientUserName, GetSsoUserByEmployeeIdentifier and FindSsoUsers
+ */
+function handleSsoUser(requestXml) {
+  if (requestXml.includes('FindSsoUsers')) {
+    const users = Object.entries(SSO_USERS)
+      .flatMap(([email, recordKeys]) => recordKeys
+        .filter(recordKey => matchesFindQuery(recordKey, requestXml))
+        .map(recordKey => ssoUserXml(email, recordKey)));
+    return pagedOperationResponse('employeessouser', 'FindSsoUsers', users, requestXml);
+  }
+
+  if (requestXml.includes('GetSsoUserByEmployeeIdentifier')) {
+    const recordKey = `${readElement(requestXml, 'CompanyCode')}/${readElement(requestXml, 'EmployeeNumber')}`;
+    const email = Object.keys(SSO_USERS).find(candidate => SSO_USERS[candidate].includes(recordKey));
+    const users = email ? [ssoUserXml(email, recordKey)] : [];
+    return operationResponse('employeessouser', 'GetSsoUserByEmployeeIdentifier', users);
+  }
+
+  const email = (readElement(requestXml, 'clientUserName') || '').toLowerCase();
+
+  switch (SSO_FAILURES[email]) {
+    case 'fault':
+      return soapFault('s:Receiver', 'An internal error occurred in EmployeeSsoUser');
+    case 'denied':
+      return operationResponse('employeessouser', 'GetSsoUserByClientUserName', [], {
+        success: false,
+        messages: [{ code: 'Permission', message: 'Access is denied for this web service' }]
+      });
+    case 'malformed':
+      return new Response('<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"><s:Body><GetSsoUserByClient', {
+        status: 200,
+        headers: { 'Content-Type': 'application/soap+xml; charset=utf-8' },
+      });
+    case 'unavailable':
+      return new Response('Service Unavailable', { status: 503 });
+  }
+
+  const recordKeys = SSO_USERS[email] || [];
+  return operationResponse('employeessouser', 'GetSsoUserByClientUserName',
+    recordKeys.map(recordKey => ssoUserXml(email, recordKey)));
+}
+
+/**
+ * EmployeeEmploymentInformation: GetEmploymentInformationByEmployeeIdentifier and FindEmploymentInformations
+ */
+function handleEmploymentInformation(requestXml) {
+  if (requestXml.includes('FindEmploymentInformations')) {
+    const results = Object.keys(EMPLOYEES)
+      .filter(recordKey => matchesFindQuery(recordKey, requestXml))
+      .map(recordKey => employmentInformationXml(recordKey));
+    return pagedOperationResponse('employeeemploymentinformation', 'FindEmploymentInformations', results, requestXml);
+  }
+
+  const recordKey = `${readElement(requestXml, 'CompanyCode')}/${readElement(requestXml, 'EmployeeNumber')}`;
+  const results = EMPLOYEES[recordKey] ? [employmentInformationXml(recordKey)] : [];
+
+  return operationResponse('employeeemploymentinformation', 'GetEmploymentInformationByEmployeeIdentifier', results);
+}
+
+/**
+ * One EmploymentInformation result element
+ */
+function employmentInformationXml(recordKey) {
+  const [companyCode, employeeNumber] = recordKey.split('/');
+  const employee = EMPLOYEES[recordKey];
+  return `<b:EmploymentInformation>
+          <b:CompanyCode>${escapeXml(companyCode)}</b:CompanyCode>
+          <b:EmployeeNumber>${escapeXml(employeeNumber)}</b:EmployeeNumber>
+          <b:EmploymentStatus>${employee.employmentStatus}</b:EmploymentStatus>
+          <b:HireDate>${employee.hireDate}</b:HireDate>
+          <b:JobTitle>${escapeXml(employee.jobTitle)}</b:JobTitle>
+          ${employee.primaryCompany ? `<b:PrimaryCompany>${employee.primaryCompany}</b:PrimaryCompany>` : ''}
+          ${employee.terminationDate ? `<b:TerminationDate>${employee.terminationDate}</b:TerminationDate>` : '<b:TerminationDate i:nil="true"/>'}
+          ${employee.terminationReason ? `<b:TerminationReason>${escapeXml(employee.terminationReason)}</b:TerminationReason>` : ''}
+          ${employee.lastWorkDate ? `<b:LastWorkDate>${employee.lastWorkDate}</b:LastWorkDate>` : ''}
+          ${employee.leaveReason ? `<b:LeaveReason>${escapeXml(employee.leaveReason)}</b:LeaveReason>` : ''}
+          ${employee.leaveStartDate ? `<b:LeaveStartDate>${employee.leaveStartDate}</b:LeaveStartDate>` : ''}
+          ${employee.leaveEndDate ? `<b:LeaveEndDate>${employee.leaveEndDate}</b:LeaveEndDate>` : ''}
+        </b:EmploymentInformation>`;
+}
+
+/**
+ * EmployeeJob: GetJobByEmployeeIdentifier, with the supervisor from the fixture
+ */
+function handleJob(requestXml) {
+  const recordKey = `${readElement(requestXml, 'CompanyCode')}/${readElement(requestXml, 'EmployeeNumber')}`;
+  const employee = EMPLOYEES[recordKey];
+  if (!employee) {
+    return operationResponse('employeejob', 'GetJobByEmployeeIdentifier', []);
+  }
+
+  const [supervisorCompanyCode, supervisorEmployeeNumber] = employee.supervisor ? employee.supervisor.split('/') : [];
+  return operationResponse('employeejob', 'GetJobByEmployeeIdentifier', [`<b:EmployeeJob>
+          <b:JobTitle>${escapeXml(employee.jobTitle)}</b:JobTitle>
+          ${employee.jobCode ? `<b:JobCode>${escapeXml(employee.jobCode)}</b:JobCode>` : ''}
+          ${employee.department ? `<b:OrgLevel1>${escapeXml(employee.department)}</b:OrgLevel1>` : ''}
+          ${employee.fullOrPartTime ? `<b:FullTimeOrPartTime>${employee.fullOrPartTime}</b:FullTimeOrPartTime>` : ''}
+          ${employee.supervisor ? `<b:SupervisorCompanyCode>${escapeXml(supervisorCompanyCode)}</b:SupervisorCompanyCode>` : ''}
+          ${employee.supervisor ? `<b:SupervisorEmployeeNumber>${escapeXml(supervisorEmployeeNumber)}</b:SupervisorEmployeeNumber>` : '<b:SupervisorEmployeeNumber i:nil="true"/>'}
+        </b:EmployeeJob>`]);
+}
+
+/**
+ * EmployeePerson: GetPersonByEmployeeIdentifier, with the names from the fixture
+ */
+function handlePerson(requestXml) {
+  const recordKey = `${readElement(requestXml, 'CompanyCode')}/${readElement(requestXml, 'EmployeeNumber')}`;
+  const employee = EMPLOYEES[recordKey];
+  const people = employee ? [`<b:Person>
+          <b:FirstName>${escapeXml(employee.firstName)}</b:FirstName>
+          <b:LastName>${escapeXml(employee.lastName)}</b:LastName>
+          ${employee.preferredName ? `<b:PreferredName>${escapeXml(employee.preferredName)}</b:PreferredName>` : ''}
+        </b:Person>`] : [];
+  return operationResponse('employeeperson', 'GetPersonByEmployeeIdentifier', people);
+}
+
+/**
+ * EmployeeContact: GetContactsByEmployeeIdentifier; only employees with a workPhone have contacts
+ */
+function handleContact(requestXml) {
+  const recordKey = `${readElement(requestXml, 'CompanyCode')}/${readElement(requestXml, 'EmployeeNumber')}`;
+  const employee = EMPLOYEES[recordKey];
+  const email = Object.keys(SSO_USERS).find(candidate => SSO_USERS[candidate].includes(recordKey));
+  const contacts = employee && employee.workPhone ? [`<b:Contact>
+          <b:WorkPhone>${escapeXml(employee.workPhone)}</b:WorkPhone>
+          ${email ? `<b:WorkEmail>${escapeXml(email)}</b:WorkEmail>` : ''}
+        </b:Contact>`] : [];
+  return operationResponse('employeecontact', 'GetContactsByEmployeeIdentifier', contacts);
+}
+
+/**
+ * Answer a Find* operation with the page of results asked for by PageNumber / PageSize
+ */
+function pagedOperationResponse(serviceNamespace, operation, allResults, requestXml) {
+  const pageSize = parseInt(readElement(requestXml, 'PageSize'), 10) || 100;
+  const pageNumber = parseInt(readElement(requestXml, 'PageNumber'), 10) || 1;
+  const results = allResults.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  return operationResponse(serviceNamespace, operation, results, {
+    paging: {
+      currentPage: pageNumber,
+      pageSize: pageSize,
+      pageTotal: Math.max(1, Math.ceil(allResults.length / pageSize)),
+      totalItems: allResults.length
+    }
+  });
+}
+
+/**
+ * Whether a fixture record matches the query fields of a Find* request
+ */
+function matchesFindQuery(recordKey, requestXml) {
+  const [companyCode] = recordKey.split('/');
+  const employee = EMPLOYEES[recordKey] || {};
+  const values = { CompanyCode: companyCode, FirstName: employee.firstName, LastName: employee.lastName };
+  return Object.entries(values).every(([fieldName, value]) => {
+    const wanted = readElement(requestXml, fieldName);
+    return !wanted || String(value || '').toLowerCase() === wanted.toLowerCase();
+  });
+}
+
+/**
+ * One SsoUser result element
+ */
+function ssoUserXml(email, recordKey) {
+  const [companyCode, employeeNumber] = recordKey.split('/');
+  return `<b:SsoUser>
+          <b:ClientUserName>${escapeXml(email)}</b:ClientUserName>
+          <b:EmployeeIdentifier i:type="b:EmployeeNumberIdentifier">
+            <b:CompanyCode>${companyCode}</b:CompanyCode>
+            <b:EmployeeNumber>${employeeNumber}</b:EmployeeNumber>
+          </b:EmployeeIdentifier>
+          <b:Status>1</b:Status>
+          <b:UltiProUserName>${escapeXml(email)}</b:UltiProUserName>
+        </b:SsoUser>`;
+}
+
+/**
+ * Wrap results in the OperationResult shape every UKG data service returns
+ */
+function operationResponse(serviceNamespace, operation, results, { success = true, messages = [], paging = null } = {}) {
+  const operationMessages = messages.map(message => `<b:OperationMessage>
+          <b:Code>${escapeXml(message.code)}</b:Code>
+          <b:Message>${escapeXml(message.message)}</b:Message>
+          <b:PropertyName i:nil="true"/>
+          <b:Severity>Error</b:Severity>
+        </b:OperationMessage>`).join('');
+
+  const pagingInfo = paging ? `<b:PagingInfo>
+          <b:CurrentPage>${paging.currentPage}</b:CurrentPage>
+          <b:PageSize>${paging.pageSize}</b:PageSize>
+          <b:PageTotal>${paging.pageTotal}</b:PageTotal>
+          <b:TotalItems>${paging.totalItems}</b:TotalItems>
+        </b:PagingInfo>` : '';
+
+  return soapResponse(`<${operation}Response xmlns="http://www.ultipro.com/services/${serviceNamespace}">
+      <${operation}Result xmlns:b="${CONTRACTS_NAMESPACE}" xmlns:i="${XSI_NAMESPACE}">
+        <b:OperationMessages>${operationMessages}</b:OperationMessages>
+        ${pagingInfo}
+        <b:Results>${results.join('')}</b:Results>
+        <b:Success>${success}</b:Success>
+      </${operation}Result>
+    </${operation}Response>`);
+}
+
+/**
+ * SOAP 1.2 envelope with a 200 status
+ */
+function soapResponse(bodyXml) {
+  return new Response(`<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body>
+    ${bodyXml}
+  </s:Body>
+</s:Envelope>`, {
+    status: 200,
+    headers: { 'Content-Type': 'application/soap+xml; charset=utf-8' },
+  });
+}
+
+/**
+ * SOAP 1.2 fault with a 500 status, like UKG sends for rejected tokens and internal errors
+ */
+function soapFault(faultCode, reason) {
+  return new Response(`<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body>
+    <s:Fault>
+      <s:Code><s:Value>${faultCode}</s:Value></s:Code>
+      <s:Reason><s:Text xml:lang="en-US">${escapeXml(reason)}</s:Text></s:Reason>
+    </s:Fault>
+  </s:Body>
+</s:Envelope>`, {
+    status: 500,
+    headers: { 'Content-Type': 'application/soap+xml; charset=utf-8' },
+  });
+}
+
+/**
+ * Read the text of the first element with this local name (any namespace prefix)
+ */
+function readElement(xmlText, localName) {
+  const match = xmlText.match(new RegExp(`<(?:[\\w.-]+:)?${localName}\\b[^>]*>([^<]*)<`, 'i'));
+  return match ? match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Escape a value for XML text content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
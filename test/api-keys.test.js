@@ -0,0 +1,90 @@
+/**
+ * Named API keys: every route checks the scope it needs, and expired keys are turned down
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([
+  { client: 'ticketing', key: 'lookup-key', scopes: ['lookup'] },
+  { client: 'onboarding-sync', key: 'batch-key', scopes: ['batch'] },
+  { client: 'admin-console', key: 'admin-key', scopes: ['admin'] },
+  { client: 'retired-app', key: 'expired-key', scopes: ['lookup', 'batch', 'admin'], expiresAt: '2020-01-01T00:00:00Z' },
+  { client: 'contractor-portal', key: 'future-key', scopes: ['lookup'], expiresAt: '2099-01-01T00:00:00Z' }
+]);
+
+async function call(path, apiKey, { method = 'GET', body = null, headers = {} } = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    method: method,
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json', ...headers },
+    body: body === null ? null : JSON.stringify(body)
+  }), { ...env, API_KEYS }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+describe('scopes', () => {
+  it.each([
+    ['an email lookup', '/v1/employees/lookup?email=active@example.com', 'batch-key', 'lookup'],
+    ['a number lookup', '/v1/employees/BPML/100001', 'admin-key', 'lookup'],
+    ['a manager chain', '/v1/employees/BPML/100001/managers', 'batch-key', 'lookup'],
+    ['a search', '/v1/employees/search?lastName=Active', 'lookup-key', 'search'],
+    ['the directory status', '/v1/directory/status', 'lookup-key', 'admin'],
+    ['the audit events', '/v1/audit/events', 'lookup-key', 'admin'],
+    ['the dead letters', '/v1/webhooks/dead-letters', 'batch-key', 'admin']
+  ])('turns %s down with 403 INSUFFICIENT_SCOPE without the scope', async (_, path, apiKey, scope) => {
+    const { status, body } = await call(path, apiKey);
+    expect(status).toBe(403);
+    expect(body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: scope });
+  });
+
+  it('needs the batch scope for batch lookups', async () => {
+    const denied = await call('/v1/employees/batch', 'lookup-key', { method: 'POST', body: { emails: ['active@example.com'] } });
+    expect(denied.status).toBe(403);
+    expect(denied.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'batch' });
+
+    const allowed = await call('/v1/employees/batch', 'batch-key', { method: 'POST', body: { emails: ['active@example.com'] } });
+    expect(allowed.status).toBe(200);
+  });
+
+  it('needs the admin scope to invalidate the UKG token', async () => {
+    expect((await call('/v1/token/invalidate', 'lookup-key', { method: 'POST' })).body.code).toBe('INSUFFICIENT_SCOPE');
+    expect((await call('/v1/token/invalidate', 'admin-key', { method: 'POST' })).status).toBe(200);
+  });
+
+  it('answers a request within the key\'s scopes', async () => {
+    const { status, body } = await call('/v1/employees/lookup?email=active@example.com', 'lookup-key');
+    expect(status).toBe(200);
+    expect(body.employeeNumber).toBe('100001');
+  });
+
+  it('reports a missing scim scope as a SCIM error', async () => {
+    const { status, body } = await call('/scim/v2/Users', 'lookup-key');
+    expect(status).toBe(403);
+    expect(body).toMatchObject({ schemas: ['urn:ietf:params:scim:api:messages:2.0:Error'], status: '403' });
+  });
+});
+
+describe('key validity', () => {
+  it('turns an expired key down with 401 API_KEY_EXPIRED', async () => {
+    const { status, body } = await call('/v1/employees/lookup?email=active@example.com', 'expired-key');
+    expect(status).toBe(401);
+    expect(body.code).toBe('API_KEY_EXPIRED');
+  });
+
+  it('accepts a key before its expiresAt', async () => {
+    expect((await call('/v1/employees/lookup?email=active@example.com', 'future-key')).status).toBe(200);
+  });
+
+  it('turns an unknown or missing key down with 401 INVALID_API_KEY', async () => {
+    expect((await call('/v1/employees/BPML/100001', 'not-a-key')).body.code).toBe('INVALID_API_KEY');
+    expect((await call('/v1/employees/BPML/100001', '')).status).toBe(401);
+  });
+
+  it('accepts the key as a bearer token', async () => {
+    const { status } = await call('/v1/employees/BPML/100001', '', { headers: { Authorization: 'Bearer lookup-key' } });
+    expect(status).toBe(200);
+  });
+});
@@ -0,0 +1,5 @@
+import { env, applyD1Migrations } from 'cloudflare:test';
+
+// Setup file (see vitest.config.js): create the tables of migrations/ in the test databases
+await applyD1Migrations(env.DIRECTORY_DB, env.TEST_MIGRATIONS);
+await applyD1Migrations(env.AUDIT_DB, env.TEST_MIGRATIONS);
@@ -0,0 +1,96 @@
+/**
+ * Audit trail: every request to a route that returns employee data writes events, whether
+ * the handler answered it or it was turned down or failed first
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([
+  { client: 'ticketing', key: 'ticketing-key', scopes: ['lookup'] },
+  { client: 'admin-console', key: 'admin-key', scopes: ['admin'] }
+]);
+
+async function call(path, { apiKey = 'ticketing-key', overrides = {}, ...options } = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    ...options,
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' }
+  }), { ...env, API_KEYS, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function auditEvents() {
+  const { results } = await env.AUDIT_DB.prepare(`SELECT client, operation, lookup_key, employee, outcome, http_status
+    FROM audit_events ORDER BY id`).all();
+  return results;
+}
+
+describe('audit trail', () => {
+  it('records one event per returned record', async () => {
+    expect((await call('/v1/employees/lookup?email=active@example.com')).status).toBe(200);
+    expect(await auditEvents()).toEqual([{
+      client: 'ticketing',
+      operation: 'lookup',
+      lookup_key: 'active@example.com',
+      employee: 'BPML:100001',
+      outcome: 'FOUND',
+      http_status: 200
+    }]);
+  });
+
+  it('records a lookup that found nobody with its error code', async () => {
+    expect((await call('/v1/employees/BPML/555555')).status).toBe(404);
+    expect(await auditEvents()).toEqual([
+      expect.objectContaining({ operation: 'employee', lookup_key: 'BPML:555555', employee: null, outcome: 'EMPLOYEE_NOT_FOUND', http_status: 404 })
+    ]);
+  });
+
+  it.each([
+    ['a SOAP fault', 'fault@example.com', 502, 'UKG_UPSTREAM_ERROR'],
+    ['a permission error', 'denied@example.com', 502, 'UKG_PERMISSION_DENIED'],
+    ['an outage', 'unavailable@example.com', 503, 'UKG_UNAVAILABLE']
+  ])('records %s thrown by UKG', async (_, email, status, code) => {
+    expect((await call(`/v1/employees/lookup?email=${email}`)).status).toBe(status);
+    expect(await auditEvents()).toEqual([
+      { client: 'ticketing', operation: 'lookup', lookup_key: email, employee: null, outcome: code, http_status: status }
+    ]);
+  });
+
+  it('records a request that fails validation', async () => {
+    expect((await call('/v1/employees/lookup?email=not-an-email')).status).toBe(400);
+    expect(await auditEvents()).toEqual([
+      expect.objectContaining({ operation: 'lookup', outcome: 'INVALID_EMAIL', http_status: 400 })
+    ]);
+  });
+
+  it('records rejected API keys as the anonymous client', async () => {
+    expect((await call('/v1/employees/BPML/100001', { apiKey: 'wrong-key' })).status).toBe(401);
+    expect(await auditEvents()).toEqual([
+      { client: 'anonymous', operation: 'employee', lookup_key: 'BPML:100001', employee: null, outcome: 'INVALID_API_KEY', http_status: 401 }
+    ]);
+  });
+
+  it('records keys without the scope the route needs', async () => {
+    expect((await call('/v1/employees/lookup?email=active@example.com', { apiKey: 'admin-key' })).status).toBe(403);
+    expect(await auditEvents()).toEqual([
+      { client: 'admin-console', operation: 'lookup', lookup_key: 'active@example.com', employee: null, outcome: 'INSUFFICIENT_SCOPE', http_status: 403 }
+    ]);
+  });
+
+  it('records rate limited requests', async () => {
+    const overrides = { RATE_LIMIT_REQUESTS: '1' };
+    await call('/v1/employees/lookup?email=active@example.com', { overrides });
+    expect((await call('/v1/employees/lookup?email=leave@example.com', { overrides })).status).toBe(429);
+    expect((await auditEvents()).at(-1)).toEqual(
+      { client: 'ticketing', operation: 'lookup', lookup_key: 'leave@example.com', employee: null, outcome: 'RATE_LIMIT_EXCEEDED', http_status: 429 });
+  });
+
+  it('does not audit routes without employee data', async () => {
+    expect((await call('/v1/directory/status', { apiKey: 'admin-key' })).status).toBe(200);
+    expect((await call('/v1/nothing-here')).status).toBe(404);
+    expect(await auditEvents()).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Debug mode: refused unless the deployment enables it and the key has the debug scope; raw
+ * UKG XML needs debug:raw, and UKG credentials never reach a response or a log line
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([
+  { client: 'ticketing', key: 'lookup-key', scopes: ['lookup'] },
+  { client: 'support-tools', key: 'debug-key', scopes: ['lookup', 'debug'] },
+  { client: 'integration-team', key: 'raw-key', scopes: ['lookup', 'debug', 'debug:raw', 'admin'] }
+]);
+
+// Everything that lets someone call UKG as the integration user
+const CREDENTIALS = ['test-customer-key', 'test-user-key', 'integration-password', 'mock-token-'];
+
+async function call(path, apiKey, { method = 'GET', overrides = {} } = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    method: method,
+    headers: { 'X-API-Key': apiKey }
+  }), { ...env, API_KEYS, DEBUG_MODE_ENABLED: 'true', ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  const text = await response.text();
+  return { status: response.status, text: text, body: JSON.parse(text) };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('debug mode', () => {
+  it('is refused with 403 DEBUG_MODE_DISABLED unless the deployment enables it', async () => {
+    const { status, body } = await call('/v1/employees/lookup?email=active@example.com&debug=true', 'raw-key', {
+      overrides: { DEBUG_MODE_ENABLED: undefined }
+    });
+    expect(status).toBe(403);
+    expect(body.code).toBe('DEBUG_MODE_DISABLED');
+  });
+
+  it('is refused with 403 INSUFFICIENT_SCOPE for a key without the debug scope', async () => {
+    const { status, body } = await call('/v1/employees/lookup?email=active@example.com&debug=true', 'lookup-key');
+    expect(status).toBe(403);
+    expect(body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'debug' });
+  });
+
+  it('redacts the raw UKG XML without the debug:raw scope', async () => {
+    const { status, text, body } = await call('/v1/employees/lookup?email=active@example.com&debug=true', 'debug-key');
+    expect(status).toBe(200);
+    expect(body.debugModeEnabled).toBe(true);
+    expect(body.rawSSOResponse).toBe('[REDACTED - requires the debug:raw scope]');
+    expect(text).not.toContain('Envelope');
+  });
+
+  it('returns the raw UKG XML with debug:raw but never the UKG credentials', async () => {
+    const { status, text, body } = await call('/v1/employees/lookup?email=active@example.com&debug=true', 'raw-key');
+    expect(status).toBe(200);
+    expect(body.rawSSOResponse).toContain('<s:Envelope');
+    for (const credential of CREDENTIALS) {
+      expect(text).not.toContain(credential);
+    }
+  });
+
+  it('keeps SOAP envelopes and credentials out of debug-level logs', async () => {
+    const lines = [];
+    for (const method of ['log', 'warn', 'error']) {
+      vi.spyOn(console, method).mockImplementation(line => lines.push(String(line)));
+    }
+
+    // Log in again so the LoginService call is logged too
+    const overrides = { LOG_LEVEL: 'debug' };
+    expect((await call('/v1/token/invalidate', 'raw-key', { method: 'POST', overrides })).status).toBe(200);
+    expect((await call('/v1/employees/lookup?email=leave@example.com&debug=true&include=job', 'raw-key', { overrides })).status).toBe(200);
+
+    expect(lines.length).toBeGreaterThan(0);
+    const output = lines.join('\n');
+    expect(output).not.toContain('Envelope');
+    for (const credential of CREDENTIALS) {
+      expect(output).not.toContain(credential);
+    }
+  });
+});
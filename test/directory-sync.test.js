@@ -0,0 +1,161 @@
+/**
+ * The scheduled directory sync against the UKG mock: 12 employment records and 12 SSO users
+ * (10 emails). With 5 records per page a run reads 3 + 3 pages.
+ */
+
+import { env, SELF, createScheduledController, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEY = 'test-api-key';
+
+async function runCron(overrides = {}) {
+  const ctx = createExecutionContext();
+  await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), {
+    ...env,
+    DIRECTORY_SYNC_PAGE_SIZE: '5',
+    ...overrides
+  }, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+async function get(path) {
+  const response = await SELF.fetch(`https://worker.test${path}`, { headers: { 'X-API-Key': API_KEY } });
+  return { status: response.status, body: await response.json() };
+}
+
+function countFindCalls(fetchSpy) {
+  return fetchSpy.mock.calls.filter(([, init]) => init && /:Find(SsoUsers|EmploymentInformations)>/.test(init.body)).length;
+}
+
+// Lets the clock move on, so the next run gets a later watermark
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+describe('directory sync', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reads at most DIRECTORY_SYNC_MAX_PAGES pages per invocation and resumes from the cursor', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    await runCron({ DIRECTORY_SYNC_MAX_PAGES: '4' });
+    expect(countFindCalls(fetchSpy)).toBe(4);
+
+    const paused = (await get('/v1/directory/status')).body;
+    expect(paused).toMatchObject({ enabled: true, watermark: null, lastSync: null });
+    expect(paused.currentRun).toMatchObject({
+      phase: 'ssoUsers',
+      pageNumber: 2,
+      invocations: 1,
+      pages: { employmentRecords: 3, ssoUsers: 1 }
+    });
+
+    fetchSpy.mockClear();
+    await runCron({ DIRECTORY_SYNC_MAX_PAGES: '4' });
+    expect(countFindCalls(fetchSpy)).toBe(2);
+
+    const { status, body } = await get('/v1/directory/status');
+    expect(status).toBe(200);
+    expect(body.currentRun).toBeNull();
+    expect(body.watermark).toBe(paused.currentRun.startedAt);
+    expect(body.lastSync).toMatchObject({
+      status: 'succeeded',
+      invocations: 2,
+      employmentRecords: 12,
+      ssoUsers: 12,
+      employees: 12,
+      emails: 10,
+      pages: { employmentRecords: 3, ssoUsers: 3 },
+      changedRecords: { employmentRecords: 12, ssoUsers: 12 },
+      removedRecords: { employmentRecords: 0, ssoUsers: 0 },
+      events: 0
+    });
+  });
+
+  it('answers lookups from the directory', async () => {
+    await runCron();
+    const { watermark } = (await get('/v1/directory/status')).body;
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const byEmail = await get('/v1/employees/lookup?email=multi@example.com');
+    expect(byEmail.status).toBe(200);
+    expect(byEmail.body).toMatchObject({
+      companyCode: 'BPCA',
+      employeeNumber: '200003',
+      dataSource: 'Employee directory (synced from UKG)',
+      directorySyncedAt: watermark
+    });
+
+    const byNumber = await get('/v1/employees/BPML/100005');
+    expect(byNumber.body).toMatchObject({ email: 'leave@example.com', employmentStatusCode: 'L', directorySyncedAt: watermark });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('asks UKG for an email whose employment records are not in the directory', async () => {
+    await runCron();
+    await env.DIRECTORY_DB.prepare(`DELETE FROM directory_employment WHERE employee_key = 'BPML:100001'`).run();
+
+    const { status, body } = await get('/v1/employees/lookup?email=active@example.com');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ employeeNumber: '100001', employmentStatusCode: 'A' });
+    expect(body.dataSource).not.toBe('Employee directory (synced from UKG)');
+    expect(body).not.toHaveProperty('directorySyncedAt');
+  });
+
+  it('rewrites only changed records and removes those UKG no longer returns', async () => {
+    await runCron();
+    await env.DIRECTORY_DB.batch([
+      env.DIRECTORY_DB.prepare(`UPDATE directory_employment SET details = '{}', employment_status = 'T'
+        WHERE employee_key = 'BPML:100001'`),
+      env.DIRECTORY_DB.prepare(`INSERT INTO directory_employment (tenant, employee_key, details, updated_at, seen_at)
+        VALUES ('', 'BPML:999999', '{}', '2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z')`)
+    ]);
+    await nextTick();
+
+    await runCron();
+    const { body } = await get('/v1/directory/status');
+    expect(body.lastSync).toMatchObject({
+      status: 'succeeded',
+      changedRecords: { employmentRecords: 1, ssoUsers: 0 },
+      removedRecords: { employmentRecords: 1, ssoUsers: 0 },
+      events: 1
+    });
+
+    const row = await env.DIRECTORY_DB.prepare(`SELECT employment_status, previous_state, changed_at
+      FROM directory_employment WHERE employee_key = 'BPML:100001'`).first();
+    expect(row.employment_status).toBe('A');
+    expect(JSON.parse(row.previous_state)).toMatchObject({ status: 'T' });
+    expect(row.changed_at).toBe(body.watermark);
+  });
+
+  it('does not start a new run within DIRECTORY_SYNC_INTERVAL_SECONDS', async () => {
+    await runCron();
+    const before = (await get('/v1/directory/status')).body;
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    await runCron({ DIRECTORY_SYNC_INTERVAL_SECONDS: '3600' });
+    expect(countFindCalls(fetchSpy)).toBe(0);
+    expect((await get('/v1/directory/status')).body.watermark).toBe(before.watermark);
+  });
+
+  it('keeps the cursor of a failed page and retries it on the next invocation', async () => {
+    const originalFetch = globalThis.fetch;
+    vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) => init && String(init.body).includes(':FindSsoUsers>')
+      ? Promise.resolve(new Response('Service Unavailable', { status: 503 }))
+      : originalFetch(url, init));
+    await runCron();
+
+    const failed = (await get('/v1/directory/status')).body;
+    expect(failed.watermark).toBeNull();
+    expect(failed.lastSync).toMatchObject({ status: 'failed', error: { code: 'UKG_UNAVAILABLE' } });
+    expect(failed.currentRun).toMatchObject({ phase: 'ssoUsers', pageNumber: 1 });
+
+    vi.restoreAllMocks();
+    await runCron();
+    const { body } = await get('/v1/directory/status');
+    expect(body.currentRun).toBeNull();
+    expect(body.lastSync).toMatchObject({ status: 'succeeded', invocations: 2, employees: 12 });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * End-to-end tests: worker.js runs in workerd and every UKG call is answered by
+ * mock/ukg-mock.js from the fixtures in mock/fixtures.js (see vitest.config.js).
+ */
+
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const API_KEY = 'test-api-key';
+
+async function get(path) {
+  const response = await SELF.fetch(`https://worker.test${path}`, { headers: { 'X-API-Key': API_KEY } });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+function lookup(email, query = '') {
+  return get(`/v1/employees/lookup?email=${encodeURIComponent(email)}${query}`);
+}
+
+describe('email lookup', () => {
+  it('returns the active employee', async () => {
+    const { status, body } = await lookup('active@example.com');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      companyCode: 'BPML',
+      employeeNumber: '100001',
+      email: 'active@example.com',
+      employmentStatus: 'ACTIVE',
+      employmentStatusCode: 'A',
+      hireDate: '2019-04-01T00:00:00',
+      jobTitle: 'Software Developer'
+    });
+  });
+
+  it('turns a terminated employee down unless includeInactive is set', async () => {
+    const notFound = await lookup('terminated@example.com');
+    expect(notFound.status).toBe(404);
+    expect(notFound.body.code).toBe('NO_ACTIVE_RECORDS');
+
+    const { status, body } = await lookup('terminated@example.com', '&includeInactive=true');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      employeeNumber: '100002',
+      employmentStatus: 'TERMINATED',
+      terminationDate: '2022-08-31T00:00:00',
+      lastWorkDate: '2022-08-26T00:00:00',
+      statusReason: 'Resignation'
+    });
+  });
+
+  it('picks the active record of a multi-record employee', async () => {
+    const { status, body } = await lookup('multi@example.com');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ companyCode: 'BPCA', employeeNumber: '200003', employmentStatus: 'ACTIVE' });
+  });
+
+  it('returns every record with selection=all and includeInactive', async () => {
+    const { status, body } = await lookup('multi@example.com', '&selection=all&includeInactive=true');
+    expect(status).toBe(200);
+    expect(body.records.map(record => `${record.companyCode}/${record.employeeNumber}`).sort())
+      .toEqual(['BPCA/200003', 'BPML/100003']);
+  });
+
+  it('honours the primary-company policy', async () => {
+    const { body } = await lookup('multi-active@example.com', '&selection=primary-company');
+    expect(body).toMatchObject({ companyCode: 'BPUS', employeeNumber: '300004' });
+  });
+
+  it('reports a leave of absence with its dates', async () => {
+    const { status, body } = await lookup('leave@example.com');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      employmentStatus: 'ON_LEAVE',
+      employmentStatusCode: 'L',
+      statusReason: 'Parental leave',
+      leaveStartDate: '2026-09-01T00:00:00',
+      leaveEndDate: '2027-03-01T00:00:00'
+    });
+  });
+
+  it('treats a pending hire as inactive', async () => {
+    const notFound = await lookup('pending@example.com');
+    expect(notFound.status).toBe(404);
+    expect(notFound.body.code).toBe('NO_ACTIVE_RECORDS');
+
+    const { body } = await lookup('pending@example.com', '&includeInactive=true');
+    expect(body).toMatchObject({ employeeNumber: '100006', employmentStatus: 'PENDING_HIRE' });
+  });
+
+  it('returns 404 for an unknown email', async () => {
+    const { status, body } = await lookup('nobody@example.com');
+    expect(status).toBe(404);
+    expect(body.code).toBe('EMPLOYEE_NOT_FOUND');
+  });
+});
+
+describe('UKG failures', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('maps a SOAP fault to 502', async () => {
+    const { status, body } = await lookup('fault@example.com');
+    expect(status).toBe(502);
+    expect(body.code).toBe('UKG_UPSTREAM_ERROR');
+  });
+
+  it('maps an OperationMessages permission error to 502', async () => {
+    const { status, body } = await lookup('denied@example.com');
+    expect(status).toBe(502);
+    expect(body.code).toBe('UKG_PERMISSION_DENIED');
+  });
+
+  it('maps UKG rejecting the integration credentials to 502, not 401', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(`<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+      <s:Body><s:Fault><s:Code><s:Value>s:Sender</s:Value></s:Code><s:Reason><s:Text>The security token is invalid or expired</s:Text></s:Reason></s:Fault></s:Body>
+    </s:Envelope>`, { status: 500, headers: { 'Content-Type': 'application/soap+xml' } }));
+
+    const { status, body } = await lookup('active@example.com', '&fresh=true');
+    expect(status).toBe(502);
+    expect(body.code).toBe('UKG_AUTH_FAILED');
+  });
+
+  it('maps truncated XML to 502', async () => {
+    const { status, body } = await lookup('malformed@example.com');
+    expect(status).toBe(502);
+    expect(body.code).toBe('UKG_UPSTREAM_ERROR');
+  });
+
+  it('maps a 503 outage to 503', async () => {
+    const { status, body } = await lookup('unavailable@example.com');
+    expect(status).toBe(503);
+    expect(body.code).toBe('UKG_UNAVAILABLE');
+  });
+});
+
+describe('routing', () => {
+  it('returns 404 for an unknown path and 405 for a wrong method', async () => {
+    expect((await get('/v1/nothing-here')).status).toBe(404);
+
+    const response = await SELF.fetch('https://worker.test/v1/employees/batch', { headers: { 'X-API-Key': API_KEY } });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('Allow')).toBe('POST');
+  });
+
+  it.each([
+    '/v1/employees/BPML/%E0%A4',
+    '/v1/employees/BPML/%E0%A4/managers',
+    '/v1/employees/%ZZ/100001'
+  ])('returns 400 INVALID_PATH for the malformed escape in %s', async (path) => {
+    const { status, body } = await get(path);
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_PATH');
+  });
+
+  it('sends thrown UKG errors through the rate limit headers and response validation', async () => {
+    const { status, headers, body } = await lookup('fault@example.com');
+    expect(status).toBe(502);
+    expect(body.code).toBe('UKG_UPSTREAM_ERROR');
+    expect(headers.get('X-RateLimit-Limit')).toBe('10000');
+    expect(headers.get('X-RateLimit-Remaining')).not.toBeNull();
+  });
+});
+
+describe('lookup by company code + employee number', () => {
+  it('returns the employee with their SSO email', async () => {
+    const { status, body } = await get('/v1/employees/BPCA/200003');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ companyCode: 'BPCA', employeeNumber: '200003', email: 'multi@example.com' });
+  });
+
+  it('returns 404 for an unknown employee', async () => {
+    const { status, body } = await get('/v1/employees/BPML/555555');
+    expect(status).toBe(404);
+    expect(body.code).toBe('EMPLOYEE_NOT_FOUND');
+  });
+});
+
+describe('batch lookup', () => {
+  it('returns a result per email', async () => {
+    const response = await SELF.fetch('https://worker.test/v1/employees/batch', {
+      method: 'POST',
+      headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ emails: ['active@example.com', 'terminated@example.com', 'not-an-email'] })
+    });
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({ totalRequested: 3, succeeded: 1, failed: 2 });
+    expect(body.results.map(result => result.httpStatus)).toEqual([200, 404, 400]);
+  });
+});
+
+describe('manager chain', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('walks up to the top of the chain', async () => {
+    const { status, body } = await get('/v1/employees/managers?email=active@example.com&depth=5');
+    expect(status).toBe(200);
+    expect(body.managers.map(manager => `${manager.level}:${manager.companyCode}/${manager.employeeNumber}`))
+      .toEqual(['1:BPML/100007', '2:BPUS/300008']);
+    expect(body.chainEnd).toBe('TOP_OF_CHAIN');
+  });
+
+  it('stops at the requested depth', async () => {
+    const { body } = await get('/v1/employees/BPML/100001/managers');
+    expect(body.managers).toHaveLength(1);
+    expect(body.chainEnd).toBe('DEPTH_REACHED');
+  });
+
+  it('stops when the supervisor cycle comes back around', async () => {
+    const { status, body } = await get('/v1/employees/managers?email=cycle@example.com&depth=10');
+    expect(status).toBe(200);
+    expect(body.managers.map(manager => manager.employeeNumber)).toEqual(['100010']);
+    expect(body.chainEnd).toBe('CYCLE_DETECTED');
+  });
+
+  it('returns the partial chain when a supervisor lookup fails', async () => {
+    // UKG is down for the job of Dana (BPML/100007), so the level above her cannot be found
+    const originalFetch = globalThis.fetch;
+    vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) =>
+      String(url).endsWith('/services/EmployeeJob') && String(init.body).includes('>100007<')
+        ? Promise.resolve(new Response('Service Unavailable', { status: 503 }))
+        : originalFetch(url, init));
+
+    const { status, body } = await get('/v1/employees/managers?email=active@example.com&depth=5&fresh=true');
+    expect(status).toBe(200);
+    expect(body.managers.map(manager => manager.employeeNumber)).toEqual(['100007']);
+    expect(body.chainEnd).toBe('SUPERVISOR_LOOKUP_FAILED');
+  });
+
+  it.each([
+    [401, 'UKG_AUTH_FAILED'],
+    [403, 'UKG_PERMISSION_DENIED']
+  ])('fails the request instead of shortening the chain when UKG answers a supervisor lookup with %i', async (upstreamStatus, code) => {
+    const originalFetch = globalThis.fetch;
+    vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) =>
+      String(url).endsWith('/services/EmployeeJob') && String(init.body).includes('>100007<')
+        ? Promise.resolve(new Response('', { status: upstreamStatus }))
+        : originalFetch(url, init));
+
+    const { status, body } = await get('/v1/employees/managers?email=active@example.com&depth=5&fresh=true');
+    expect(status).toBe(502);
+    expect(body.code).toBe(code);
+  });
+
+  it('reports a supervisor UKG has no record for', async () => {
+    const { body } = await get('/v1/employees/managers?email=pending@example.com&includeInactive=true&depth=3');
+    expect(body.managers).toEqual([]);
+    expect(body.chainEnd).toBe('SUPERVISOR_NOT_FOUND');
+  });
+});
+
+describe('tenants', () => {
+  it('turns an unknown tenant down with 400 on the admin routes', async () => {
+    const status = await get('/v1/directory/status?tenant=zz');
+    expect(status.status).toBe(400);
+    expect(status.body.code).toBe('UNKNOWN_TENANT');
+
+    const response = await SELF.fetch('https://worker.test/v1/token/invalidate?tenant=zz', { method: 'POST', headers: { 'X-API-Key': API_KEY } });
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe('UNKNOWN_TENANT');
+  });
+});
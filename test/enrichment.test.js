@@ -0,0 +1,70 @@
+/**
+ * Enrichment with include=person,job,contact, answered by the EmployeePerson, EmployeeJob and
+ * EmployeeContact services of the UKG mock
+ */
+
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+async function get(path) {
+  const response = await SELF.fetch(`https://worker.test${path}`, { headers: { 'X-API-Key': 'test-api-key' } });
+  return { status: response.status, cache: response.headers.get('X-Cache'), body: await response.json() };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('include=', () => {
+  it('adds the person, job and contact sections', async () => {
+    const { status, body } = await get('/v1/employees/lookup?email=active@example.com&include=person,job,contact');
+    expect(status).toBe(200);
+    expect(body.person).toMatchObject({ legalFirstName: 'Avery', legalLastName: 'Active', preferredName: 'Ave' });
+    expect(body.job).toMatchObject({
+      jobCode: 'DEV2',
+      jobTitle: 'Software Developer',
+      department: 'Engineering',
+      fullOrPartTime: 'FULL_TIME',
+      supervisorCompanyCode: 'BPML',
+      supervisorEmployeeNumber: '100007'
+    });
+    expect(body.contact).toMatchObject({ workPhone: '+1 555 0101', workEmail: 'active@example.com' });
+    expect(body.enrichmentErrors).toBeUndefined();
+  });
+
+  it('leaves out the sections that were not asked for', async () => {
+    const { body } = await get('/v1/employees/BPML/100001?include=job');
+    expect(body.job.jobCode).toBe('DEV2');
+    expect(body).not.toHaveProperty('person');
+    expect(body).not.toHaveProperty('contact');
+  });
+
+  it('returns null for a section UKG has no data for', async () => {
+    const { status, body } = await get('/v1/employees/lookup?email=leave@example.com&include=contact');
+    expect(status).toBe(200);
+    expect(body.contact).toBeNull();
+  });
+
+  it.each(['salary', 'job,salary', 'person;job'])('turns include=%s down with 400 INVALID_INCLUDE', async (include) => {
+    const { status, body } = await get(`/v1/employees/lookup?email=active@example.com&include=${encodeURIComponent(include)}`);
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_INCLUDE');
+  });
+
+  it('reports a failed section in enrichmentErrors and does not cache the partial result', async () => {
+    const originalFetch = globalThis.fetch;
+    vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) => String(url).endsWith('/services/EmployeeContact')
+      ? Promise.resolve(new Response('Service Unavailable', { status: 503 }))
+      : originalFetch(url, init));
+
+    const partial = await get('/v1/employees/lookup?email=director@example.com&include=job,contact');
+    expect(partial.status).toBe(200);
+    expect(partial.body.job.jobTitle).toBe('Director of Engineering');
+    expect(partial.body.enrichmentErrors).toEqual({ contact: expect.objectContaining({ code: 'UKG_UNAVAILABLE' }) });
+
+    vi.restoreAllMocks();
+    const retried = await get('/v1/employees/lookup?email=director@example.com&include=job,contact');
+    expect(retried.cache).toBe('MISS');
+    expect(retried.body.enrichmentErrors).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * UKG SOAP responses captured from a test tenant, with names, emails and numbers replaced.
+ * The whitespace, prefixes and namespace declarations are left as UKG sent them.
+ */
+
+// GetSsoUserByClientUserName: SOAP 1.2 envelope with s:, a:, b: and i: prefixes and a default namespace
+export const SSO_USER_RESPONSE = `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope" xmlns:a="http://www.w3.org/2005/08/addressing">
+  <s:Header>
+    <a:Action s:mustUnderstand="1">http://www.ultipro.com/services/employeessouser/IEmployeeSsoUser/GetSsoUserByClientUserNameResponse</a:Action>
+  </s:Header>
+  <s:Body>
+    <GetSsoUserByClientUserNameResponse xmlns="http://www.ultipro.com/services/employeessouser">
+      <GetSsoUserByClientUserNameResult xmlns:b="http://www.ultipro.com/contracts" xmlns:i="http://www.w3.org/2001/XMLSchema-instance">
+        <b:OperationMessages/>
+        <b:PagingInfo i:nil="true"/>
+        <b:Results>
+          <b:SsoUser>
+            <b:ClientUserName>jane.doe@example.com</b:ClientUserName>
+            <b:EmployeeIdentifier i:type="b:EmployeeNumberIdentifier">
+              <b:CompanyCode>BPML</b:CompanyCode>
+              <b:EmployeeNumber>100624</b:EmployeeNumber>
+            </b:EmployeeIdentifier>
+            <b:Status>1</b:Status>
+            <b:UltiProUserName>jane.doe@example.com</b:UltiProUserName>
+          </b:SsoUser>
+        </b:Results>
+        <b:Success>true</b:Success>
+      </GetSsoUserByClientUserNameResult>
+    </GetSsoUserByClientUserNameResponse>
+  </s:Body>
+</s:Envelope>`;
+
+// GetEmploymentInformationByEmployeeIdentifier: two EmploymentInformation records (one per company),
+// entity-encoded and CDATA text, nil dates and an XML declaration and comment before the envelope
+export const EMPLOYMENT_INFORMATION_RESPONSE = `<?xml version="1.0" encoding="utf-8"?>
+<!-- recorded 2026-03-02 -->
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body>
+    <GetEmploymentInformationByEmployeeIdentifierResponse xmlns="http://www.ultipro.com/services/employeeemploymentinformation">
+      <GetEmploymentInformationByEmployeeIdentifierResult xmlns:b="http://www.ultipro.com/contracts" xmlns:x="http://www.w3.org/2001/XMLSchema-instance">
+        <b:OperationMessages/>
+        <b:Results>
+          <b:EmploymentInformation>
+            <b:CompanyCode>BPML</b:CompanyCode>
+            <b:EmployeeNumber>100624</b:EmployeeNumber>
+            <b:EmploymentStatus>A</b:EmploymentStatus>
+            <b:HireDate>2019-04-01T00:00:00</b:HireDate>
+            <b:JobTitle>Research &amp; Development Lead &#8211; Caf&#xE9;</b:JobTitle>
+            <b:TerminationDate x:nil="true"/>
+            <b:Notes><![CDATA[<b>Rehire</b> eligible & confirmed]]></b:Notes>
+          </b:EmploymentInformation>
+          <b:EmploymentInformation>
+            <b:CompanyCode>BPCA</b:CompanyCode>
+            <b:EmployeeNumber>200624</b:EmployeeNumber>
+            <b:EmploymentStatus>T</b:EmploymentStatus>
+            <b:HireDate>2014-06-16T00:00:00</b:HireDate>
+            <b:JobTitle>Analyst</b:JobTitle>
+            <b:TerminationDate>2018-12-31T00:00:00</b:TerminationDate>
+          </b:EmploymentInformation>
+        </b:Results>
+        <b:Success>true</b:Success>
+      </GetEmploymentInformationByEmployeeIdentifierResult>
+    </GetEmploymentInformationByEmployeeIdentifierResponse>
+  </s:Body>
+</s:Envelope>`;
+
+// SOAP 1.2 fault for a rejected token
+export const TOKEN_FAULT_RESPONSE = `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body>
+    <s:Fault>
+      <s:Code><s:Value>s:Sender</s:Value></s:Code>
+      <s:Reason><s:Text xml:lang="en-US">The security token is invalid or expired</s:Text></s:Reason>
+    </s:Fault>
+  </s:Body>
+</s:Envelope>`;
@@ -0,0 +1,96 @@
+/**
+ * Structured logs: personal data is masked, including in UKG fault strings that echo the
+ * lookup input, and every request is tagged with an X-Request-ID
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([{ client: 'ticketing', key: 'lookup-key', scopes: ['lookup', 'search'] }]);
+
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    vi.spyOn(console, method).mockImplementation(line => lines.push(String(line)));
+  }
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+async function call(path, headers = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    headers: { 'X-API-Key': 'lookup-key', ...headers }
+  }), { ...env, API_KEYS, LOG_LEVEL: 'debug' }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+// UKG answers the given service with a receiver fault whose reason is `reason`
+function faultFrom(serviceName, reason) {
+  const originalFetch = globalThis.fetch;
+  vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) => String(url).endsWith(`/services/${serviceName}`)
+    ? Promise.resolve(new Response(`<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+        <s:Body><s:Fault><s:Code><s:Value>s:Receiver</s:Value></s:Code><s:Reason><s:Text>${reason}</s:Text></s:Reason></s:Fault></s:Body>
+      </s:Envelope>`, { status: 500 }))
+    : originalFetch(url, init));
+}
+
+describe('log masking', () => {
+  it('masks the email a UKG fault echoes', async () => {
+    faultFrom('EmployeeSsoUser', 'Lookup of Jordan.Secret@Example.com failed');
+    expect((await call('/v1/employees/lookup?email=jordan.secret@example.com&fresh=true')).status).toBe(502);
+
+    const output = lines.join('\n');
+    expect(output).toContain('Lookup of J***@Example.com failed');
+    expect(output.toLowerCase()).not.toContain('jordan');
+  });
+
+  it('masks a name from the request that a UKG fault echoes', async () => {
+    faultFrom('EmployeeEmploymentInformation', 'Query for LastName Zebulon failed');
+    expect((await call('/v1/employees/search?lastName=Zebulon')).status).toBe(502);
+
+    const output = lines.join('\n');
+    expect(output).toContain('Query for LastName Z*** failed');
+    expect(output).not.toContain('Zebulon');
+  });
+
+  it('masks emails in the lookup fields', async () => {
+    expect((await call('/v1/employees/lookup?email=active@example.com&fresh=true')).status).toBe(200);
+    const output = lines.join('\n');
+    expect(output).toContain('a***@example.com');
+    expect(output).not.toContain('active@example.com');
+  });
+});
+
+describe('X-Request-ID', () => {
+  it('echoes a usable caller request ID and tags the log lines with it', async () => {
+    const response = await call('/v1/employees/BPML/100001', { 'X-Request-ID': 'ticket-4711.retry:2' });
+    expect(response.headers.get('X-Request-ID')).toBe('ticket-4711.retry:2');
+    const entries = lines.map(line => JSON.parse(line));
+    expect(entries.length).toBeGreaterThan(0);
+    expect(entries.every(entry => entry.requestId === 'ticket-4711.retry:2')).toBe(true);
+  });
+
+  it.each([
+    ['is missing', {}],
+    ['is not ID-like', { 'X-Request-ID': 'id with spaces <script>' }],
+    ['is too long', { 'X-Request-ID': 'x'.repeat(129) }]
+  ])('generates a request ID when the caller\'s %s', async (_, headers) => {
+    const response = await call('/v1/employees/BPML/100001', headers);
+    const requestId = response.headers.get('X-Request-ID');
+    expect(requestId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    expect(JSON.parse(lines[0]).requestId).toBe(requestId);
+  });
+
+  it('sets the header on error responses too', async () => {
+    const response = await call('/v1/nothing-here', { 'X-Request-ID': 'abc-123' });
+    expect(response.status).toBe(404);
+    expect(response.headers.get('X-Request-ID')).toBe('abc-123');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Lookup cache: X-Cache HIT/MISS, the TTLs of found and not-found results and the bypass.
+ * Cache entries outlive a test, so every test looks up its own emails.
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../worker.js';
+
+async function lookup(email, { headers = {}, overrides = {} } = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test/v1/employees/lookup?email=${encodeURIComponent(email)}`, {
+    headers: { 'X-API-Key': 'test-api-key', ...headers }
+  }), { ...env, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, cache: response.headers.get('X-Cache'), body: await response.json() };
+}
+
+function countSsoCalls(fetchSpy) {
+  return fetchSpy.mock.calls.filter(([url]) => String(url).endsWith('/services/EmployeeSsoUser')).length;
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('lookup cache', () => {
+  it('answers a repeated lookup from the cache without calling UKG', async () => {
+    const first = await lookup('director@example.com');
+    expect(first).toMatchObject({ status: 200, cache: 'MISS' });
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const second = await lookup('director@example.com');
+    expect(second).toMatchObject({ status: 200, cache: 'HIT' });
+    expect(second.body).toEqual(first.body);
+    expect(countSsoCalls(fetchSpy)).toBe(0);
+  });
+
+  it('skips the cache for Cache-Control: no-cache and stores the fresh result', async () => {
+    await lookup('chief@example.com');
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    expect((await lookup('chief@example.com', { headers: { 'Cache-Control': 'no-cache' } })).cache).toBe('MISS');
+    expect(countSsoCalls(fetchSpy)).toBe(1);
+
+    expect((await lookup('chief@example.com')).cache).toBe('HIT');
+    expect(countSsoCalls(fetchSpy)).toBe(1);
+  });
+
+  it('keeps not-found results for LOOKUP_NEGATIVE_CACHE_TTL_SECONDS and found ones for LOOKUP_CACHE_TTL_SECONDS', async () => {
+    const overrides = { LOOKUP_CACHE_TTL_SECONDS: '3600', LOOKUP_NEGATIVE_CACHE_TTL_SECONDS: '60' };
+    expect(await lookup('cycle@example.com', { overrides })).toMatchObject({ status: 200, cache: 'MISS' });
+    expect(await lookup('nobody-cached@example.com', { overrides })).toMatchObject({ status: 404, cache: 'MISS' });
+    expect((await lookup('nobody-cached@example.com', { overrides })).cache).toBe('HIT');
+
+    // Two minutes later the 404 has expired and the employee is still cached
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 120 * 1000);
+    expect(await lookup('nobody-cached@example.com', { overrides })).toMatchObject({ status: 404, cache: 'MISS' });
+    expect(await lookup('cycle@example.com', { overrides })).toMatchObject({ status: 200, cache: 'HIT' });
+  });
+
+  it('does not cache UKG errors', async () => {
+    expect(await lookup('unavailable@example.com')).toMatchObject({ status: 503 });
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    expect(await lookup('unavailable@example.com')).toMatchObject({ status: 503 });
+    expect(countSsoCalls(fetchSpy)).toBe(1);
+  });
+
+  it('echoes the lower-cased email whichever casing filled the cache', async () => {
+    const first = await lookup('Cycle-Peer@Example.COM');
+    expect(first).toMatchObject({ status: 200, cache: 'MISS' });
+    expect(first.body.email).toBe('cycle-peer@example.com');
+
+    const second = await lookup('cycle-peer@example.com');
+    expect(second).toMatchObject({ status: 200, cache: 'HIT' });
+    expect(second.body.email).toBe('cycle-peer@example.com');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Per-client and global rate limits (in-memory counters, as no RATE_LIMITER is bound here).
+ * Every test uses its own client, so each starts with a fresh window.
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+let clientNumber = 0;
+
+// A key whose client may make `requests` requests per hour
+function newClient(requests) {
+  clientNumber++;
+  return { client: `client-${clientNumber}`, key: `key-${clientNumber}`, scopes: ['lookup', 'batch'], rateLimit: { requests, windowSeconds: 3600 } };
+}
+
+async function call(keyEntry, path, { body = null, overrides = {} } = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'X-API-Key': keyEntry.key, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : null
+  }), { ...env, API_KEYS: JSON.stringify([keyEntry]), BATCH_MAX_SIZE: '5', ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  return {
+    status: response.status,
+    limit: response.headers.get('X-RateLimit-Limit'),
+    remaining: response.headers.get('X-RateLimit-Remaining'),
+    reset: response.headers.get('X-RateLimit-Reset'),
+    retryAfter: response.headers.get('Retry-After'),
+    body: await response.json()
+  };
+}
+
+const LOOKUP = '/v1/employees/BPML/100001';
+
+describe('rate limiting', () => {
+  it('reports the client window in X-RateLimit-* headers', async () => {
+    const keyEntry = newClient(3);
+    const first = await call(keyEntry, LOOKUP);
+    expect(first).toMatchObject({ status: 200, limit: '3', remaining: '2' });
+    expect(Number(first.reset)).toBeGreaterThan(Date.now() / 1000);
+
+    expect((await call(keyEntry, LOOKUP)).remaining).toBe('1');
+  });
+
+  it('answers 429 RATE_LIMIT_EXCEEDED with Retry-After once the budget is spent', async () => {
+    const keyEntry = newClient(2);
+    await call(keyEntry, LOOKUP);
+    await call(keyEntry, LOOKUP);
+
+    const limited = await call(keyEntry, LOOKUP);
+    expect(limited).toMatchObject({ status: 429, limit: '2', remaining: '0' });
+    expect(limited.body).toMatchObject({ success: false, code: 'RATE_LIMIT_EXCEEDED' });
+    expect(Number(limited.retryAfter)).toBeGreaterThan(0);
+    expect(limited.body.retryAfterSeconds).toBe(Number(limited.retryAfter));
+  });
+
+  it('charges a batch one unit per email', async () => {
+    const keyEntry = newClient(5);
+    const emails = ['active@example.com', 'leave@example.com', 'director@example.com'];
+    expect(await call(keyEntry, '/v1/employees/batch', { body: { emails } })).toMatchObject({ status: 200, remaining: '2' });
+
+    // Three more emails do not fit, one more lookup does
+    expect((await call(keyEntry, '/v1/employees/batch', { body: { emails } })).status).toBe(429);
+    expect(await call(keyEntry, LOOKUP)).toMatchObject({ status: 200, remaining: '1' });
+  });
+
+  it('answers an oversized batch with 413 without charging every email', async () => {
+    const keyEntry = newClient(10);
+    const emails = Array.from({ length: 20 }, (_, index) => `user${index}@example.com`);
+    const tooBig = await call(keyEntry, '/v1/employees/batch', { body: { emails } });
+    expect(tooBig.status).toBe(413);
+    expect(tooBig.body.maxBatchSize).toBe(5);
+    expect(tooBig.remaining).toBe('9');
+  });
+
+  it('answers 429 GLOBAL_RATE_LIMIT_EXCEEDED at the global ceiling', async () => {
+    const overrides = { GLOBAL_RATE_LIMIT_REQUESTS: '1', GLOBAL_RATE_LIMIT_WINDOW_SECONDS: '3600' };
+    await call(newClient(100), LOOKUP, { overrides });
+
+    const limited = await call(newClient(100), LOOKUP, { overrides });
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('GLOBAL_RATE_LIMIT_EXCEEDED');
+    expect(Number(limited.retryAfter)).toBeGreaterThan(0);
+  });
+
+  it('does not count requests turned down with 401', async () => {
+    const keyEntry = newClient(1);
+    const unauthenticated = await call({ ...keyEntry, key: 'not-this-key' }, LOOKUP, { overrides: { API_KEYS: JSON.stringify([keyEntry]) } });
+    expect(unauthenticated.status).toBe(401);
+    expect(unauthenticated.limit).toBeNull();
+    expect((await call(keyEntry, LOOKUP)).status).toBe(200);
+  });
+});
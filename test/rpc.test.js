@@ -0,0 +1,92 @@
+/**
+ * RPC entrypoint: EMPLOYEE_LOOKUP is a service binding to this worker's EmployeeLookupService
+ * (see vitest.config.js). Its methods must resolve to the same shapes and errors as the HTTP routes.
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([{ client: 'ticketing', key: 'http-key', scopes: ['lookup', 'batch', 'search'] }]);
+
+async function http(path, body = null) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'X-API-Key': 'http-key', 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : null
+  }), { ...env, API_KEYS }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+// A single RPC result is the HTTP body plus httpStatus (and cache, which depends on call order)
+function withoutCache({ cache, ...result }) {
+  return result;
+}
+
+describe('RPC entrypoint', () => {
+  it('lookupByEmail resolves to the HTTP lookup body', async () => {
+    const { status, body } = await http('/v1/employees/lookup?email=multi@example.com');
+    const result = await env.EMPLOYEE_LOOKUP.lookupByEmail('multi@example.com');
+    expect(withoutCache(result)).toEqual({ httpStatus: status, ...body });
+    expect(result.cache).toMatch(/^(HIT|MISS)$/);
+  });
+
+  it.each([
+    ['an unknown email', 'nobody@example.com', 404, 'EMPLOYEE_NOT_FOUND'],
+    ['an invalid email', 'not-an-email', 400, 'INVALID_EMAIL'],
+    ['a UKG fault', 'fault@example.com', 502, 'UKG_UPSTREAM_ERROR'],
+    ['a UKG outage', 'unavailable@example.com', 503, 'UKG_UNAVAILABLE']
+  ])('lookupByEmail returns %s as the HTTP error instead of throwing', async (_, email, status, code) => {
+    const httpResult = await http(`/v1/employees/lookup?email=${email}`);
+    expect(httpResult).toMatchObject({ status, body: { code } });
+
+    const result = await env.EMPLOYEE_LOOKUP.lookupByEmail(email);
+    expect(result).toMatchObject({ httpStatus: status, code: code });
+    expect(withoutCache(result)).toEqual({ httpStatus: status, ...httpResult.body });
+  });
+
+  it('lookupByEmployeeNumber resolves to the HTTP employee body', async () => {
+    const { status, body } = await http('/v1/employees/BPCA/200003?include=job');
+    const result = await env.EMPLOYEE_LOOKUP.lookupByEmployeeNumber('BPCA', '200003', { include: ['job'] });
+    expect(withoutCache(result)).toEqual({ httpStatus: status, ...body });
+  });
+
+  it('lookupMany resolves to the HTTP batch body', async () => {
+    const emails = ['active@example.com', 'terminated@example.com', 'not-an-email'];
+    const { status, body } = await http('/v1/employees/batch', { emails });
+    expect(status).toBe(200);
+
+    const result = await env.EMPLOYEE_LOOKUP.lookupMany(emails);
+    expect({ ...result, results: result.results.map(withoutCache) })
+      .toEqual({ ...body, results: body.results.map(withoutCache) });
+  });
+
+  it('lookupMany returns a rejected batch as the HTTP error', async () => {
+    const result = await env.EMPLOYEE_LOOKUP.lookupMany([]);
+    expect(result.httpStatus).toBe(400);
+    expect(result.error).toBe((await http('/v1/employees/batch', { emails: [] })).body.error);
+  });
+
+  it('searchEmployees resolves to the HTTP search body', async () => {
+    const { status, body } = await http('/v1/employees/search?lastName=Multi&includeInactive=true');
+    expect(status).toBe(200);
+    expect(await env.EMPLOYEE_LOOKUP.searchEmployees({ lastName: 'Multi' }, { includeInactive: true })).toEqual(body);
+  });
+
+  it('lookupManagerChain resolves to the HTTP manager chain body, by email or number', async () => {
+    const byEmail = await http('/v1/employees/managers?email=active@example.com&depth=5');
+    expect(withoutCache(await env.EMPLOYEE_LOOKUP.lookupManagerChain('active@example.com', { depth: 5 })))
+      .toEqual({ httpStatus: byEmail.status, ...byEmail.body });
+
+    const byNumber = await http('/v1/employees/BPML/100001/managers?depth=5');
+    expect(withoutCache(await env.EMPLOYEE_LOOKUP.lookupManagerChain({ companyCode: 'BPML', employeeNumber: '100001' }, { depth: 5 })))
+      .toEqual({ httpStatus: byNumber.status, ...byNumber.body });
+  });
+
+  it('returns an unknown tenant as 400 UNKNOWN_TENANT', async () => {
+    const result = await env.EMPLOYEE_LOOKUP.lookupByEmail('active@example.com', { tenant: 'zz' });
+    expect(result).toMatchObject({ httpStatus: 400, code: 'UNKNOWN_TENANT' });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * SCIM 2.0 users (/scim/v2/Users) against the UKG mock's 12 employees: the userName filter, the
+ * ListResponse envelope, startIndex/count paging and SCIM errors
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([{ client: 'okta', key: 'scim-key', scopes: ['scim'] }]);
+
+const LIST_RESPONSE_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+
+async function scim(path, headers = { Authorization: 'Bearer scim-key' }) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test/scim/v2${path}`, { headers }), { ...env, API_KEYS }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, contentType: response.headers.get('Content-Type'), body: await response.json() };
+}
+
+const byUserName = userName => scim(`/Users?filter=${encodeURIComponent(`userName eq "${userName}"`)}`);
+
+describe('SCIM users filter', () => {
+  it('finds a user by userName and returns it in a ListResponse', async () => {
+    const { status, contentType, body } = await byUserName('active@example.com');
+    expect(status).toBe(200);
+    expect(contentType).toBe('application/scim+json');
+    expect(body).toMatchObject({ schemas: [LIST_RESPONSE_SCHEMA], totalResults: 1, startIndex: 1, itemsPerPage: 1 });
+    expect(body.Resources).toHaveLength(1);
+    expect(body.Resources[0]).toMatchObject({
+      id: 'BPML-100001',
+      userName: 'active@example.com',
+      title: 'Software Developer',
+      emails: [{ value: 'active@example.com', type: 'work', primary: true }],
+      active: true,
+      'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User': { employeeNumber: '100001', organization: 'BPML' },
+      meta: { resourceType: 'User', location: 'https://worker.test/scim/v2/Users/BPML-100001' }
+    });
+  });
+
+  it('matches the operator case-insensitively and returns separated employees as inactive', async () => {
+    const { status, body } = await scim(`/Users?filter=${encodeURIComponent('userName EQ "terminated@example.com"')}`);
+    expect(status).toBe(200);
+    expect(body.Resources.map(user => [user.id, user.active])).toEqual([['BPML-100002', false]]);
+  });
+
+  it('returns an empty ListResponse for an unknown userName', async () => {
+    const { status, body } = await byUserName('nobody@example.com');
+    expect(status).toBe(200);
+    expect(body).toEqual({ schemas: [LIST_RESPONSE_SCHEMA], totalResults: 0, startIndex: 1, itemsPerPage: 0, Resources: [] });
+  });
+
+  it.each([
+    'userName co "active"',
+    'emails.value eq "active@example.com"',
+    'userName eq active@example.com',
+    'userName eq "active@example.com" and active eq true'
+  ])('turns down filter=%s with a 400 invalidFilter SCIM error', async (filter) => {
+    const { status, contentType, body } = await scim(`/Users?filter=${encodeURIComponent(filter)}`);
+    expect(status).toBe(400);
+    expect(contentType).toBe('application/scim+json');
+    expect(body).toEqual({ schemas: [ERROR_SCHEMA], status: '400', scimType: 'invalidFilter', detail: expect.any(String) });
+  });
+});
+
+describe('SCIM users paging', () => {
+  it('pages through every employee with startIndex and count', async () => {
+    const ids = [];
+    for (const startIndex of [1, 6, 11]) {
+      const { status, body } = await scim(`/Users?startIndex=${startIndex}&count=5`);
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ schemas: [LIST_RESPONSE_SCHEMA], totalResults: 12, startIndex: startIndex });
+      expect(body.itemsPerPage).toBe(body.Resources.length);
+      ids.push(...body.Resources.map(user => user.id));
+    }
+    expect(ids).toHaveLength(12);
+    expect(new Set(ids).size).toBe(12);
+    expect(ids).toContain('BPCA-200003');
+  });
+
+  it.each([
+    ['count=0', '/Users?count=0', 1, 0],
+    ['a startIndex past the end', '/Users?startIndex=50&count=5', 50, 0],
+    ['startIndex=0 (read as 1)', '/Users?startIndex=0&count=2', 1, 2],
+    ['a count above 100 (capped)', '/Users?count=500', 1, 12]
+  ])('handles %s', async (_, path, startIndex, itemsPerPage) => {
+    const { status, body } = await scim(path);
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ totalResults: 12, startIndex, itemsPerPage });
+  });
+});
+
+describe('SCIM user by id', () => {
+  it('returns one user', async () => {
+    const { status, body } = await scim('/Users/BPCA-200003');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ id: 'BPCA-200003', userName: 'multi@example.com', title: 'Team Lead', active: true });
+    expect(body).not.toHaveProperty('Resources');
+  });
+
+  it.each(['BPML-999999', 'not-an-id-at-all', 'BPML_100001'])('answers an unknown id %s with a 404 SCIM error', async (id) => {
+    const { status, contentType, body } = await scim(`/Users/${id}`);
+    expect(status).toBe(404);
+    expect(contentType).toBe('application/scim+json');
+    expect(body).toEqual({ schemas: [ERROR_SCHEMA], status: '404', detail: `User ${id} not found` });
+  });
+});
+
+describe('SCIM errors', () => {
+  it('answers a missing key with a 401 SCIM error', async () => {
+    const { status, contentType, body } = await scim('/Users', {});
+    expect(status).toBe(401);
+    expect(contentType).toBe('application/scim+json');
+    expect(body).toMatchObject({ schemas: [ERROR_SCHEMA], status: '401' });
+  });
+
+  it('answers a UKG failure with a SCIM error of the same status', async () => {
+    const { status, body } = await byUserName('unavailable@example.com');
+    expect(status).toBe(503);
+    expect(body).toMatchObject({ schemas: [ERROR_SCHEMA], status: '503' });
+  });
+});
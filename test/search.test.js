@@ -0,0 +1,96 @@
+/**
+ * Employee search paging: the opaque cursor continues exactly where the previous page stopped,
+ * and only for the search (filters) it came from
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import worker from '../worker.js';
+
+const API_KEYS = JSON.stringify([{ client: 'directory-ui', key: 'search-key', scopes: ['search'] }]);
+
+async function search(query) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test/v1/employees/search?${query}`, {
+    headers: { 'X-API-Key': 'search-key' }
+  }), { ...env, API_KEYS }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+// Every page of a search, following nextCursor
+async function searchAllPages(query) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const { status, body } = await search(cursor ? `${query}&cursor=${cursor}` : query);
+    expect(status).toBe(200);
+    pages.push(body);
+    cursor = body.nextCursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+}
+
+const base64url = text => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const employeeKeys = records => records.map(record => `${record.companyCode}/${record.employeeNumber}`);
+
+describe('search cursor', () => {
+  it.each([
+    ['an email domain (FindSsoUsers)', 'domain=example.com&includeInactive=true'],
+    ['a company code (FindEmploymentInformations)', 'companyCode=BPML&includeInactive=true']
+  ])('pages through a search by %s without gaps or repeats', async (_, query) => {
+    const { body: everything } = await search(`${query}&limit=100`);
+    expect(everything.nextCursor).toBeNull();
+    expect(everything.count).toBeGreaterThan(3);
+
+    const pages = await searchAllPages(`${query}&limit=3`);
+    expect(pages.length).toBe(Math.ceil(everything.count / 3));
+    expect(pages.slice(0, -1).every(page => page.count === 3 && typeof page.nextCursor === 'string')).toBe(true);
+    expect(pages.at(-1).nextCursor).toBeNull();
+    expect(employeeKeys(pages.flatMap(page => page.records))).toEqual(employeeKeys(everything.records));
+  });
+
+  it('resumes in the middle of a UKG page', async () => {
+    const first = await search('lastName=Multi&includeInactive=true&limit=1');
+    expect(first.body.count).toBe(1);
+    expect(first.body.nextCursor).toMatch(/^[A-Za-z0-9_-]+$/);
+
+    const second = await search(`lastName=Multi&includeInactive=true&limit=1&cursor=${first.body.nextCursor}`);
+    expect(second.body.count).toBe(1);
+    expect(second.body.nextCursor).toBeNull();
+    expect(new Set(employeeKeys([...first.body.records, ...second.body.records]))).toEqual(new Set(['BPML/100003', 'BPCA/200003']));
+  });
+
+  it.each([
+    ['not base64', '!!!'],
+    ['not JSON', base64url('page two please')],
+    ['missing fields', base64url(JSON.stringify({ p: 1 }))],
+    ['a page number below 1', base64url(JSON.stringify({ p: 0, i: 0, n: 0, f: '{}' }))],
+    ['a negative position', base64url(JSON.stringify({ p: 1, i: -1, n: 0, f: '{}' }))]
+  ])('turns down a cursor that is %s with 400 INVALID_CURSOR', async (_, cursor) => {
+    const { status, body } = await search(`lastName=Multi&cursor=${cursor}`);
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ success: false, code: 'INVALID_CURSOR' });
+  });
+
+  it.each([
+    ['another name', 'lastName=Active&includeInactive=true&limit=1'],
+    ['another company', 'lastName=Multi&companyCode=BPCA&includeInactive=true&limit=1'],
+    ['active records only', 'lastName=Multi&limit=1'],
+    ['a status filter', 'lastName=Multi&status=TERMINATED&limit=1']
+  ])('turns down a cursor reused for %s with 400 INVALID_CURSOR', async (_, otherQuery) => {
+    const { body: first } = await search('lastName=Multi&includeInactive=true&limit=1');
+    expect(first.nextCursor).toBeTruthy();
+
+    const { status, body } = await search(`${otherQuery}&cursor=${first.nextCursor}`);
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_CURSOR');
+  });
+
+  it('accepts the cursor with a different limit', async () => {
+    const { body: first } = await search('lastName=Multi&includeInactive=true&limit=1');
+    const { status, body } = await search(`lastName=Multi&includeInactive=true&limit=50&cursor=${first.nextCursor}`);
+    expect(status).toBe(200);
+    expect(body.count).toBe(1);
+  });
+});
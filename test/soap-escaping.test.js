@@ -0,0 +1,207 @@
+/**
+ * Malicious input must never change the structure of the SOAP envelopes sent to UKG
+ */
+
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker, {
+  xml, rawXml, escapeXml, buildSoapEnvelope, isValidEmail, isValidEmployeeIdentifier,
+  parseXML, findXMLElement, findXMLElements, getXMLChildText
+} from '../worker.js';
+
+const INJECTED_ELEMENT = '</Password><Injected>true</Injected><Password>';
+const CDATA_BREAKOUT = 'x]]><Injected>true</Injected><![CDATA[';
+
+describe('escapeXml', () => {
+  it('escapes every XML metacharacter', () => {
+    expect(escapeXml(`<a href="x" title='y'>&amp;</a>`))
+      .toBe('&lt;a href=&quot;x&quot; title=&apos;y&apos;&gt;&amp;amp;&lt;/a&gt;');
+  });
+
+  it('cannot be closed out of with a CDATA terminator', () => {
+    expect(escapeXml(CDATA_BREAKOUT)).not.toContain(']]>');
+  });
+
+  it('drops characters XML 1.0 does not allow', () => {
+    expect(escapeXml('a\u0000b\u0008c\u001Fd￾e￿')).toBe('abcde');
+    expect(escapeXml('tab\tnewline\ncr\r')).toBe('tab\tnewline\ncr\r');
+  });
+
+  it('renders null and undefined as empty text', () => {
+    expect(escapeXml(null)).toBe('');
+    expect(escapeXml(undefined)).toBe('');
+    expect(escapeXml(42)).toBe('42');
+  });
+});
+
+describe('xml template tag', () => {
+  it('escapes interpolated values', () => {
+    const value = xml`<Password>${INJECTED_ELEMENT}</Password>`.toString();
+    const document = parseXML(value);
+    expect(findXMLElements(document, 'Password')).toHaveLength(1);
+    expect(findXMLElement(document, 'Injected')).toBeNull();
+    expect(getXMLChildText(document, 'Password')).toBe(INJECTED_ELEMENT);
+  });
+
+  it('escapes values placed in attributes', () => {
+    const document = parseXML(xml`<a title="${'" onload="x'}"/>`.toString());
+    expect(findXMLElement(document, 'a').attributes).toEqual({ title: '" onload="x' });
+  });
+
+  it('nests xml`` results and rawXml() without escaping them again', () => {
+    const inner = xml`<b>${'1 < 2'}</b>`;
+    expect(xml`<a>${inner}${rawXml('<c/>')}</a>`.toString()).toBe('<a><b>1 &lt; 2</b><c/></a>');
+  });
+
+  it('escapes every item of an array', () => {
+    expect(xml`<a>${['<x/>', xml`<y/>`]}</a>`.toString()).toBe('<a>&lt;x/&gt;<y/></a>');
+  });
+
+  it('keeps a CDATA breakout inside the element text', () => {
+    const document = parseXML(xml`<a>${CDATA_BREAKOUT}</a>`.toString());
+    expect(findXMLElement(document, 'Injected')).toBeNull();
+    expect(getXMLChildText(document, 'a')).toBe(CDATA_BREAKOUT);
+  });
+});
+
+describe('buildSoapEnvelope', () => {
+  it('escapes the action and service URL', () => {
+    const envelope = buildSoapEnvelope({
+      serviceUrl: 'https://ukg.example/services/X?a=1&b=<2>',
+      action: '"><Injected/>',
+      body: xml`<Body/>`
+    });
+    const document = parseXML(envelope);
+    expect(findXMLElement(document, 'Injected')).toBeNull();
+    expect(getXMLChildText(document, 'To')).toBe('https://ukg.example/services/X?a=1&b=<2>');
+    expect(getXMLChildText(document, 'Action')).toBe('"><Injected/>');
+  });
+});
+
+describe('isValidEmail', () => {
+  it.each([
+    'jane.doe@example.com',
+    "o'brien@example.co.uk",
+    'a&b+tag@sub-domain.example.com'
+  ])('accepts %s', (email) => {
+    expect(isValidEmail(email)).toBe(true);
+  });
+
+  it.each([
+    ['markup', '<script>@example.com'],
+    ['an injected element', 'a</ClientUserName><x>@example.com'],
+    ['a CDATA terminator in the domain', 'a@example.com]]>'],
+    ['a quote', 'a"b@example.com'],
+    ['whitespace', 'jane doe@example.com'],
+    ['a newline', 'jane@example.com\n'],
+    ['a NUL character', 'jane\u0000@example.com'],
+    ['two @ signs', 'a@b@example.com'],
+    ['no domain dot', 'jane@localhost'],
+    ['a domain starting with a hyphen', 'jane@-example.com'],
+    ['an empty string', ''],
+    ['a non-string', 42],
+    ['an array', ['jane@example.com']],
+    ['null', null],
+    ['an oversized address', `${'a'.repeat(250)}@example.com`]
+  ])('rejects %s', (label, email) => {
+    expect(isValidEmail(email)).toBe(false);
+  });
+
+  it('accepts an address right at the length limit', () => {
+    const email = `${'a'.repeat(64)}@${'b'.repeat(63)}.${'c'.repeat(63)}.${'d'.repeat(57)}.com`;
+    expect(email).toHaveLength(254);
+    expect(isValidEmail(email)).toBe(true);
+    expect(isValidEmail(`a${email}`)).toBe(false);
+  });
+});
+
+describe('isValidEmployeeIdentifier', () => {
+  it('accepts alphanumeric codes', () => {
+    expect(isValidEmployeeIdentifier('BPML', '100001')).toBe(true);
+  });
+
+  it.each([
+    ['<x>', '1'],
+    ['BPML', '1</EmployeeNumber>'],
+    ['BPML', ''],
+    ['BPML', 100001],
+    ['B'.repeat(11), '1'],
+    ['BPML', '1'.repeat(21)]
+  ])('rejects %j / %j', (companyCode, employeeNumber) => {
+    expect(isValidEmployeeIdentifier(companyCode, employeeNumber)).toBe(false);
+  });
+});
+
+describe('outgoing SOAP requests', () => {
+  const hostileEnv = {
+    ...env,
+    UKG_USERNAME: `user${CDATA_BREAKOUT}`,
+    UKG_PASSWORD: INJECTED_ELEMENT,
+    UKG_CUSTOMER_API_KEY: `key'"&<>`
+  };
+  let fetchSpy;
+
+  async function call(path, options = {}) {
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+      ...options,
+      headers: { 'X-API-Key': env.WORKER_API_KEY, 'Content-Type': 'application/json' }
+    }), hostileEnv, ctx);
+    await waitOnExecutionContext(ctx);
+    return response;
+  }
+
+  function sentEnvelopes(serviceName) {
+    return fetchSpy.mock.calls
+      .filter(([url]) => String(url).endsWith(`/services/${serviceName}`))
+      .map(([, init]) => init.body);
+  }
+
+  beforeEach(async () => {
+    // Drop any cached token so the lookup logs in with the hostile credentials
+    await call('/v1/token/invalidate', { method: 'POST' });
+    fetchSpy = vi.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('escapes the UKG credentials in the login request', async () => {
+    await call('/v1/employees/lookup?email=active@example.com');
+
+    const [loginEnvelope] = sentEnvelopes('LoginService');
+    expect(loginEnvelope).toContain('&lt;/Password&gt;&lt;Injected&gt;');
+    const document = parseXML(loginEnvelope);
+    expect(findXMLElement(document, 'Injected')).toBeNull();
+    expect(getXMLChildText(document, 'Password')).toBe(INJECTED_ELEMENT);
+    expect(getXMLChildText(document, 'UserName')).toBe(`user${CDATA_BREAKOUT}`);
+    expect(getXMLChildText(document, 'ClientAccessKey')).toBe(`key'"&<>`);
+  });
+
+  it('escapes the email in the SSO lookup', async () => {
+    const email = "o'brien&co@example.com";
+    const response = await call(`/v1/employees/lookup?email=${encodeURIComponent(email)}`);
+    expect(response.status).toBe(404);
+
+    const [ssoEnvelope] = sentEnvelopes('EmployeeSsoUser');
+    expect(ssoEnvelope).toContain('o&apos;brien&amp;co@example.com');
+    expect(getXMLChildText(parseXML(ssoEnvelope), 'ClientUserName')).toBe(email);
+  });
+
+  it('rejects an email carrying markup before calling UKG', async () => {
+    const response = await call(`/v1/employees/lookup?email=${encodeURIComponent('a</ClientUserName><x>@example.com')}`);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.code).toBe('INVALID_EMAIL');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('rejects an identifier carrying markup before calling UKG', async () => {
+    const response = await call(`/v1/employees/${encodeURIComponent('<x>')}/100001`);
+
+    expect(response.status).toBe(400);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tenant isolation with UKG_TENANTS: "us" and "ca" reach the UKG mock under their own hosts and
+ * credentials. A login token, cached lookup or directory entry of one tenant is never used for the other.
+ */
+
+import { env, createScheduledController, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../worker.js';
+
+const TENANTS = {
+  UKG_TENANTS: JSON.stringify([{ name: 'us', baseUrl: 'http://us.ukg.mock' }, { name: 'ca', baseUrl: 'http://ca.ukg.mock' }]),
+  UKG_US_CUSTOMER_API_KEY: 'us-customer-key',
+  UKG_US_USER_API_KEY: 'us-user-key',
+  UKG_US_USERNAME: 'us-integration',
+  UKG_US_PASSWORD: 'us-password',
+  UKG_CA_CUSTOMER_API_KEY: 'ca-customer-key',
+  UKG_CA_USER_API_KEY: 'ca-user-key',
+  UKG_CA_USERNAME: 'ca-integration',
+  UKG_CA_PASSWORD: 'ca-password'
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+async function call(path, overrides = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    headers: { 'X-API-Key': 'test-api-key' }
+  }), { ...env, ...TENANTS, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, cache: response.headers.get('X-Cache'), body: await response.json() };
+}
+
+// Every UKG call as { host, service, body }
+function recordUKGCalls() {
+  const calls = [];
+  const originalFetch = globalThis.fetch;
+  vi.spyOn(globalThis, 'fetch').mockImplementation((url, init) => {
+    const { host, pathname } = new URL(String(url));
+    calls.push({ host, service: pathname.split('/').pop(), body: String(init && init.body) });
+    return originalFetch(url, init);
+  });
+  return calls;
+}
+
+const tokenOf = call => /<(?:\w+:)?UltiProToken\b[^>]*>([^<]*)</.exec(call.body)?.[1];
+
+describe('tenant isolation', () => {
+  it('logs in to each tenant with its own credentials and never sends one tenant\'s token to the other', async () => {
+    const calls = recordUKGCalls();
+    expect((await call('/v1/employees/lookup?email=active@example.com&tenant=us&fresh=true')).status).toBe(200);
+    expect((await call('/v1/employees/lookup?email=active@example.com&tenant=ca&fresh=true')).status).toBe(200);
+
+    const logins = calls.filter(entry => entry.service === 'LoginService');
+    expect(logins.map(login => login.host)).toEqual(['us.ukg.mock', 'ca.ukg.mock']);
+    expect(logins[0].body).toContain('us-password');
+    expect(logins[0].body).not.toContain('ca-');
+    expect(logins[1].body).toContain('ca-password');
+    expect(logins[1].body).not.toContain('us-');
+
+    const dataCalls = calls.filter(entry => entry.service !== 'LoginService');
+    const usTokens = new Set(dataCalls.filter(entry => entry.host === 'us.ukg.mock').map(tokenOf));
+    const caTokens = new Set(dataCalls.filter(entry => entry.host === 'ca.ukg.mock').map(tokenOf));
+    expect(usTokens.size).toBe(1);
+    expect(caTokens.size).toBe(1);
+    expect([...usTokens][0]).not.toBe([...caTokens][0]);
+  });
+
+  it('does not answer one tenant from another tenant\'s cached lookup', async () => {
+    expect((await call('/v1/employees/lookup?email=leave@example.com&tenant=us')).cache).toBe('MISS');
+    expect((await call('/v1/employees/lookup?email=leave@example.com&tenant=us')).cache).toBe('HIT');
+
+    const calls = recordUKGCalls();
+    const ca = await call('/v1/employees/lookup?email=leave@example.com&tenant=ca');
+    expect(ca.cache).toBe('MISS');
+    expect(ca.body.tenant).toBe('ca');
+    expect(calls.length).toBeGreaterThan(0);
+    expect(calls.every(entry => entry.host === 'ca.ukg.mock')).toBe(true);
+
+    expect((await call('/v1/employees/BPML/100005?tenant=us')).cache).toBe('MISS');
+    expect((await call('/v1/employees/BPML/100005?tenant=ca')).cache).toBe('MISS');
+  });
+
+  it('does not answer one tenant from another tenant\'s directory', async () => {
+    // Sync only "us"
+    const ctx = createExecutionContext();
+    await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), {
+      ...env,
+      ...TENANTS,
+      UKG_TENANTS: JSON.stringify([{ name: 'us', baseUrl: 'http://us.ukg.mock' }])
+    }, ctx);
+    await waitOnExecutionContext(ctx);
+
+    const us = await call('/v1/employees/lookup?email=director@example.com&tenant=us');
+    expect(us.body).toMatchObject({ tenant: 'us', dataSource: 'Employee directory (synced from UKG)' });
+
+    const calls = recordUKGCalls();
+    const ca = await call('/v1/employees/lookup?email=director@example.com&tenant=ca');
+    expect(ca.status).toBe(200);
+    expect(ca.body.tenant).toBe('ca');
+    expect(ca.body).not.toHaveProperty('directorySyncedAt');
+    expect(calls.some(entry => entry.host === 'ca.ukg.mock')).toBe(true);
+
+    expect((await call('/v1/directory/status?tenant=ca')).body).toMatchObject({ watermark: null, lastSync: null });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * UKG login token reuse. This file runs in its own isolate, so the token cache starts cold.
+ */
+
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function countLogins(fetchSpy) {
+  return fetchSpy.mock.calls.filter(([url]) => String(url).endsWith('/services/LoginService')).length;
+}
+
+describe('UKG login token', () => {
+  it('logs in once for a batch on a cold token cache', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const emails = ['active@example.com', 'leave@example.com', 'multi@example.com', 'multi-active@example.com', 'director@example.com'];
+    const response = await SELF.fetch('https://worker.test/v1/employees/batch', {
+      method: 'POST',
+      headers: { 'X-API-Key': 'test-api-key', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ emails: emails })
+    });
+    const body = await response.json();
+
+    expect(body.succeeded).toBe(emails.length);
+    expect(countLogins(fetchSpy)).toBe(1);
+  });
+
+  it('reuses the cached token for later requests', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const response = await SELF.fetch('https://worker.test/v1/employees/BPML/100001', { headers: { 'X-API-Key': 'test-api-key' } });
+
+    expect(response.status).toBe(200);
+    expect(countLogins(fetchSpy)).toBe(0);
+  });
+});
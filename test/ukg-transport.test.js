@@ -0,0 +1,147 @@
+/**
+ * SOAP transport: timeouts, retries with backoff and the per-host circuit breaker. Every test
+ * uses its own UKG host, so each starts with a closed circuit.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { sendSoapRequest } from '../worker.js';
+
+const SOAP_FAULT = `<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">
+  <s:Body><s:Fault><s:Code><s:Value>s:Receiver</s:Value></s:Code><s:Reason><s:Text>Internal error</s:Text></s:Reason></s:Fault></s:Body>
+</s:Envelope>`;
+
+const ENV = {
+  UKG_MAX_RETRIES: '2',
+  UKG_RETRY_BASE_DELAY_MS: '1',
+  UKG_TIMEOUT_MS: '50',
+  UKG_CIRCUIT_FAILURE_THRESHOLD: '2',
+  UKG_CIRCUIT_COOLDOWN_MS: '50'
+};
+
+let hostNumber = 0;
+
+function serviceUrl() {
+  hostNumber++;
+  return `http://ukg-${hostNumber}.test/services/EmployeeSsoUser`;
+}
+
+function send(url, options = {}) {
+  return sendSoapRequest({ ...ENV, ...options.env }, url, '<Envelope/>', { serviceName: 'EmployeeSsoUser', ...options });
+}
+
+function respondWith(...responses) {
+  const fetchSpy = vi.spyOn(globalThis, 'fetch');
+  for (const response of responses) {
+    fetchSpy.mockImplementationOnce(async () => response);
+  }
+  return fetchSpy;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('retries', () => {
+  it('retries a 503 with backoff and returns the answer that follows', async () => {
+    const fetchSpy = respondWith(new Response('busy', { status: 503 }), new Response('busy', { status: 502 }), new Response('ok'));
+    const response = await send(serviceUrl());
+    expect(await response.text()).toBe('ok');
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries an attempt that timed out', async () => {
+    // The first attempt only ends when the per-attempt timeout aborts it
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+      .mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      }))
+      .mockImplementationOnce(async () => new Response('ok'));
+    const response = await send(serviceUrl());
+    expect(await response.text()).toBe('ok');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after UKG_MAX_RETRIES with UKG_UNAVAILABLE', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('busy', { status: 503 }));
+    await expect(send(serviceUrl(), { env: { UKG_CIRCUIT_FAILURE_THRESHOLD: '10' } }))
+      .rejects.toMatchObject({ code: 'UKG_UNAVAILABLE', upstreamStatus: 503 });
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+  });
+
+  it('returns a SOAP fault without retrying', async () => {
+    const fetchSpy = respondWith(new Response(SOAP_FAULT, { status: 500 }));
+    const response = await send(serviceUrl());
+    expect(response.status).toBe(500);
+    expect(await response.text()).toBe(SOAP_FAULT);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry calls that are not idempotent', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('busy', { status: 503 }));
+    await expect(send(serviceUrl(), { idempotent: false })).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE' });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('circuit breaker', () => {
+  async function openCircuit(url) {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('busy', { status: 503 }));
+    await expect(send(url, { env: { UKG_MAX_RETRIES: '0' } })).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE' });
+    await expect(send(url, { env: { UKG_MAX_RETRIES: '0' } })).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE' });
+    vi.restoreAllMocks();
+  }
+
+  it('opens after the failure threshold and fails fast without calling UKG', async () => {
+    const url = serviceUrl();
+    await openCircuit(url);
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    const error = await send(url).catch(caught => caught);
+    expect(error).toMatchObject({ code: 'UKG_UNAVAILABLE', status: 503 });
+    expect(error.retryAfterSeconds).toBeGreaterThan(0);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('lets a single trial call through after the cooldown and closes on its success', async () => {
+    const url = serviceUrl();
+    await openCircuit(url);
+    await sleep(60);
+
+    let answerTrial;
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(() => new Promise(resolve => {
+      answerTrial = () => resolve(new Response('ok'));
+    }));
+    const trial = send(url);
+    await sleep(0);
+
+    // Half-open: the other calls fail fast while the trial is in flight
+    await expect(send(url)).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE' });
+    await expect(send(url)).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE' });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    answerTrial();
+    expect(await (await trial).text()).toBe('ok');
+
+    // Closed again
+    fetchSpy.mockImplementation(async () => new Response('ok'));
+    expect(await (await send(url)).text()).toBe('ok');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('re-opens when the trial call fails, without retrying it', async () => {
+    const url = serviceUrl();
+    await openCircuit(url);
+    await sleep(60);
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('busy', { status: 503 }));
+    await expect(send(url)).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE', upstreamStatus: 503 });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+    await expect(send(url)).rejects.toMatchObject({ code: 'UKG_UNAVAILABLE', retryAfterSeconds: 1 });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Webhooks for the changes the directory sync finds: the diff, signed delivery to subscribers
+ * (answered here by a mock subscriber at https://hooks.test), retries on later cron runs, dead
+ * letters and replay
+ */
+
+import { env, createScheduledController, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker, { detectEmployeeChanges } from '../worker.js';
+
+const SUBSCRIBERS = [
+  { name: 'access-revocation', url: 'https://hooks.test/revocation', secret: 'revocation-secret', events: ['employee.terminated', 'employee.transferred'] },
+  { name: 'hris', url: 'https://hooks.test/hris', secret: 'hris-secret' }
+];
+
+const WEBHOOK_ENV = { WEBHOOK_SUBSCRIBERS: JSON.stringify(SUBSCRIBERS), WEBHOOK_RETRY_BASE_DELAY_MS: '0' };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+async function runCron(overrides = {}) {
+  const ctx = createExecutionContext();
+  await worker.scheduled(createScheduledController({ cron: '*/10 * * * *' }), { ...env, ...WEBHOOK_ENV, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+async function admin(path, body = null) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'X-API-Key': 'test-api-key', 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : null
+  }), { ...env, ...WEBHOOK_ENV }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+// Answers every delivery with answer(delivery) and records it; UKG calls go on to the mock
+function mockSubscribers(answer = () => new Response('ok')) {
+  const deliveries = [];
+  const originalFetch = globalThis.fetch;
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+    if (!String(url).startsWith('https://hooks.test/')) {
+      return originalFetch(url, init);
+    }
+    const delivery = { url: String(url), headers: new Headers(init.headers), body: init.body, event: JSON.parse(init.body) };
+    deliveries.push(delivery);
+    return answer(delivery);
+  });
+  return deliveries;
+}
+
+// A first sync for the baseline, then directory rows changed so the next run sees
+// a termination, a rehire and a transfer (multi@example.com: BPML terminated, BPCA hired)
+async function syncBaselineAndChangeDirectory() {
+  await runCron();
+  await env.DIRECTORY_DB.batch([
+    env.DIRECTORY_DB.prepare(`UPDATE directory_employment SET details = '{}', employment_status = 'A' WHERE employee_key IN ('BPML:100002', 'BPML:100003')`),
+    env.DIRECTORY_DB.prepare(`UPDATE directory_employment SET details = '{}', employment_status = 'T' WHERE employee_key = 'BPML:100001'`),
+    env.DIRECTORY_DB.prepare(`DELETE FROM directory_employment WHERE employee_key = 'BPCA:200003'`)
+  ]);
+  await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+  return [...signature].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+describe('change detection', () => {
+  const state = (status, email = 'jane@example.com') => ({ status, hireDate: '2019-04-01T00:00:00', terminationDate: null, email });
+  const typesOf = events => events.map(event => event.type);
+
+  it('finds hires, terminations, rehires and other status changes', () => {
+    const previous = { 'BPML:1': state('A'), 'BPML:2': state('T'), 'BPML:3': state('L'), 'BPML:4': state('P'), 'BPML:5': state('A') };
+    const current = { 'BPML:1': state('T'), 'BPML:2': state('A'), 'BPML:3': state('A'), 'BPML:4': state('A'), 'BPML:5': state('A'), 'BPML:6': state('A') };
+    const events = detectEmployeeChanges(previous, Object.fromEntries(Object.entries(current).map(([key, value], index) =>
+      [key, { ...value, email: `e${index}@example.com` }])), '2026-10-19T06:00:00.000Z', 'us');
+
+    expect(typesOf(events)).toEqual(['employee.terminated', 'employee.rehired', 'employee.status_changed', 'employee.hired', 'employee.hired']);
+    expect(events[0]).toMatchObject({
+      id: expect.stringMatching(/^evt_/),
+      tenant: 'us',
+      detectedAt: '2026-10-19T06:00:00.000Z',
+      data: {
+        companyCode: 'BPML',
+        employeeNumber: '1',
+        email: 'e0@example.com',
+        previous: { employmentStatus: 'ACTIVE', employmentStatusCode: 'A' },
+        current: { employmentStatus: 'TERMINATED', employmentStatusCode: 'T' }
+      }
+    });
+    expect(events[4].data).toMatchObject({ employeeNumber: '6', previous: null });
+  });
+
+  it('ignores unchanged employees and new ones that are not active', () => {
+    expect(detectEmployeeChanges({ 'BPML:1': state('A') }, { 'BPML:1': state('A'), 'BPML:2': state('T'), 'BPML:3': state('P') }, 'now')).toEqual([]);
+  });
+
+  it('pairs a termination and a hire with the same email in another company into a transfer', () => {
+    const events = detectEmployeeChanges({ 'BPML:1': state('A') }, { 'BPML:1': state('T'), 'BPCA:9': state('A') }, 'now');
+    expect(typesOf(events)).toEqual(['employee.transferred']);
+    expect(events[0].data).toMatchObject({
+      email: 'jane@example.com',
+      from: { companyCode: 'BPML', employeeNumber: '1', employmentStatusCode: 'T' },
+      to: { companyCode: 'BPCA', employeeNumber: '9', employmentStatusCode: 'A' }
+    });
+    expect(events[0]).not.toHaveProperty('tenant');
+  });
+});
+
+describe('webhook delivery', () => {
+  it('sends nothing for the baseline run', async () => {
+    const deliveries = mockSubscribers();
+    await runCron();
+    expect(deliveries).toEqual([]);
+  });
+
+  it('sends each change to the subscribers of its type with a signed POST', async () => {
+    await syncBaselineAndChangeDirectory();
+    const deliveries = mockSubscribers();
+    await runCron();
+
+    const received = deliveries.map(delivery => `${delivery.url} ${delivery.event.type}`).sort();
+    expect(received).toEqual([
+      'https://hooks.test/hris employee.rehired',
+      'https://hooks.test/hris employee.terminated',
+      'https://hooks.test/hris employee.transferred',
+      'https://hooks.test/revocation employee.terminated',
+      'https://hooks.test/revocation employee.transferred'
+    ]);
+
+    const transfer = deliveries.find(delivery => delivery.event.type === 'employee.transferred');
+    expect(transfer.event.data).toMatchObject({
+      email: 'multi@example.com',
+      from: { companyCode: 'BPML', employeeNumber: '100003' },
+      to: { companyCode: 'BPCA', employeeNumber: '200003' }
+    });
+
+    for (const { url, headers, body, event } of deliveries) {
+      const secret = SUBSCRIBERS.find(subscriber => subscriber.url === url).secret;
+      const timestamp = headers.get('X-Webhook-Timestamp');
+      expect(headers.get('Content-Type')).toBe('application/json');
+      expect(headers.get('X-Webhook-Id')).toBe(event.id);
+      expect(headers.get('X-Webhook-Event')).toBe(event.type);
+      expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(60);
+      expect(headers.get('X-Webhook-Signature')).toBe(`v1=${await hmacHex(secret, `${timestamp}.${body}`)}`);
+    }
+
+    const { body } = await admin('/v1/directory/status');
+    expect(body.lastSync).toMatchObject({ events: 3, webhookDeliveries: { delivered: 5, failed: 0 } });
+  });
+
+  it('queues a failed delivery for the next cron run instead of waiting, then dead-letters it', async () => {
+    await syncBaselineAndChangeDirectory();
+    const deliveries = mockSubscribers(delivery => new Response('busy', { status: delivery.url.endsWith('/hris') ? 503 : 200 }));
+    const sleep = vi.spyOn(globalThis, 'setTimeout');
+    await runCron({ WEBHOOK_MAX_ATTEMPTS: '2' });
+    // Only the per-attempt timeouts are scheduled, never a backoff
+    expect(sleep.mock.calls.every(([, delayMs]) => delayMs === 10000)).toBe(true);
+    expect(deliveries.filter(delivery => delivery.url.endsWith('/hris'))).toHaveLength(3);
+    expect((await admin('/v1/webhooks/dead-letters')).body.count).toBe(0);
+
+    // The next run retries only the three failed deliveries; their second failure is their last attempt
+    deliveries.length = 0;
+    await runCron({ WEBHOOK_MAX_ATTEMPTS: '2' });
+    expect(deliveries.map(delivery => delivery.url)).toEqual(Array(3).fill('https://hooks.test/hris'));
+
+    const { status, body } = await admin('/v1/webhooks/dead-letters');
+    expect(status).toBe(200);
+    expect(body.count).toBe(3);
+    expect(body.deadLetters[0]).toMatchObject({
+      eventId: expect.stringMatching(/^evt_/),
+      subscriber: 'hris',
+      attempts: 2,
+      lastStatus: 503,
+      lastError: 'HTTP 503'
+    });
+
+    deliveries.length = 0;
+    await runCron({ WEBHOOK_MAX_ATTEMPTS: '2' });
+    expect(deliveries).toEqual([]);
+  });
+
+  it('retries on a later run only once the backoff has passed', async () => {
+    await syncBaselineAndChangeDirectory();
+    let subscriberUp = false;
+    const deliveries = mockSubscribers(() => subscriberUp ? new Response('ok') : new Response('down', { status: 502 }));
+    await runCron({ WEBHOOK_RETRY_BASE_DELAY_MS: '3600000' });
+    expect(deliveries).toHaveLength(5);
+
+    deliveries.length = 0;
+    subscriberUp = true;
+    await runCron({ WEBHOOK_RETRY_BASE_DELAY_MS: '3600000' });
+    expect(deliveries).toEqual([]);
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 3600 * 1000 + 1000);
+    await runCron();
+    expect(deliveries).toHaveLength(5);
+    expect((await admin('/v1/webhooks/dead-letters')).body.count).toBe(0);
+  });
+
+  it('dead-letters a delivery the subscriber turns down with a 4xx without retrying it', async () => {
+    await syncBaselineAndChangeDirectory();
+    const deliveries = mockSubscribers(delivery => new Response('no', { status: delivery.url.endsWith('/revocation') ? 400 : 200 }));
+    await runCron();
+
+    const { body } = await admin('/v1/webhooks/dead-letters');
+    expect(body.deadLetters.map(deadLetter => [deadLetter.subscriber, deadLetter.attempts, deadLetter.lastStatus]))
+      .toEqual([['access-revocation', 1, 400], ['access-revocation', 1, 400]]);
+
+    deliveries.length = 0;
+    await runCron();
+    expect(deliveries).toEqual([]);
+  });
+});
+
+describe('replay', () => {
+  it('replays every dead letter and clears the delivered ones', async () => {
+    await syncBaselineAndChangeDirectory();
+    let status = 500;
+    const deliveries = mockSubscribers(delivery => new Response('', { status: delivery.url.endsWith('/revocation') ? status : 200 }));
+    await runCron({ WEBHOOK_MAX_ATTEMPTS: '1' });
+    expect((await admin('/v1/webhooks/dead-letters')).body.count).toBe(2);
+
+    // A failed replay keeps the dead letter
+    const failed = await admin('/v1/webhooks/replay', { deadLetters: true });
+    expect(failed.body).toMatchObject({ success: true, replayed: 2, delivered: 0, failed: 2 });
+    expect((await admin('/v1/webhooks/dead-letters')).body.count).toBe(2);
+
+    status = 200;
+    deliveries.length = 0;
+    const replayed = await admin('/v1/webhooks/replay', { deadLetters: true });
+    expect(replayed.status).toBe(200);
+    expect(replayed.body).toMatchObject({ success: true, replayed: 2, delivered: 2, failed: 0 });
+    expect(replayed.body.results.every(result => result.delivered && result.subscriber === 'access-revocation')).toBe(true);
+    expect(deliveries.map(delivery => delivery.event.type).sort()).toEqual(['employee.terminated', 'employee.transferred']);
+    expect((await admin('/v1/webhooks/dead-letters')).body).toEqual({ success: true, count: 0, deadLetters: [] });
+  });
+
+  it('sends stored events again by ID, to one subscriber or to every subscriber of the type', async () => {
+    await syncBaselineAndChangeDirectory();
+    const deliveries = mockSubscribers();
+    await runCron();
+    const rehired = deliveries.find(delivery => delivery.event.type === 'employee.rehired').event;
+
+    deliveries.length = 0;
+    const toEveryone = await admin('/v1/webhooks/replay', { eventIds: [rehired.id, 'evt_unknown'] });
+    expect(toEveryone.body.results).toEqual([
+      expect.objectContaining({ eventId: rehired.id, subscriber: 'hris', delivered: true }),
+      { eventId: 'evt_unknown', delivered: false, error: 'Event not found (expired or never stored)' }
+    ]);
+    expect(deliveries.map(delivery => delivery.event)).toEqual([rehired]);
+
+    deliveries.length = 0;
+    const toOne = await admin('/v1/webhooks/replay', { eventIds: [rehired.id], subscriber: 'access-revocation' });
+    expect(toOne.body).toMatchObject({ replayed: 1, delivered: 1 });
+    expect(deliveries.map(delivery => delivery.url)).toEqual(['https://hooks.test/revocation']);
+  });
+
+  it.each([
+    ['an empty body', null],
+    ['no event IDs', { eventIds: [] }],
+    ['deadLetters other than true', { deadLetters: 'yes' }]
+  ])('turns down %s with 400 INVALID_REPLAY_REQUEST', async (_, body) => {
+    const { status, body: error } = await admin('/v1/webhooks/replay', body || {});
+    expect(status).toBe(400);
+    expect(error.code).toBe('INVALID_REPLAY_REQUEST');
+  });
+});
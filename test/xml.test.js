@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the SOAP response parser against captured UKG responses
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseXML, findXMLElement, findXMLElements, getXMLText, getXMLChildText } from '../worker.js';
+import { SSO_USER_RESPONSE, EMPLOYMENT_INFORMATION_RESPONSE, TOKEN_FAULT_RESPONSE } from './fixtures/ukg-responses.js';
+
+const SOAP_NAMESPACE = 'http://www.w3.org/2003/05/soap-envelope';
+const CONTRACTS_NAMESPACE = 'http://www.ultipro.com/contracts';
+
+describe('parseXML', () => {
+  it('resolves prefixed and default namespaces', () => {
+    const document = parseXML(SSO_USER_RESPONSE);
+    const envelope = document.children[0];
+    expect(envelope).toMatchObject({ prefix: 's', localName: 'Envelope', namespaceURI: SOAP_NAMESPACE });
+
+    const response = findXMLElement(document, 'GetSsoUserByClientUserNameResponse');
+    expect(response.prefix).toBeNull();
+    expect(response.namespaceURI).toBe('http://www.ultipro.com/services/employeessouser');
+
+    const clientUserName = findXMLElement(document, 'ClientUserName');
+    expect(clientUserName).toMatchObject({ prefix: 'b', namespaceURI: CONTRACTS_NAMESPACE });
+    expect(getXMLText(clientUserName)).toBe('jane.doe@example.com');
+  });
+
+  it('matches local names whatever the prefix, and can restrict the namespace', () => {
+    const document = parseXML(SSO_USER_RESPONSE);
+    expect(getXMLChildText(document, 'employeenumber')).toBe('100624');
+    expect(findXMLElement(document, 'Action', 'http://www.w3.org/2005/08/addressing')).not.toBeNull();
+    expect(findXMLElement(document, 'Action', CONTRACTS_NAMESPACE)).toBeNull();
+    expect(findXMLElement(document, 'Body', SOAP_NAMESPACE).children).toHaveLength(1);
+  });
+
+  it('decodes entities and numeric character references', () => {
+    const document = parseXML(EMPLOYMENT_INFORMATION_RESPONSE);
+    expect(getXMLChildText(document, 'JobTitle')).toBe('Research & Development Lead – Café');
+  });
+
+  it('keeps CDATA content as literal text', () => {
+    const document = parseXML(EMPLOYMENT_INFORMATION_RESPONSE);
+    expect(getXMLChildText(document, 'Notes')).toBe('<b>Rehire</b> eligible & confirmed');
+    expect(findXMLElement(findXMLElement(document, 'Notes'), 'b')).toBeNull();
+  });
+
+  it('reads xsi:nil as null whatever prefix is bound to the XSI namespace', () => {
+    const ssoDocument = parseXML(SSO_USER_RESPONSE);
+    expect(findXMLElement(ssoDocument, 'PagingInfo').isNil).toBe(true);
+    expect(getXMLChildText(ssoDocument, 'PagingInfo')).toBeNull();
+
+    const employmentDocument = parseXML(EMPLOYMENT_INFORMATION_RESPONSE);
+    const [first, second] = findXMLElements(employmentDocument, 'TerminationDate');
+    expect(getXMLText(first)).toBeNull();
+    expect(getXMLText(second)).toBe('2018-12-31T00:00:00');
+  });
+
+  it('does not treat nil="true" in another namespace as nil', () => {
+    const document = parseXML('<r xmlns:o="urn:other"><v o:nil="true">kept</v></r>');
+    expect(getXMLChildText(document, 'v')).toBe('kept');
+  });
+
+  it('returns repeated elements in document order', () => {
+    const document = parseXML(EMPLOYMENT_INFORMATION_RESPONSE);
+    const records = findXMLElements(document, 'EmploymentInformation');
+    expect(records).toHaveLength(2);
+    expect(records.map(record => getXMLChildText(record, 'CompanyCode'))).toEqual(['BPML', 'BPCA']);
+    expect(records.map(record => getXMLChildText(record, 'EmploymentStatus'))).toEqual(['A', 'T']);
+    expect(getXMLChildText(document, 'CompanyCode')).toBe('BPML');
+  });
+
+  it('records element positions in the source text', () => {
+    const document = parseXML(SSO_USER_RESPONSE);
+    const ssoUser = findXMLElement(document, 'SsoUser');
+    const source = SSO_USER_RESPONSE.slice(ssoUser.start, ssoUser.end);
+    expect(source.startsWith('<b:SsoUser>')).toBe(true);
+    expect(source.endsWith('</b:SsoUser>')).toBe(true);
+  });
+
+  it('parses a SOAP fault', () => {
+    const document = parseXML(TOKEN_FAULT_RESPONSE);
+    const fault = findXMLElement(document, 'Fault', SOAP_NAMESPACE);
+    expect(getXMLChildText(fault, 'Value')).toBe('s:Sender');
+    expect(getXMLChildText(fault, 'Text')).toBe('The security token is invalid or expired');
+    expect(findXMLElement(fault, 'Text').attributes['xml:lang']).toBe('en-US');
+  });
+
+  it('ignores ">" inside quoted attribute values', () => {
+    const document = parseXML('<r><v note="a > b" other=\'c > d\'>x</v></r>');
+    expect(findXMLElement(document, 'v').attributes).toEqual({ note: 'a > b', other: 'c > d' });
+    expect(getXMLChildText(document, 'v')).toBe('x');
+  });
+
+  it('leaves unknown entities undecoded', () => {
+    expect(getXMLChildText(parseXML('<r>&nbsp;&amp;</r>'), 'r')).toBe('&nbsp;&');
+  });
+
+  it.each([
+    ['a truncated response', SSO_USER_RESPONSE.slice(0, 400), /Unclosed element|Unterminated tag/],
+    ['an unterminated tag', '<s:Envelope><s:Body', /Unterminated tag/],
+    ['a mismatched closing tag', '<a><b></a></b>', /Unexpected closing tag <\/a>/],
+    ['an unterminated CDATA section', '<a><![CDATA[never closed</a>', /Missing "\]\]>"/],
+    ['text outside the root element', 'oops<a/>', /Text outside of the root element/],
+    ['an element without a name', '<a>< /></a>', /Element without a name/]
+  ])('rejects %s', (label, xmlText, message) => {
+    expect(() => parseXML(xmlText)).toThrow(message);
+  });
+});
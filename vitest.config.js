@@ -0,0 +1,48 @@
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
+import { kCurrentWorker } from 'miniflare';
+
+// The tests run worker.js in workerd; every UKG call it makes is answered by mock/ukg-mock.js
+export default defineWorkersConfig(async () => ({
+  test: {
+    // Applies migrations/ to the D1 databases before each test file
+    setupFiles: ['./test/apply-migrations.js'],
+    poolOptions: {
+      workers: {
+        main: './worker.js',
+        miniflare: {
+          compatibilityDate: '2024-09-23',
+          compatibilityFlags: ['nodejs_compat'],
+          bindings: {
+            UKG_CUSTOMER_API_KEY: 'test-customer-key',
+            UKG_USER_API_KEY: 'test-user-key',
+            UKG_USERNAME: 'integration-user',
+            UKG_PASSWORD: 'integration-password',
+            UKG_BASE_URL: 'http://ukg.mock',
+            WORKER_API_KEY: 'test-api-key',
+            UKG_MAX_RETRIES: '0',
+            UKG_CIRCUIT_FAILURE_THRESHOLD: '1000',
+            RATE_LIMIT_REQUESTS: '10000',
+            GLOBAL_RATE_LIMIT_REQUESTS: '10000',
+            RESPONSE_VALIDATION: 'strict',
+            LOG_LEVEL: 'error',
+            TEST_MIGRATIONS: await readD1Migrations('./migrations')
+          },
+          d1Databases: ['DIRECTORY_DB', 'AUDIT_DB'],
+          kvNamespaces: ['WEBHOOK_EVENTS'],
+          // test/rpc.test.js calls EmployeeLookupService over RPC, as a service-bound worker would
+          serviceBindings: { EMPLOYEE_LOOKUP: { name: kCurrentWorker, entrypoint: 'EmployeeLookupService' } },
+          outboundService: 'ukg-mock',
+          workers: [
+            {
+              name: 'ukg-mock',
+              modules: true,
+              scriptPath: './mock/ukg-mock.js',
+              modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+              compatibilityDate: '2024-09-23'
+            }
+          ]
+        }
+      }
+    }
+  }
+}));
@@ -7,16 +7,616 @@
  * - UKG_USERNAME: Username for authentication
  * - UKG_PASSWORD: Password for authentication
  * - UKG_BASE_URL: Base URL for UKG services (e.g., "https://service3.ultipro.ca")
- * - WORKER_API_KEY: Secret key for worker-to-worker authentication
+ * - WORKER_API_KEY: Secret key for worker-to-worker authentication (legacy single key with every scope;
+ *   optional when API_KEYS or API_KEYS_KV is configured)
+ *
+ * Optional Environment Variables / Bindings:
+ * - UKG_TENANTS: JSON list of named UKG tenants, e.g. [{"name": "ca", "baseUrl": "https://service.ultipro.ca"}].
+ *   Each tenant's credentials come from the UKG_<NAME>_CUSTOMER_API_KEY, UKG_<NAME>_USER_API_KEY,
+ *   UKG_<NAME>_USERNAME and UKG_<NAME>_PASSWORD secrets; the global UKG_* variables are then unused
+ * - UKG_DEFAULT_TENANT: Tenant used when a request names none (default: the first in UKG_TENANTS)
+ * - API_KEYS: JSON secret with named, scoped API keys (see getConfiguredApiKeys)
+ * - API_KEYS_KV: KV namespace of API keys stored under "apikey:<sha256 hex of the key>"
+ * - UKG_TOKEN_CACHE: KV namespace used to share the UKG login token between isolates
+ *   (falls back to the Cache API when not bound)
+ * - UKG_TOKEN_TTL_SECONDS: How long a UKG login token is reused (default: 3600)
+ * - BATCH_MAX_SIZE: Maximum number of emails accepted by a batch lookup (default: 100)
+ * - BATCH_CONCURRENCY: Number of batch lookups run against UKG at the same time (default: 5)
+ * - SEARCH_MAX_RESULTS: Most results one search returns across all its pages (default: 500)
+ * - LOOKUP_CACHE: KV namespace for cached lookup results (falls back to the Cache API when not bound)
+ * - LOOKUP_CACHE_TTL_SECONDS: How long successful lookups are cached (default: 300, 0 disables)
+ * - LOOKUP_NEGATIVE_CACHE_TTL_SECONDS: How long "not found" (404) lookups are cached (default: 60, 0 disables)
+ * - DEBUG_MODE_ENABLED: Set to "true" to allow debug=true for keys with the "debug" scope (default: disabled)
+ * - RECORD_SELECTION_POLICY: Default primary record policy: last-active (default), latest-hire,
+ *   company-priority, primary-company or all
+ * - COMPANY_PRIORITY: Comma-separated company codes, highest priority first (company-priority policy)
+ * - RESPONSE_VALIDATION: Check responses against the OpenAPI document: log (default), strict or off
+ * - UKG_TIMEOUT_MS: Timeout for each UKG SOAP request attempt (default: 10000)
+ * - UKG_MAX_RETRIES: Retries for lookups on 5xx or network errors (default: 2)
+ * - UKG_RETRY_BASE_DELAY_MS: Base delay for the jittered exponential backoff (default: 200)
+ * - UKG_CIRCUIT_FAILURE_THRESHOLD: Consecutive failed calls that open the circuit breaker (default: 5)
+ * - UKG_CIRCUIT_COOLDOWN_MS: How long the circuit stays open and requests fail fast with 503 before a
+ *   single trial call is let through (default: 30000)
+ * - LOG_LEVEL: Minimum level written to the logs: debug, info (default), warn or error
+ * - RATE_LIMITER: Durable Object binding (class RateLimiter) shared by all isolates; without it the
+ *   limits are counted per isolate
+ * - RATE_LIMIT_REQUESTS / RATE_LIMIT_WINDOW_SECONDS: Default per-client limit (default: 120 per 60s);
+ *   API key entries can override it with "rateLimit": { "requests": ..., "windowSeconds": ... }
+ * - GLOBAL_RATE_LIMIT_REQUESTS / GLOBAL_RATE_LIMIT_WINDOW_SECONDS: Ceiling across all clients that
+ *   protects the UKG tenant (default: 600 per 60s)
+ * - DIRECTORY_DB: D1 database for the employee directory written by the scheduled sync (schema in
+ *   migrations/); lookups answer from it when an entry is recent enough (live UKG calls otherwise)
+ * - DIRECTORY_MAX_STALENESS_SECONDS: Oldest directory entry a lookup may use (default: 86400, 0 disables)
+ * - DIRECTORY_SYNC_PAGE_SIZE: Records requested per UKG page during the sync (default: 100)
+ * - DIRECTORY_SYNC_MAX_PAGES: UKG pages one cron invocation reads; a larger tenant is synced over
+ *   several invocations (default: 200)
+ * - DIRECTORY_SYNC_INTERVAL_SECONDS: Least time between the starts of two runs (default: 0, every cron)
+ * - WEBHOOK_SUBSCRIBERS: JSON secret listing webhook subscribers that receive the hire, termination,
+ *   rehire, status change and transfer events found by the directory sync (see getWebhookSubscribers)
+ * - WEBHOOK_EVENTS: KV namespace keeping sent events (for replay), queued retries and dead letters
+ * - WEBHOOK_MAX_ATTEMPTS: Delivery attempts per event and subscriber (default: 3); retries need WEBHOOK_EVENTS
+ * - WEBHOOK_RETRY_BASE_DELAY_MS: Least time before the first retry, doubling with each attempt; a retry is
+ *   sent by the first cron run after it (default: 60000)
+ * - WEBHOOK_TIMEOUT_MS: Timeout for each delivery attempt (default: 10000)
+ * - AUDIT_DB: D1 database for the audit trail of lookups (schema in migrations/); no audit trail when not bound
+ * - AUDIT_HASH_KEY: Secret that turns on hashing of audited lookup keys (HMAC-SHA256), so no emails are stored
+ * - AUDIT_RETENTION_DAYS: Age after which the cron trigger deletes audit events (default: 365, 0 keeps them)
+ *
+ * Other workers can skip HTTP and call the EmployeeLookupService RPC entrypoint through a
+ * service binding (see the README).
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { WorkerEntrypoint } from 'cloudflare:workers';
+
+// UKG login tokens are reused until they are this close to expiring
+const TOKEN_REFRESH_MARGIN_SECONDS = 300;
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const TOKEN_CACHE_KEY = 'ukg-login-token';
+const TOKEN_CACHE_URL = 'https://ukg-employee-lookup.internal/token-cache/login-token';
+
+// Named UKG tenants (UKG_TENANTS); "all" searches every tenant in email lookups
+const ALL_TENANTS = 'all';
+const TENANT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const TENANT_CREDENTIAL_VARIABLES = ['UKG_CUSTOMER_API_KEY', 'UKG_USER_API_KEY', 'UKG_USERNAME', 'UKG_PASSWORD'];
+const parsedTenants = { source: null, tenants: [] };
+
+// Lookup result cache defaults (overridable with LOOKUP_CACHE_TTL_SECONDS / LOOKUP_NEGATIVE_CACHE_TTL_SECONDS)
+const DEFAULT_LOOKUP_CACHE_TTL_SECONDS = 300;
+const DEFAULT_LOOKUP_NEGATIVE_CACHE_TTL_SECONDS = 60;
+const LOOKUP_CACHE_URL_PREFIX = 'https://ukg-employee-lookup.internal/lookup-cache/';
+
+// Scopes granted to the legacy single WORKER_API_KEY (kept for existing callers, but without debug access)
+const LEGACY_API_KEY_CLIENT = 'legacy-worker-api-key';
+const LEGACY_API_KEY_SCOPES = ['lookup', 'batch', 'admin'];
+
+// Debug response fields that carry raw UKG XML (only returned to keys with the "debug:raw" scope)
+const RAW_XML_FIELDS = ['rawSSOResponse', 'debugXML', 'rawResponse', 'fullResponse', 'rawEmploymentData', 'employmentDetailsRaw'];
+const RAW_XML_REDACTED = '[REDACTED - requires the debug:raw scope]';
+
+// Structured JSON logging (LOG_LEVEL sets the minimum level)
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LOG_LEVEL = 'info';
+// Log fields holding personal data are masked before they are written; raw XML is never logged
+const PII_LOG_FIELDS = ['email', 'emails', 'clientUserName', 'ultiProUserName', 'firstName', 'lastName'];
+// Free-text log fields (error messages, stacks) that can echo lookup input, e.g. in a UKG fault string
+const FREE_TEXT_LOG_FIELDS = ['error', 'stack', 'reason'];
+const EMAIL_IN_TEXT_PATTERN = /[^\s@<>()[\]\\,;:"'=]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+/g;
+// Caller-supplied X-Request-ID values are reused only when they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Rate limit defaults (overridable with RATE_LIMIT_* / GLOBAL_RATE_LIMIT_*; 0 requests disables a limit)
+const DEFAULT_RATE_LIMIT_REQUESTS = 120;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+const DEFAULT_GLOBAL_RATE_LIMIT_REQUESTS = 600;
+const DEFAULT_GLOBAL_RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// Fixed-window counters used when no RATE_LIMITER Durable Object is bound (per isolate)
+const localRateLimitWindows = new Map();
+
+// Identity of callers using the EmployeeLookupService RPC entrypoint. Service bindings are
+// configured by the account owner, so no API key is involved; rate limits still apply.
+const SERVICE_BINDING_CLIENT = { name: 'service-binding', scopes: ['lookup', 'batch', 'search'], rateLimit: null, expiresAt: null, expired: false };
+const RPC_BASE_URL = 'https://ukg-employee-lookup.internal';
+
+// Per-request logging context ({ requestId, logLevel }), available to every function the request calls
+const requestContext = new AsyncLocalStorage();
+
+// Parsed API_KEYS secret, re-parsed only when the secret changes
+const parsedApiKeys = { source: null, entries: [] };
+
+// Primary record selection policies for emails with several employee records
+// (set per request with selection=..., or per deployment with RECORD_SELECTION_POLICY)
+const SELECTION_POLICIES = {
+  'last-active': 'last active record',
+  'latest-hire': 'active record with the most recent hire date',
+  'company-priority': 'active record from the highest-priority company',
+  'primary-company': 'active record flagged as the primary company',
+  'all': 'all active records'
+};
+const DEFAULT_SELECTION = { policy: 'last-active', companyPriority: [] };
+
+// UKG employment status codes mapped to the normalized employmentStatus. Records in the
+// "employed" category count as active; the others are only returned with includeInactive=true.
+const EMPLOYMENT_STATUSES = {
+  A: { status: 'ACTIVE', description: 'Active', category: 'employed' },
+  L: { status: 'ON_LEAVE', description: 'Leave of absence', category: 'employed' },
+  S: { status: 'SUSPENDED', description: 'Suspended', category: 'employed' },
+  P: { status: 'PENDING_HIRE', description: 'Pending hire', category: 'pending' },
+  T: { status: 'TERMINATED', description: 'Terminated', category: 'separated' },
+  R: { status: 'RETIRED', description: 'Retired', category: 'separated' },
+  D: { status: 'DECEASED', description: 'Deceased', category: 'separated' }
+};
+const UNKNOWN_EMPLOYMENT_STATUS = { status: 'UNKNOWN', description: 'Unrecognized status code', category: 'unknown' };
+
+// Optional enrichment sections (include=person,job,contact). Each section is read from its own
+// UKG service; fields maps each response field to the UKG element names it may come from.
+const ENRICHMENT_SECTIONS = {
+  person: {
+    serviceName: 'EmployeePerson',
+    operation: 'GetPersonByEmployeeIdentifier',
+    fields: {
+      legalFirstName: ['firstName'],
+      legalMiddleName: ['middleName'],
+      legalLastName: ['lastName'],
+      preferredName: ['preferredName', 'preferredFirstName'],
+      prefix: ['prefix', 'namePrefix'],
+      suffix: ['suffix', 'nameSuffix']
+    }
+  },
+  job: {
+    serviceName: 'EmployeeJob',
+    operation: 'GetJobByEmployeeIdentifier',
+    fields: {
+      jobCode: ['jobCode'],
+      jobTitle: ['jobTitle', 'jobDescription', 'title'],
+      department: ['department', 'departmentCode', 'orgLevel1', 'orgLevel1Code'],
+      location: ['location', 'locationCode', 'workLocation'],
+      supervisorEmployeeNumber: ['supervisorEmployeeNumber', 'supervisorId', 'supervisorNumber'],
+      supervisorCompanyCode: ['supervisorCompanyCode', 'supervisorCompany'],
+      supervisorName: ['supervisorName', 'supervisorFullName'],
+      fullOrPartTime: ['fullTimeOrPartTime', 'fullOrPartTime', 'fullPartTime'],
+      employeeType: ['employeeType', 'employeeTypeCode']
+    }
+  },
+  contact: {
+    serviceName: 'EmployeeContact',
+    operation: 'GetContactsByEmployeeIdentifier',
+    fields: {
+      workPhone: ['workPhone', 'workPhoneNumber', 'businessPhone'],
+      workPhoneExtension: ['workPhoneExtension', 'workExtension', 'extension'],
+      workEmail: ['workEmail', 'emailAddress', 'email'],
+      location: ['location', 'workLocation']
+    }
+  }
+};
+
+// Employee directory synced from UKG into DIRECTORY_DB by the scheduled handler (overridable with DIRECTORY_*)
+const DEFAULT_DIRECTORY_MAX_STALENESS_SECONDS = 86400;
+const DEFAULT_DIRECTORY_SYNC_PAGE_SIZE = 100;
+const DEFAULT_DIRECTORY_SYNC_MAX_PAGES = 200;
+// A run reads every employment record, then every SSO user; each phase fills its own table
+const DIRECTORY_SYNC_PHASES = {
+  employmentRecords: { serviceName: 'EmployeeEmploymentInformation', operation: 'FindEmploymentInformations', table: 'directory_employment', next: 'ssoUsers' },
+  ssoUsers: { serviceName: 'EmployeeSsoUser', operation: 'FindSsoUsers', table: 'directory_sso_users', next: null }
+};
+
+// Outbound webhooks for employee changes found by the directory sync (overridable with WEBHOOK_*)
+const WEBHOOK_EVENT_TYPES = ['employee.hired', 'employee.terminated', 'employee.rehired', 'employee.status_changed', 'employee.transferred'];
+const DEFAULT_WEBHOOK_MAX_ATTEMPTS = 3;
+const DEFAULT_WEBHOOK_RETRY_BASE_DELAY_MS = 60000;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_DELIVERY_CONCURRENCY = 5;
+const WEBHOOK_EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_DEAD_LETTERS_LISTED = 100;
+const MAX_WEBHOOK_RETRIES_PER_RUN = 100;
+
+// Manager chain lookups: levels returned by default and at most, so looping org data always stops
+const DEFAULT_MANAGER_CHAIN_DEPTH = 1;
+const MAX_MANAGER_CHAIN_DEPTH = 10;
+
+// Audit trail (AUDIT_DB): retention (overridable with AUDIT_RETENTION_DAYS) and query page sizes
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+const DEFAULT_AUDIT_QUERY_LIMIT = 100;
+const MAX_AUDIT_QUERY_LIMIT = 1000;
+// Response bookkeeping that is not employee data, left out of the audited field lists
+const AUDIT_IGNORED_FIELDS = ['success', 'httpStatus', 'cache'];
+
+// Batch lookup limits (overridable with BATCH_MAX_SIZE / BATCH_CONCURRENCY)
+const DEFAULT_BATCH_MAX_SIZE = 100;
+const DEFAULT_BATCH_CONCURRENCY = 5;
+
+// Employee search (GET /v1/employees/search): results per response, the total cap across all
+// pages (overridable with SEARCH_MAX_RESULTS), and the UKG Find* pages read per response
+const DEFAULT_SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+const DEFAULT_SEARCH_MAX_RESULTS = 500;
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_MAX_PAGES_PER_REQUEST = 5;
+const MAX_SEARCH_NAME_LENGTH = 100;
+const SEARCH_DOMAIN_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+
+// Read-only SCIM 2.0 surface (RFC 7643 / 7644) for identity providers. SCIM user IDs are
+// "<CompanyCode>-<EmployeeNumber>"; hire and termination data go in the employment extension.
+const SCIM_PATH_PATTERN = /^\/scim\/v2(\/|$)/;
+const SCIM_CONTENT_TYPE = 'application/scim+json';
+const SCIM_USER_SCHEMA = 'urn:ietf:params:scim:schemas:core:2.0:User';
+const SCIM_ENTERPRISE_USER_SCHEMA = 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User';
+const SCIM_EMPLOYMENT_SCHEMA = 'urn:ukg-employee-lookup:scim:schemas:extension:employment:1.0:User';
+const SCIM_LIST_RESPONSE_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:ListResponse';
+const SCIM_ERROR_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:Error';
+const SCIM_MAX_RESULTS = 100;
+const SCIM_USER_ID_PATTERN = /^([A-Za-z0-9]{1,10})-([A-Za-z0-9]{1,20})$/;
+const SCIM_USER_NAME_FILTER_PATTERN = /^\s*userName\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i;
+
+// In-memory copies of the login token (one per tenant) for the lifetime of this isolate
+const memoryTokenCache = new Map();
+
+// UKG SOAP transport defaults (overridable with the UKG_* settings of the same name)
+const DEFAULT_UKG_TIMEOUT_MS = 10000;
+const DEFAULT_UKG_MAX_RETRIES = 2;
+const DEFAULT_UKG_RETRY_BASE_DELAY_MS = 200;
+const MAX_UKG_RETRY_DELAY_MS = 5000;
+const DEFAULT_UKG_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_UKG_CIRCUIT_COOLDOWN_MS = 30000;
+
+// Circuit breaker state per UKG host for the lifetime of this isolate
+const circuitBreakers = new Map();
+
+// XML namespaces and entities understood by the SOAP response parser
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Escapes for values interpolated into SOAP envelopes
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Input validation for lookup keys sent to UKG
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"\u0000-\u001F]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/;
+const COMPANY_CODE_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+const EMPLOYEE_NUMBER_PATTERN = /^[A-Za-z0-9]{1,20}$/;
+
+/**
+ * XML fragment that has already been escaped (see the xml`` template tag)
+ */
+class RawXml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Raised when a UKG response is not well-formed XML
+ */
+class XMLParseError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'XMLParseError';
+    this.position = position;
+  }
+}
+
+// Stable error codes for UKG failures and the HTTP status returned to callers for each.
+// UKG rejecting the integration credentials or permissions is an upstream failure (502), so
+// callers cannot mistake it for a problem with their own API key (401/403).
+const UKG_ERROR_STATUS = {
+  UKG_AUTH_FAILED: 502,
+  UKG_PERMISSION_DENIED: 502,
+  UKG_INVALID_INPUT: 400,
+  EMPLOYEE_NOT_FOUND: 404,
+  UKG_UPSTREAM_ERROR: 502,
+  UKG_UNAVAILABLE: 503,
+};
+
+/**
+ * Typed error for a failed UKG call (SOAP fault, OperationResult messages or HTTP failure)
+ */
+class UKGError extends Error {
+  constructor(code, message, { service = null, faultCode = null, upstreamStatus = null, messages = [], retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = 'UKGError';
+    this.code = UKG_ERROR_STATUS[code] ? code : 'UKG_UPSTREAM_ERROR';
+    this.status = UKG_ERROR_STATUS[this.code];
+    this.service = service;
+    this.faultCode = faultCode;
+    this.upstreamStatus = upstreamStatus;
+    this.messages = messages;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Raised when UKG rejects our credentials or the login token
+ */
+class UKGAuthError extends UKGError {
+  constructor(message, details = {}) {
+    super('UKG_AUTH_FAILED', message, details);
+    this.name = 'UKGAuthError';
+  }
+}
+
+/**
+ * Durable Object holding one fixed-window rate limit counter (one instance per client, plus
+ * one for the global ceiling). POST { limit, windowSeconds, cost } to consume from it.
+ */
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { limit, windowSeconds, cost } = await request.json();
+    const window = await this.state.storage.get('window');
+    const { result, nextWindow } = consumeRateLimitWindow(window, { limit, windowSeconds, cost }, Date.now());
+    await this.state.storage.put('window', nextWindow);
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/**
+ * RPC entrypoint for other workers, called through a service binding with
+ * entrypoint = "EmployeeLookupService". Methods resolve to the same normalized objects as
+ * the HTTP API: a single lookup looks like one batch result ({ httpStatus, cache, ... }),
+ * and lookupMany like the batch response. Errors are returned, not thrown.
+ */
+export class EmployeeLookupService extends WorkerEntrypoint {
+  /**
+   * Look up the active employee record for an email.
+   * options: { selection, companyPriority, include, includeInactive, fresh, tenant } (tenant may be "all")
+   */
+  async lookupByEmail(email, options = {}) {
+    return runRpcHandler(this.env, this.ctx, handleLookupRequest, {
+      audit: 'lookup',
+      method: 'POST',
+      path: '/v1/employees/lookup',
+      body: { ...getRpcLookupOptions(options), email: email }
+    });
+  }
+
+  /**
+   * Look up an employee by company code + employee number.
+   * options: { include, includeInactive, fresh, tenant }
+   */
+  async lookupByEmployeeNumber(companyCode, employeeNumber, options = {}) {
+    const { include, includeInactive, fresh, tenant } = getRpcLookupOptions(options);
+    const query = new URLSearchParams();
+    if (include) {
+      query.set('include', [].concat(include).join(','));
+    }
+    if (includeInactive) {
+      query.set('includeInactive', 'true');
+    }
+    if (fresh) {
+      query.set('fresh', 'true');
+    }
+    if (tenant) {
+      query.set('tenant', tenant);
+    }
+    return runRpcHandler(this.env, this.ctx, handleEmployeeRequest, {
+      audit: 'employee',
+      method: 'GET',
+      path: `/v1/employees/${encodeURIComponent(companyCode)}/${encodeURIComponent(employeeNumber)}?${query}`,
+      params: { companyCode: String(companyCode), employeeNumber: String(employeeNumber) }
+    });
+  }
+
+  /**
+   * Look up several emails; resolves to { success, totalRequested, succeeded, failed, results }.
+   * options: { selection, companyPriority, include, includeInactive, fresh, tenant }
+   */
+  async lookupMany(emails, options = {}) {
+    return runRpcHandler(this.env, this.ctx, handleBatchRequest, {
+      audit: 'batch',
+      method: 'POST',
+      path: '/v1/employees/batch',
+      body: { ...getRpcLookupOptions(options), emails: emails },
+      batch: true
+    });
+  }
+
+  /**
+   * Search employees; resolves to { success, count, records, nextCursor, truncated }.
+   * filters: { firstName, lastName, companyCode, status, domain, email, limit, cursor }
+   * options: { include, includeInactive, tenant }
+   */
+  async searchEmployees(filters = {}, options = {}) {
+    const { include, includeInactive, tenant } = getRpcLookupOptions(options);
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters || {})) {
+      if (value !== null && value !== undefined && value !== '') {
+        query.set(name, [].concat(value).join(','));
+      }
+    }
+    if (include) {
+      query.set('include', [].concat(include).join(','));
+    }
+    if (includeInactive) {
+      query.set('includeInactive', 'true');
+    }
+    if (tenant) {
+      query.set('tenant', tenant);
+    }
+    return runRpcHandler(this.env, this.ctx, handleSearchRequest, {
+      audit: 'search',
+      method: 'GET',
+      path: `/v1/employees/search?${query}`,
+      batch: true
+    });
+  }
+
+  /**
+   * Look up an employee's reporting chain; resolves to { success, employee, managers, depth, chainEnd }.
+   * employee: an email, or { companyCode, employeeNumber }
+   * options: { depth, selection, companyPriority, include, includeInactive, fresh, tenant }
+   */
+  async lookupManagerChain(employee, options = {}) {
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(getRpcLookupOptions(options))) {
+      if (value !== null && value !== undefined && value !== false) {
+        query.set(name, [].concat(value).join(','));
+      }
+    }
+    if (options && options.depth !== undefined) {
+      query.set('depth', String(options.depth));
+    }
+
+    if (employee && typeof employee === 'object') {
+      const companyCode = String(employee.companyCode);
+      const employeeNumber = String(employee.employeeNumber);
+      return runRpcHandler(this.env, this.ctx, handleManagerChainRequest, {
+        audit: 'managers',
+        method: 'GET',
+        path: `/v1/employees/${encodeURIComponent(companyCode)}/${encodeURIComponent(employeeNumber)}/managers?${query}`,
+        params: { companyCode: companyCode, employeeNumber: employeeNumber }
+      });
+    }
+    if (employee) {
+      query.set('email', String(employee));
+    }
+    return runRpcHandler(this.env, this.ctx, handleManagerChainRequest, {
+      audit: 'managers',
+      method: 'GET',
+      path: `/v1/employees/managers?${query}`
+    });
+  }
+}
+
 export default {
   async fetch(request, env, ctx) {
-    try {
+    // Every request gets an ID (the caller's X-Request-ID when usable) that appears in
+    // every log line and in the response headers
+    const callerRequestId = request.headers.get('X-Request-ID');
+    const requestId = callerRequestId && REQUEST_ID_PATTERN.test(callerRequestId) ? callerRequestId : crypto.randomUUID();
+    const logLevel = getLogLevel(env);
+
+    return requestContext.run({ requestId, logLevel }, async () => {
+      const startedAt = Date.now();
+      const pathname = new URL(request.url).pathname;
+      let response = await handleRequest(request, env, ctx);
+
+      // SCIM clients get SCIM error bodies, whichever check turned the request down
+      if (!response.ok && SCIM_PATH_PATTERN.test(pathname)) {
+        response = await toScimErrorResponse(response);
+      }
+
+      const taggedResponse = new Response(response.body, response);
+      taggedResponse.headers.set('X-Request-ID', requestId);
+      log.info('Request completed', {
+        method: request.method,
+        path: pathname,
+        status: response.status,
+        durationMs: Date.now() - startedAt
+      });
+      return taggedResponse;
+    });
+  },
+
+  async scheduled(controller, env, ctx) {
+    const logContext = { requestId: `scheduled-${crypto.randomUUID()}`, logLevel: getLogLevel(env) };
+    ctx.waitUntil(requestContext.run(logContext, async () => {
+      // Deliveries that failed on an earlier run are retried first, without waiting in this run
+      await retryWebhookDeliveries(env)
+        .catch(error => log.error('Webhook retries failed', errorLogFields(error)));
+      // Tenants are synced one after another; a failed tenant is recorded in its own status
+      for (const tenant of getUKGTenants(env)) {
+        await syncEmployeeDirectory(tenant.env, controller.cron)
+          .catch(error => log.error('Directory sync failed for tenant', { tenant: tenant.name, ...errorLogFields(error) }));
+      }
+      await pruneAuditEvents(env)
+        .catch(error => log.error('Audit retention failed', errorLogFields(error)));
+    }));
+  },
+};
+
+/**
+ * Answer one request, then record its audit events once the response is final
+ */
+async function handleRequest(request, env, ctx) {
+  const audited = {};
+  const response = await answerRequest(request, env, ctx, audited);
+  if (audited.route) {
+    await recordRequestAudit(env, ctx, {
+      operation: audited.route.audit,
+      client: audited.client,
+      response: response,
+      handlerAnswered: audited.handlerStatus === response.status,
+      params: audited.params,
+      url: audited.url
+    });
+  }
+  return response;
+}
+
+/**
+ * Route, authenticate and answer one request. `audited` receives the route, client and
+ * handler status that handleRequest audits the request with.
+ */
+async function answerRequest(request, env, ctx, audited) {
+  let route = null;
+  let rateLimit = null;
+  let response;
+  try {
+    const requestUrl = new URL(request.url);
+
+    // Find the route first so unknown paths and methods get a clear 404/405
+    const match = matchRoute(request.method, requestUrl.pathname);
+    if (match.invalidPath) {
+      return new Response(JSON.stringify({
+        error: `Invalid path - ${requestUrl.pathname} contains a malformed percent-escape`,
+        code: 'INVALID_PATH'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    if (!match.route) {
+      if (match.allowedMethods) {
+        return new Response(JSON.stringify({
+          error: `Method not allowed - use ${match.allowedMethods.join(' or ')} for ${requestUrl.pathname}`,
+          code: 'METHOD_NOT_ALLOWED'
+        }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', 'Allow': match.allowedMethods.join(', ') },
+        });
+      }
+      return new Response(JSON.stringify({
+        error: `Not found - no route for ${requestUrl.pathname}`,
+        code: 'NOT_FOUND',
+        documentation: '/v1/openapi.json'
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    route = match.route;
+    const params = match.params;
+    Object.assign(audited, { route, params, url: requestUrl });
+
+    // The OpenAPI document is public so calling teams can generate clients without a key
+    let client = null;
+    if (!route.public) {
+      if (!env.API_KEYS && !env.API_KEYS_KV && !env.WORKER_API_KEY) {
+        return new Response(JSON.stringify({
+          error: 'Missing environment variable: API_KEYS, API_KEYS_KV or WORKER_API_KEY'
+        }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+
       // Check for API key authentication
       const apiKey = request.headers.get('X-API-Key') || request.headers.get('Authorization')?.replace('Bearer ', '');
-      
-      if (!apiKey || apiKey !== env.WORKER_API_KEY) {
+      client = await authenticateClient(env, apiKey);
+      audited.client = client;
+
+      if (!client) {
         return new Response(JSON.stringify({
           error: 'Unauthorized - Invalid or missing API key',
           code: 'INVALID_API_KEY'
@@ -25,253 +625,4827 @@ export default {
           headers: { 'Content-Type': 'application/json' },
         });
       }
+      if (client.expired) {
+        log.warn('Rejected expired API key', { client: client.name });
+        return new Response(JSON.stringify({
+          error: 'Unauthorized - API key has expired',
+          code: 'API_KEY_EXPIRED'
+        }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+    }
+
+    log.info('Request received', {
+      method: request.method,
+      path: requestUrl.pathname,
+      client: client ? client.name : 'anonymous',
+      deprecatedRoute: route.deprecated === true
+    });
+
+    // Per-client and global rate limits; batch requests cost one unit per email
+    if (client) {
+      rateLimit = await checkRateLimits(env, client, await getRequestCost(request, env));
+      if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit);
+      }
+    }
+
+    response = await route.handler({ request, env, ctx, client, params, url: requestUrl });
+    audited.handlerStatus = response.status;
+  } catch (error) {
+    response = errorResponse(error);
+  }
+
+  // Handler results and thrown errors get the same rate limit headers and response validation
+  if (rateLimit && rateLimit.client) {
+    response = new Response(response.body, response);
+    setRateLimitHeaders(response.headers, rateLimit.client);
+  }
+  return route ? await validateResponse(env, route, response) : response;
+}
+
+/**
+ * Error response for an exception thrown by a handler: UKG failures keep their status
+ * (and Retry-After), anything else is a 500
+ */
+function errorResponse(error) {
+  if (error instanceof UKGError) {
+    log.error('UKG request failed', { service: error.service || 'UKG', ...errorLogFields(error) });
+    const headers = { 'Content-Type': 'application/json' };
+    if (error.retryAfterSeconds) {
+      headers['Retry-After'] = String(error.retryAfterSeconds);
+    }
+    return new Response(JSON.stringify(buildUKGErrorBody(error)), {
+      status: error.status,
+      headers: headers,
+    });
+  }
+  log.error('Unhandled error', errorLogFields(error));
+  return new Response(JSON.stringify({
+    error: 'Internal server error',
+    details: error.message
+  }), {
+    status: 500,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Routes served by the worker. Versioned routes are described in the OpenAPI document
+ * (operationId links a route to its operation there); the unversioned routes are kept
+ * as deprecated aliases for existing callers. The SCIM routes describe themselves through
+ * the SCIM discovery endpoints instead. `audit` names the audit trail operation of the
+ * routes that return employee data.
+ */
+const ROUTES = [
+  { method: 'GET', path: '/v1/openapi.json', handler: handleOpenApiRequest, operationId: 'getOpenApiDocument', public: true },
+  { method: 'GET', path: '/v1/employees/lookup', handler: handleLookupRequest, operationId: 'lookupEmployee', audit: 'lookup' },
+  { method: 'POST', path: '/v1/employees/lookup', handler: handleLookupRequest, operationId: 'lookupEmployeePost', audit: 'lookup' },
+  { method: 'POST', path: '/v1/employees/batch', handler: handleBatchRequest, operationId: 'lookupEmployeesBatch', audit: 'batch' },
+  { method: 'GET', path: '/v1/employees/search', handler: handleSearchRequest, operationId: 'searchEmployees', audit: 'search' },
+  { method: 'GET', path: '/v1/employees/managers', handler: handleManagerChainRequest, operationId: 'getManagerChain', audit: 'managers' },
+  { method: 'GET', path: '/v1/employees/{companyCode}/{employeeNumber}', handler: handleEmployeeRequest, operationId: 'getEmployeeByNumber', audit: 'employee' },
+  { method: 'GET', path: '/v1/employees/{companyCode}/{employeeNumber}/managers', handler: handleManagerChainRequest, operationId: 'getManagerChainByNumber', audit: 'managers' },
+  { method: 'POST', path: '/v1/token/invalidate', handler: handleTokenInvalidateRequest, operationId: 'invalidateUKGToken' },
+  { method: 'GET', path: '/v1/directory/status', handler: handleDirectoryStatusRequest, operationId: 'getDirectoryStatus' },
+  { method: 'GET', path: '/v1/webhooks/dead-letters', handler: handleDeadLettersRequest, operationId: 'listWebhookDeadLetters' },
+  { method: 'POST', path: '/v1/webhooks/replay', handler: handleWebhookReplayRequest, operationId: 'replayWebhookEvents' },
+  { method: 'GET', path: '/v1/audit/events', handler: handleAuditEventsRequest, operationId: 'listAuditEvents' },
+
+  // Read-only SCIM 2.0 for identity providers (scim scope)
+  { method: 'GET', path: '/scim/v2/ServiceProviderConfig', handler: handleScimServiceProviderConfigRequest },
+  { method: 'GET', path: '/scim/v2/ResourceTypes', handler: handleScimResourceTypesRequest },
+  { method: 'GET', path: '/scim/v2/ResourceTypes/{id}', handler: handleScimResourceTypesRequest },
+  { method: 'GET', path: '/scim/v2/Schemas', handler: handleScimSchemasRequest },
+  { method: 'GET', path: '/scim/v2/Schemas/{id}', handler: handleScimSchemasRequest },
+  { method: 'GET', path: '/scim/v2/Users', handler: handleScimUsersRequest, audit: 'scim' },
+  { method: 'GET', path: '/scim/v2/Users/{id}', handler: handleScimUserRequest, audit: 'scim' },
+
+  // Deprecated aliases from before the versioned API
+  { method: 'GET', path: '/', handler: handleLookupRequest, deprecated: true, audit: 'lookup' },
+  { method: 'POST', path: '/', handler: handleLegacyPostRequest, deprecated: true, audit: 'lookup' },
+  { method: 'GET', path: '/employees/{companyCode}/{employeeNumber}', handler: handleEmployeeRequest, deprecated: true, audit: 'employee' },
+  { method: 'POST', path: '/token/invalidate', handler: handleTokenInvalidateRequest, deprecated: true }
+].map(route => ({ ...route, pattern: compileRoutePath(route.path) }));
+
+/**
+ * Turn a route path like /v1/employees/{companyCode} into a RegExp with named groups
+ */
+function compileRoutePath(path) {
+  const source = path
+    .split(/(\{[A-Za-z]+\})/)
+    .map(part => (part.startsWith('{') ? `(?<${part.slice(1, -1)}>[^/]+)` : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}${path === '/' ? '' : '/?'}$`);
+}
 
-      // Parse request for email parameter and debug flag
-      let emailToSearch;
-      let debugMode = false;
-      if (request.method === 'GET') {
-        const url = new URL(request.url);
-        emailToSearch = url.searchParams.get('email');
-        debugMode = url.searchParams.get('debug') === 'true';
-      } else if (request.method === 'POST') {
-        const body = await request.json();
-        emailToSearch = body.email;
-        debugMode = body.debug === true;
+/**
+ * Match a request to a route. Returns { route, params }, or { allowedMethods } when the
+ * path exists but not for this method, { invalidPath: true } when a path parameter cannot
+ * be percent-decoded, or {} when no route has this path.
+ */
+function matchRoute(method, pathname) {
+  const allowedMethods = [];
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (!match) {
+      continue;
+    }
+    if (route.method === method) {
+      const params = {};
+      try {
+        for (const [name, value] of Object.entries(match.groups || {})) {
+          params[name] = decodeURIComponent(value);
+        }
+      } catch (error) {
+        // A malformed percent-escape (e.g. %E0%A4) cannot be decoded into a parameter
+        return { invalidPath: true };
       }
+      return { route, params };
+    }
+    allowedMethods.push(route.method);
+  }
+  return allowedMethods.length > 0 ? { allowedMethods } : {};
+}
+
+/**
+ * GET /v1/openapi.json
+ */
+async function handleOpenApiRequest() {
+  return new Response(JSON.stringify(OPENAPI_DOCUMENT), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /v1/employees/lookup?email=... or POST /v1/employees/lookup {"email": ...}
+ */
+async function handleLookupRequest({ request, env, ctx, client, url }) {
+  const parsed = await readLookupParameters(request, url);
+  if (parsed.error) {
+    return parsed.error;
+  }
+  const parameters = parsed.parameters;
+
+  if (!parameters.email) {
+    return new Response(JSON.stringify({
+      error: 'Email parameter is required',
+      usage: 'GET /v1/employees/lookup?email=user@domain.com or POST /v1/employees/lookup {"email": "user@domain.com"}',
+      headers_required: 'X-API-Key: your_api_key'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const options = resolveLookupOptions(env, client, parameters, 'lookup', { allowAllTenants: true });
+  if (options.error) {
+    return options.error;
+  }
+  const { debugMode, bypassCache, selection, include, includeInactive, redactRawXml, tenants } = options;
+
+  if (!isValidEmail(parameters.email)) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Invalid email address',
+      code: 'INVALID_EMAIL',
+      email: typeof parameters.email === 'string' ? parameters.email : null
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Look up the employee (or answer from the lookup cache) and build the response.
+  // The UKG token is fetched lazily (and cached) by withUKGToken, so cached lookups never touch UKG
+  const result = await lookupEmailInTenants(tenants, parameters.email, { debugMode, bypassCache, selection, include, includeInactive });
+  if (redactRawXml) {
+    redactRawXmlFields(result.body);
+  }
+  setAuditLookups('lookup', [{ lookupKey: parameters.email.toLowerCase(), status: result.status, body: result.body }], debugMode);
+  return new Response(JSON.stringify(result.body), {
+    status: result.status,
+    headers: { 'Content-Type': 'application/json', 'X-Cache': result.cacheStatus },
+  });
+}
+
+/**
+ * POST /v1/employees/batch {"emails": [...]}
+ */
+async function handleBatchRequest({ request, env, ctx, client, url }) {
+  const parsed = await readLookupParameters(request, url);
+  if (parsed.error) {
+    return parsed.error;
+  }
+  const parameters = parsed.parameters;
+
+  // Validate batch requests up front so oversized batches never reach UKG
+  const batchMaxSize = getBatchMaxSize(env);
+  if (!Array.isArray(parameters.emails) || parameters.emails.length === 0) {
+    return new Response(JSON.stringify({
+      error: 'emails must be a non-empty array',
+      usage: 'POST /v1/employees/batch {"emails": ["user1@domain.com", "user2@domain.com"]}'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  if (parameters.emails.length > batchMaxSize) {
+    return new Response(JSON.stringify({
+      error: `Batch size ${parameters.emails.length} exceeds the maximum of ${batchMaxSize} emails`,
+      maxBatchSize: batchMaxSize
+    }), {
+      status: 413,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const options = resolveLookupOptions(env, client, parameters, 'batch', { allowAllTenants: true });
+  if (options.error) {
+    return options.error;
+  }
+  const { debugMode, bypassCache, selection, include, includeInactive, redactRawXml, tenants } = options;
+
+  // Look up every email with the same token and bounded concurrency
+  const batchResult = await lookupEmployeesByEmail(env, parameters.emails, { debugMode, bypassCache, selection, include, includeInactive, tenants });
+  if (redactRawXml) {
+    redactRawXmlFields(batchResult);
+  }
+  setAuditLookups('batch', batchResult.results.map(result => ({
+    lookupKey: typeof result.email === 'string' ? result.email.trim().toLowerCase() : null,
+    status: result.httpStatus,
+    body: result
+  })), debugMode);
+  return new Response(JSON.stringify(batchResult), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /v1/employees/{companyCode}/{employeeNumber}
+ */
+async function handleEmployeeRequest({ request, env, ctx, client, params, url }) {
+  const parsed = await readLookupParameters(request, url);
+  const options = resolveLookupOptions(env, client, parsed.parameters, 'lookup');
+  if (options.error) {
+    return options.error;
+  }
+  const { debugMode, bypassCache, include, includeInactive, redactRawXml, tenants: [tenant] } = options;
+
+  const { companyCode, employeeNumber } = params;
+  if (!isValidEmployeeIdentifier(companyCode, employeeNumber)) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Company code and employee number must be alphanumeric',
+      code: 'INVALID_IDENTIFIER'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const result = await withLookupCache(tenant.env, `employee:${companyCode.toUpperCase()}:${employeeNumber}${getIncludeCacheKey(include)}${includeInactive ? ':inactive' : ''}`, { bypassCache, debugMode }, () =>
+    lookupEmployeeByIdentifier(tenant.env, companyCode, employeeNumber, { debugMode, include, includeInactive, fresh: bypassCache }));
+  tagTenant(result.body, tenant.name);
+  if (redactRawXml) {
+    redactRawXmlFields(result.body);
+  }
+  setAuditLookups('employee', [{ lookupKey: `${companyCode.toUpperCase()}:${employeeNumber}`, status: result.status, body: result.body }], debugMode);
+  return new Response(JSON.stringify(result.body), {
+    status: result.status,
+    headers: { 'Content-Type': 'application/json', 'X-Cache': result.cacheStatus },
+  });
+}
+
+/**
+ * GET /v1/employees/managers?email=...&depth=... or /v1/employees/{companyCode}/{employeeNumber}/managers
+ * - the employee, their supervisor and (with depth) the managers above them
+ */
+async function handleManagerChainRequest({ request, env, ctx, client, params, url }) {
+  const parsed = await readLookupParameters(request, url);
+  const options = resolveLookupOptions(env, client, parsed.parameters, 'lookup');
+  if (options.error) {
+    return options.error;
+  }
+  const { debugMode, bypassCache, selection, include, includeInactive, redactRawXml, tenants: [tenant] } = options;
+
+  const depth = url.searchParams.has('depth') ? Number(url.searchParams.get('depth')) : DEFAULT_MANAGER_CHAIN_DEPTH;
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_MANAGER_CHAIN_DEPTH) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: `depth must be between 1 and ${MAX_MANAGER_CHAIN_DEPTH}`,
+      code: 'INVALID_DEPTH'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Resolve the employee by company code + employee number, or by email
+  let lookupKey;
+  let result;
+  if (params.companyCode) {
+    const { companyCode, employeeNumber } = params;
+    if (!isValidEmployeeIdentifier(companyCode, employeeNumber)) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Company code and employee number must be alphanumeric',
+        code: 'INVALID_IDENTIFIER'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    lookupKey = `${companyCode.toUpperCase()}:${employeeNumber}`;
+    result = await withLookupCache(tenant.env, `employee:${lookupKey}${getIncludeCacheKey(include)}${includeInactive ? ':inactive' : ''}`, { bypassCache, debugMode }, () =>
+      lookupEmployeeByIdentifier(tenant.env, companyCode, employeeNumber, { debugMode, include, includeInactive, fresh: bypassCache }));
+  } else {
+    const email = parsed.parameters.email;
+    if (!email || !isValidEmail(email)) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: email ? 'Invalid email address' : 'Email parameter is required',
+        code: 'INVALID_EMAIL',
+        usage: 'GET /v1/employees/managers?email=user@domain.com&depth=2 or /v1/employees/{companyCode}/{employeeNumber}/managers'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    // A chain starts from one record, so the "all" policy falls back to the default
+    lookupKey = email.toLowerCase();
+    result = await lookupEmailInTenants([tenant], email, {
+      debugMode,
+      bypassCache,
+      selection: selection.policy === 'all' ? DEFAULT_SELECTION : selection,
+      include,
+      includeInactive
+    });
+  }
+  tagTenant(result.body, tenant.name);
+
+  let status = result.status;
+  let body = result.body;
+  if (status === 200) {
+    const { success, ...employee } = result.body;
+    const chain = await lookupManagerChain(tenant.env, employee, depth, { debugMode, bypassCache, include });
+    chain.managers.forEach(manager => tagTenant(manager, tenant.name));
+    body = {
+      success: true,
+      employee: employee,
+      managers: chain.managers,
+      depth: depth,
+      chainEnd: chain.chainEnd
+    };
+  }
+  if (redactRawXml) {
+    redactRawXmlFields(body);
+  }
+  setAuditLookups('managers', [{
+    lookupKey: lookupKey,
+    status: status,
+    body: status === 200 ? { success: true, records: [body.employee, ...body.managers] } : body
+  }], debugMode);
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', 'X-Cache': result.cacheStatus },
+  });
+}
+
+/**
+ * GET /v1/employees/search?lastName=...&companyCode=...&domain=...&status=...&limit=...&cursor=...
+ */
+async function handleSearchRequest({ request, env, ctx, client, url }) {
+  const parsed = await readLookupParameters(request, url);
+  const options = resolveLookupOptions(env, client, parsed.parameters, 'search');
+  if (options.error) {
+    return options.error;
+  }
+  const { debugMode, include, includeInactive, redactRawXml, tenants: [tenant] } = options;
+
+  const search = readSearchParameters(url, includeInactive);
+  if (search.error) {
+    return search.error;
+  }
+
+  const body = await searchEmployees(tenant.env, search.filters, {
+    limit: search.limit,
+    cursor: search.cursor,
+    filterKey: search.filterKey,
+    include,
+    debugMode
+  });
+  tagTenant(body, tenant.name);
+  if (redactRawXml) {
+    redactRawXmlFields(body);
+  }
+  // The search filters are the lookup key of every employee the search returned
+  const searchKey = new URLSearchParams(Object.entries(search.filters)
+    .filter(([, value]) => value !== null && value !== false)
+    .map(([name, value]) => [name, String(value)])).toString();
+  setAuditLookups('search', [{ lookupKey: searchKey, status: 200, body: body }], debugMode);
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /v1/audit/events?client=...&employee=...&from=...&to=...&limit=...&cursor=... - audit
+ * events, newest first (admin scope)
+ */
+async function handleAuditEventsRequest({ env, client, url }) {
+  if (!hasScope(client, 'admin')) {
+    return insufficientScopeResponse(client, 'admin');
+  }
+  if (!env.AUDIT_DB) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'The audit trail needs the AUDIT_DB D1 database',
+      code: 'AUDIT_NOT_CONFIGURED'
+    }), {
+      status: 501,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const query = readAuditQuery(url);
+  if (query.error) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: query.error,
+      code: 'INVALID_AUDIT_QUERY'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const { events, nextCursor } = await queryAuditEvents(env, query);
+  return new Response(JSON.stringify({
+    success: true,
+    count: events.length,
+    events: events,
+    nextCursor: nextCursor
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /scim/v2/Users - SCIM ListResponse of users. filter=userName eq "..." finds one user by
+ * email (or SCIM ID); without a filter, startIndex and count page through every employee.
+ */
+async function handleScimUsersRequest({ request, env, ctx, client, url }) {
+  const parsed = await readLookupParameters(request, url);
+  const options = resolveLookupOptions(env, client, parsed.parameters, 'scim');
+  if (options.error) {
+    return options.error;
+  }
+  const { selection, tenants: [tenant] } = options;
+  const baseUrl = `${url.origin}/scim/v2`;
+
+  let users;
+  let totalResults;
+  let startIndex = 1;
+  let lookupKey = null;
+  const filter = url.searchParams.get('filter');
+  if (filter !== null) {
+    const match = filter.match(SCIM_USER_NAME_FILTER_PATTERN);
+    if (!match) {
+      return scimErrorResponse(400, 'Only filter=userName eq "..." is supported', 'invalidFilter');
+    }
+    const userName = match[1].replace(/\\(.)/g, '$1');
+    const user = await findScimUser(tenant, userName, selection);
+    users = user ? [user] : [];
+    totalResults = users.length;
+    lookupKey = getScimAuditKey(userName);
+  } else {
+    // SCIM paging: 1-based startIndex (values below 1 mean 1) and count (negative means 0)
+    startIndex = Math.max(1, parseInt(url.searchParams.get('startIndex'), 10) || 1);
+    const requestedCount = parseInt(url.searchParams.get('count'), 10);
+    const count = Math.min(SCIM_MAX_RESULTS, Number.isInteger(requestedCount) ? Math.max(0, requestedCount) : SCIM_MAX_RESULTS);
+    ({ users, totalResults } = await listScimUsers(tenant.env, startIndex, count));
+  }
+  setAuditLookups('scim', [{ lookupKey, status: 200, body: { success: true, records: users } }], false,
+    user => Object.keys(toScimUser(user, '')));
+
+  return new Response(JSON.stringify({
+    schemas: [SCIM_LIST_RESPONSE_SCHEMA],
+    totalResults: totalResults,
+    startIndex: startIndex,
+    itemsPerPage: users.length,
+    Resources: users.map(user => toScimUser(user, baseUrl))
+  }), {
+    status: 200,
+    headers: { 'Content-Type': SCIM_CONTENT_TYPE },
+  });
+}
+
+/**
+ * GET /scim/v2/Users/{id} - one SCIM user by "<CompanyCode>-<EmployeeNumber>"
+ */
+async function handleScimUserRequest({ request, env, ctx, client, params, url }) {
+  const parsed = await readLookupParameters(request, url);
+  const options = resolveLookupOptions(env, client, parsed.parameters, 'scim');
+  if (options.error) {
+    return options.error;
+  }
+  const { tenants: [tenant] } = options;
+
+  const user = await findScimUserById(tenant, params.id);
+  setAuditLookups('scim', [{
+    lookupKey: getScimAuditKey(params.id),
+    status: user ? 200 : 404,
+    body: user ? { success: true, records: [user] } : { success: false, code: 'EMPLOYEE_NOT_FOUND' }
+  }], false, employee => Object.keys(toScimUser(employee, '')));
+  if (!user) {
+    return scimErrorResponse(404, `User ${params.id} not found`);
+  }
+  return new Response(JSON.stringify(toScimUser(user, `${url.origin}/scim/v2`)), {
+    status: 200,
+    headers: { 'Content-Type': SCIM_CONTENT_TYPE },
+  });
+}
+
+/**
+ * GET /scim/v2/ServiceProviderConfig - the SCIM features this worker supports
+ */
+async function handleScimServiceProviderConfigRequest({ client, url }) {
+  if (!hasScope(client, 'scim')) {
+    return insufficientScopeResponse(client, 'scim');
+  }
+  return new Response(JSON.stringify({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: false },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_MAX_RESULTS },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'API key',
+      description: 'An API key with the scim scope, sent as Authorization: Bearer <key>',
+      primary: true
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${url.origin}/scim/v2/ServiceProviderConfig` }
+  }), {
+    status: 200,
+    headers: { 'Content-Type': SCIM_CONTENT_TYPE },
+  });
+}
+
+/**
+ * GET /scim/v2/ResourceTypes[/{id}] - the User resource type and its schema extensions
+ */
+async function handleScimResourceTypesRequest({ client, params, url }) {
+  if (!hasScope(client, 'scim')) {
+    return insufficientScopeResponse(client, 'scim');
+  }
+  const resourceTypes = [{
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+    id: 'User',
+    name: 'User',
+    endpoint: '/Users',
+    description: 'Employees from UKG (read-only)',
+    schema: SCIM_USER_SCHEMA,
+    schemaExtensions: [
+      { schema: SCIM_ENTERPRISE_USER_SCHEMA, required: false },
+      { schema: SCIM_EMPLOYMENT_SCHEMA, required: false }
+    ],
+    meta: { resourceType: 'ResourceType', location: `${url.origin}/scim/v2/ResourceTypes/User` }
+  }];
+  return scimDiscoveryResponse(resourceTypes, params.id, 'Resource type');
+}
+
+/**
+ * GET /scim/v2/Schemas[/{id}] - definitions of the attributes returned for users
+ */
+async function handleScimSchemasRequest({ client, params, url }) {
+  if (!hasScope(client, 'scim')) {
+    return insufficientScopeResponse(client, 'scim');
+  }
+  const schemas = SCIM_SCHEMAS.map(schema => ({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:Schema'],
+    ...schema,
+    meta: { resourceType: 'Schema', location: `${url.origin}/scim/v2/Schemas/${schema.id}` }
+  }));
+  return scimDiscoveryResponse(schemas, params.id, 'Schema');
+}
+
+/**
+ * POST /v1/token/invalidate - force a new UKG login on the next lookup
+ */
+async function handleTokenInvalidateRequest({ env, client, url }) {
+  if (!hasScope(client, 'admin')) {
+    return insufficientScopeResponse(client, 'admin');
+  }
+
+  // Every tenant's token unless ?tenant= names one
+  const requestedTenant = url.searchParams.get('tenant');
+  const tenants = requestedTenant ? resolveTenants(env, requestedTenant, { allowAll: true }) : getUKGTenants(env);
+  if (!tenants) {
+    return unknownTenantResponse(env, requestedTenant, true);
+  }
+  await Promise.all(tenants.map(tenant => invalidateUKGToken(tenant.env)));
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'UKG login token cache invalidated'
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /v1/directory/status - watermark and statistics of the last directory sync (admin scope)
+ */
+async function handleDirectoryStatusRequest({ env, client, url }) {
+  if (!hasScope(client, 'admin')) {
+    return insufficientScopeResponse(client, 'admin');
+  }
+  const tenants = resolveTenants(env, url.searchParams.get('tenant'));
+  if (!tenants) {
+    return unknownTenantResponse(env, url.searchParams.get('tenant'), false);
+  }
+  const [tenant] = tenants;
+
+  const status = env.DIRECTORY_DB ? await readDirectorySyncState(tenant.env) : null;
+  return new Response(JSON.stringify({
+    success: true,
+    ...(tenant.name ? { tenant: tenant.name } : {}),
+    enabled: !!env.DIRECTORY_DB,
+    maxStalenessSeconds: getDirectoryMaxStalenessSeconds(env),
+    ...(status || { watermark: null, lastSync: null, currentRun: null })
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * GET /v1/webhooks/dead-letters - webhook deliveries that failed every attempt (admin scope)
+ */
+async function handleDeadLettersRequest({ env, client }) {
+  if (!hasScope(client, 'admin')) {
+    return insufficientScopeResponse(client, 'admin');
+  }
+  const deadLetters = await listWebhookDeadLetters(env);
+  return new Response(JSON.stringify({
+    success: true,
+    count: deadLetters.length,
+    deadLetters: deadLetters
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST /v1/webhooks/replay - send stored events again (admin scope).
+ * {"eventIds": [...], "subscriber": "..."} replays those events (to one subscriber, or every
+ * subscriber of the event type); {"deadLetters": true} replays every dead letter.
+ */
+async function handleWebhookReplayRequest({ request, env, client }) {
+  if (!hasScope(client, 'admin')) {
+    return insufficientScopeResponse(client, 'admin');
+  }
+
+  const body = await request.json().catch(() => null);
+  const validRequest = body && typeof body === 'object' &&
+    (body.deadLetters === true || (Array.isArray(body.eventIds) && body.eventIds.length > 0 && body.eventIds.every(eventId => typeof eventId === 'string')));
+  if (!validRequest) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Send {"eventIds": ["evt_..."]} or {"deadLetters": true}, optionally with "subscriber"',
+      code: 'INVALID_REPLAY_REQUEST'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  if (!env.WEBHOOK_EVENTS) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Webhook replay needs the WEBHOOK_EVENTS KV namespace',
+      code: 'WEBHOOKS_NOT_CONFIGURED'
+    }), {
+      status: 501,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const results = await replayWebhookEvents(env, {
+    eventIds: body.deadLetters === true ? null : body.eventIds,
+    subscriberName: typeof body.subscriber === 'string' ? body.subscriber : null
+  });
+  const delivered = results.filter(result => result.delivered).length;
+  log.info('Webhook replay completed', { client: client.name, replayed: results.length, delivered });
+  return new Response(JSON.stringify({
+    success: true,
+    replayed: results.length,
+    delivered: delivered,
+    failed: results.length - delivered,
+    results: results
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * POST / (deprecated) - a body with "emails" is a batch, anything else a single lookup
+ */
+async function handleLegacyPostRequest(context) {
+  const body = await context.request.clone().json().catch(() => null);
+  if (body && body.emails !== undefined) {
+    return handleBatchRequest(context);
+  }
+  return handleLookupRequest(context);
+}
+
+/**
+ * Read the lookup parameters from the query string (GET) or the JSON body (POST).
+ * Returns { parameters } or { error: Response } when the body is not valid JSON.
+ */
+async function readLookupParameters(request, url) {
+  // Cache-Control: no-cache or fresh=true skips the lookup cache (the fresh result is still stored)
+  const noCache = /no-cache/i.test(request.headers.get('Cache-Control') || '');
+
+  if (request.method !== 'POST') {
+    return {
+      parameters: {
+        email: url.searchParams.get('email'),
+        debug: url.searchParams.get('debug') === 'true',
+        fresh: noCache || url.searchParams.get('fresh') === 'true',
+        selection: url.searchParams.get('selection'),
+        companyPriority: url.searchParams.get('companyPriority'),
+        include: url.searchParams.get('include'),
+        includeInactive: url.searchParams.get('includeInactive') === 'true',
+        tenant: url.searchParams.get('tenant')
+      }
+    };
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = undefined;
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      error: new Response(JSON.stringify({
+        error: 'Request body must be a JSON object',
+        code: 'INVALID_JSON'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    };
+  }
+
+  return {
+    parameters: {
+      email: body.email,
+      emails: body.emails,
+      debug: body.debug === true,
+      fresh: noCache || body.fresh === true || url.searchParams.get('fresh') === 'true',
+      selection: body.selection,
+      companyPriority: body.companyPriority,
+      include: body.include,
+      includeInactive: body.includeInactive === true || url.searchParams.get('includeInactive') === 'true',
+      tenant: typeof body.tenant === 'string' ? body.tenant : url.searchParams.get('tenant')
+    }
+  };
+}
+
+/**
+ * Check the UKG configuration, the client's scopes and debug access, and resolve the
+ * tenants, selection policy and enrichment sections. Returns the lookup options or { error: Response }.
+ */
+function resolveLookupOptions(env, client, parameters, requiredScope, { allowAllTenants = false } = {}) {
+  // Pick the UKG tenant(s) to query
+  const tenants = resolveTenants(env, parameters.tenant, { allowAll: allowAllTenants });
+  if (!tenants) {
+    return { error: unknownTenantResponse(env, parameters.tenant, allowAllTenants) };
+  }
+
+  // Resolve how the primary record is chosen when an email maps to several employee records
+  const selection = resolveSelectionPolicy(env, parameters.selection, parameters.companyPriority);
+  if (!selection) {
+    return {
+      error: new Response(JSON.stringify({
+        success: false,
+        error: `Unknown selection policy - use one of: ${Object.keys(SELECTION_POLICIES).join(', ')}`,
+        code: 'INVALID_SELECTION_POLICY'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    };
+  }
+
+  // Optional enrichment sections (person, job, contact) fetched from additional UKG services
+  const include = parseIncludeSections(parameters.include);
+  if (!include) {
+    return {
+      error: new Response(JSON.stringify({
+        success: false,
+        error: `Unknown include section - use any of: ${Object.keys(ENRICHMENT_SECTIONS).join(', ')}`,
+        code: 'INVALID_INCLUDE'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    };
+  }
+
+  // Validate environment variables (per tenant when UKG_TENANTS is set)
+  const requiredVars = [...TENANT_CREDENTIAL_VARIABLES, 'UKG_BASE_URL'];
+  for (const tenant of tenants) {
+    const varName = requiredVars.find(name => !tenant.env[name]);
+    if (varName) {
+      return {
+        error: new Response(JSON.stringify({
+          error: `Missing environment variable: ${getTenantVariableName(tenant, varName)}`
+        }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' },
+        })
+      };
+    }
+  }
+
+  // Check the client's scopes for the requested operation
+  if (!hasScope(client, requiredScope)) {
+    return { error: insufficientScopeResponse(client, requiredScope) };
+  }
+
+  // Debug output must be enabled for the deployment and granted to the key; raw UKG XML
+  // additionally needs the "debug:raw" scope and is redacted otherwise
+  const debugMode = parameters.debug;
+  if (debugMode && env.DEBUG_MODE_ENABLED !== 'true') {
+    return {
+      error: new Response(JSON.stringify({
+        error: 'Debug mode is disabled for this deployment',
+        code: 'DEBUG_MODE_DISABLED'
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    };
+  }
+  if (debugMode && !hasScope(client, 'debug')) {
+    return { error: insufficientScopeResponse(client, 'debug') };
+  }
+  const redactRawXml = debugMode && !hasScope(client, 'debug:raw');
+  if (debugMode) {
+    log.info('Debug mode enabled', { client: client.name, rawXmlRedacted: redactRawXml });
+  }
+
+  return { debugMode, bypassCache: parameters.fresh, selection, include, includeInactive: parameters.includeInactive, redactRawXml, tenants };
+}
+
+/**
+ * Configured UKG tenants as [{ name, env }], where env is the worker env overlaid with the
+ * tenant's base URL and credentials (UKG_<NAME>_* secrets) and UKG_TENANT set to its name.
+ * Without UKG_TENANTS there is one unnamed tenant using the global UKG_* variables.
+ */
+function getUKGTenants(env) {
+  if (!env.UKG_TENANTS) {
+    return [{ name: null, env: env }];
+  }
+
+  if (parsedTenants.source !== env.UKG_TENANTS) {
+    try {
+      const parsed = JSON.parse(env.UKG_TENANTS);
+      parsedTenants.tenants = (Array.isArray(parsed) ? parsed : [])
+        .filter(tenant => tenant && typeof tenant.name === 'string' && TENANT_NAME_PATTERN.test(tenant.name));
+    } catch (error) {
+      log.error('UKG_TENANTS is not valid JSON - ignoring it');
+      parsedTenants.tenants = [];
+    }
+    parsedTenants.source = env.UKG_TENANTS;
+  }
+
+  return parsedTenants.tenants.map(tenant => {
+    const overlay = { UKG_TENANT: tenant.name, UKG_BASE_URL: tenant.baseUrl };
+    for (const varName of TENANT_CREDENTIAL_VARIABLES) {
+      overlay[varName] = env[getTenantVariableName(tenant, varName)];
+    }
+    return { name: tenant.name, env: { ...env, ...overlay } };
+  });
+}
+
+/**
+ * Tenants for a request: the named tenant, every tenant for "all" (when allowed), or the
+ * default tenant (UKG_DEFAULT_TENANT, else the first configured). Null when the name is unknown.
+ */
+function resolveTenants(env, requestedTenant, { allowAll = false } = {}) {
+  const tenants = getUKGTenants(env);
+  if (!requestedTenant) {
+    const defaultTenant = tenants.find(tenant => tenant.name === env.UKG_DEFAULT_TENANT) || tenants[0];
+    return defaultTenant ? [defaultTenant] : null;
+  }
+  if (requestedTenant === ALL_TENANTS && allowAll) {
+    return tenants.length > 0 ? tenants : null;
+  }
+  const tenant = tenants.find(candidate => candidate.name !== null && candidate.name === requestedTenant);
+  return tenant ? [tenant] : null;
+}
+
+/**
+ * Name of the setting holding a tenant's UKG variable (UKG_CA_PASSWORD for tenant "ca")
+ */
+function getTenantVariableName(tenant, varName) {
+  if (tenant.name === null) {
+    return varName;
+  }
+  if (varName === 'UKG_BASE_URL') {
+    return `UKG_TENANTS[${tenant.name}].baseUrl`;
+  }
+  return varName.replace(/^UKG_/, `UKG_${tenant.name.toUpperCase().replace(/-/g, '_')}_`);
+}
+
+/**
+ * 400 response for a tenant that is not configured
+ */
+function unknownTenantResponse(env, requestedTenant, allowAllTenants) {
+  const tenantNames = getUKGTenants(env).map(tenant => tenant.name).filter(Boolean);
+  return new Response(JSON.stringify({
+    success: false,
+    error: tenantNames.length > 0
+      ? `Unknown tenant - use one of: ${[...tenantNames, ...(allowAllTenants ? [ALL_TENANTS] : [])].join(', ')}`
+      : 'Unknown tenant - this deployment has no named tenants (UKG_TENANTS is not set)',
+    code: 'UNKNOWN_TENANT',
+    tenant: typeof requestedTenant === 'string' ? requestedTenant : null
+  }), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Run an HTTP handler for an RPC call: same validation, rate limits, caching, error
+ * mapping and audit trail (`audit` is the operation) as the HTTP API, without the API key.
+ * Returns the response body, with httpStatus and cache added for single lookups.
+ */
+async function runRpcHandler(env, ctx, handler, { method, path, body = null, params = {}, batch = false, audit = null }) {
+  return requestContext.run({ requestId: crypto.randomUUID(), logLevel: getLogLevel(env) }, async () => {
+    const startedAt = Date.now();
+    const url = new URL(path, RPC_BASE_URL);
+    const request = new Request(url, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : null
+    });
+
+    let response;
+    let handlerAnswered = false;
+    try {
+      const rateLimit = await checkRateLimits(env, SERVICE_BINDING_CLIENT, await getRequestCost(request, env));
+      if (rateLimit.allowed) {
+        response = await handler({ request, env, ctx, client: SERVICE_BINDING_CLIENT, params, url });
+        handlerAnswered = true;
+      } else {
+        response = rateLimitedResponse(rateLimit);
+      }
+    } catch (error) {
+      response = errorResponse(error);
+    }
+    await recordRequestAudit(env, ctx, { operation: audit, client: SERVICE_BINDING_CLIENT, response, handlerAnswered, params, url });
+
+    log.info('RPC call completed', {
+      method: handler.name,
+      client: SERVICE_BINDING_CLIENT.name,
+      status: response.status,
+      durationMs: Date.now() - startedAt
+    });
+
+    const result = await response.json();
+    if (batch && response.status === 200) {
+      return result;
+    }
+    const cacheStatus = response.headers.get('X-Cache');
+    return cacheStatus
+      ? { httpStatus: response.status, cache: cacheStatus, ...result }
+      : { httpStatus: response.status, ...result };
+  });
+}
+
+/**
+ * Lookup options accepted by the RPC methods, in the shape of a POST lookup body
+ */
+function getRpcLookupOptions(options) {
+  const { selection, companyPriority, include, includeInactive, fresh, tenant } = options || {};
+  return {
+    selection: selection,
+    companyPriority: companyPriority,
+    include: include,
+    includeInactive: includeInactive === true,
+    fresh: fresh === true,
+    tenant: tenant
+  };
+}
+
+/**
+ * Structured logger: one JSON object per line with the level, message, request ID and
+ * fields. Lines below the request's LOG_LEVEL are dropped, and personal data is masked.
+ */
+const log = {
+  debug: (message, fields) => writeLog('debug', message, fields),
+  info: (message, fields) => writeLog('info', message, fields),
+  warn: (message, fields) => writeLog('warn', message, fields),
+  error: (message, fields) => writeLog('error', message, fields)
+};
+
+/**
+ * Minimum log level from LOG_LEVEL (info when unset or unknown)
+ */
+function getLogLevel(env) {
+  const level = String(env.LOG_LEVEL).toLowerCase();
+  return LOG_LEVELS[level] ? level : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * Write one log line if its level is enabled for the current request
+ */
+function writeLog(level, message, fields = {}) {
+  const context = requestContext.getStore() || { logLevel: DEFAULT_LOG_LEVEL };
+  if (LOG_LEVELS[level] < LOG_LEVELS[context.logLevel]) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level: level,
+    message: message,
+    requestId: context.requestId,
+    ...sanitizeLogFields(fields)
+  };
+  const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  write(JSON.stringify(entry));
+}
+
+/**
+ * Mask personal data in log fields and drop raw UKG XML. The personal values logged during a
+ * request are remembered, so error messages that echo them later are masked too.
+ */
+function sanitizeLogFields(fields) {
+  const context = requestContext.getStore();
+  const personalValues = context ? (context.personalValues = context.personalValues || new Set()) : new Set();
+  for (const key of PII_LOG_FIELDS) {
+    for (const value of [fields[key]].flat()) {
+      if (typeof value === 'string' && value.length >= 3) {
+        personalValues.add(value);
+      }
+    }
+  }
+
+  const sanitized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (RAW_XML_FIELDS.includes(key)) {
+      continue;
+    }
+    if (PII_LOG_FIELDS.includes(key)) {
+      sanitized[key] = Array.isArray(value) ? value.map(maskPersonalValue) : maskPersonalValue(value);
+    } else if (FREE_TEXT_LOG_FIELDS.includes(key) && typeof value === 'string') {
+      sanitized[key] = maskPersonalText(value, personalValues);
+    } else {
+      sanitized[key] = value;
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Mask every email address and every known personal value (see sanitizeLogFields) in free text
+ */
+function maskPersonalText(text, personalValues) {
+  let masked = text;
+  for (const value of personalValues) {
+    masked = masked.split(value).join(maskPersonalValue(value));
+  }
+  return masked.replace(EMAIL_IN_TEXT_PATTERN, maskPersonalValue);
+}
+
+/**
+ * Mask an email (j***@example.com) or name (J***) so log lines stay useful without the PII
+ */
+function maskPersonalValue(value) {
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  const atIndex = value.lastIndexOf('@');
+  if (atIndex > 0) {
+    return `${value[0]}***${value.slice(atIndex)}`;
+  }
+  return `${value[0]}***`;
+}
+
+/**
+ * Lookup cache keys embed the email (email:<address>:<policy>) - mask it before logging
+ */
+function maskCacheKey(cacheKey) {
+  return cacheKey.replace(/^email:([^:]+)/, (match, email) => `email:${maskPersonalValue(email)}`);
+}
+
+/**
+ * Log fields describing an error (sanitizeLogFields masks the personal data in the message and stack)
+ */
+function errorLogFields(error) {
+  const fields = { error: error && error.message ? error.message : String(error) };
+  if (error instanceof UKGError) {
+    fields.code = error.code;
+    fields.service = error.service;
+    fields.upstreamStatus = error.upstreamStatus;
+  } else if (error && error.stack) {
+    fields.stack = error.stack;
+  }
+  return fields;
+}
+
+/**
+ * OpenAPI 3 description of the versioned API, served at GET /v1/openapi.json.
+ * Responses are checked against it by validateResponse (see RESPONSE_VALIDATION).
+ */
+const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'UKG Employee Lookup API',
+    version: '1.0.0',
+    description: 'Looks up UKG (UltiPro) employee records by email or by company code + employee number. Worker-to-worker only: the API sends no CORS headers.'
+  },
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  paths: {
+    '/v1/employees/lookup': {
+      get: {
+        operationId: 'lookupEmployee',
+        summary: 'Look up the active employee record for an email',
+        parameters: [
+          { $ref: '#/components/parameters/Email' },
+          { $ref: '#/components/parameters/Selection' },
+          { $ref: '#/components/parameters/CompanyPriority' },
+          { $ref: '#/components/parameters/Include' },
+          { $ref: '#/components/parameters/IncludeInactive' },
+          { $ref: '#/components/parameters/Tenant' },
+          { $ref: '#/components/parameters/Fresh' },
+          { $ref: '#/components/parameters/Debug' }
+        ],
+        responses: {
+          200: { $ref: '#/components/responses/Lookup' },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      },
+      post: {
+        operationId: 'lookupEmployeePost',
+        summary: 'Look up the active employee record for an email (JSON body)',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/LookupRequest' } } }
+        },
+        responses: {
+          200: { $ref: '#/components/responses/Lookup' },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/employees/batch': {
+      post: {
+        operationId: 'lookupEmployeesBatch',
+        summary: 'Look up several emails in one request',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/BatchRequest' } } }
+        },
+        responses: {
+          200: {
+            description: 'One result per email, in request order',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/BatchResponse' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          413: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/employees/search': {
+      get: {
+        operationId: 'searchEmployees',
+        summary: 'Search employees by name, company, email or domain and status (search scope)',
+        description: `Email and domain searches page through UKG's FindSsoUsers and match the addresses here; name and company `
+          + `searches page through FindEmploymentInformations. One request reads at most ${SEARCH_MAX_PAGES_PER_REQUEST} UKG pages `
+          + `of ${SEARCH_PAGE_SIZE} records, so a page can come back with fewer than limit results, or none, and a nextCursor. `
+          + 'Keep following nextCursor, with the same filters, until it is null.',
+        parameters: [
+          { name: 'firstName', in: 'query', required: false, schema: { type: 'string', maxLength: MAX_SEARCH_NAME_LENGTH } },
+          { name: 'lastName', in: 'query', required: false, schema: { type: 'string', maxLength: MAX_SEARCH_NAME_LENGTH } },
+          { name: 'companyCode', in: 'query', required: false, schema: { type: 'string', pattern: '^[A-Za-z0-9]{1,10}$' } },
+          { name: 'domain', in: 'query', required: false, description: 'Email domain, e.g. subsidiary.com', schema: { type: 'string' } },
+          { name: 'email', in: 'query', required: false, description: 'Part of the email address', schema: { type: 'string', minLength: 3 } },
+          {
+            name: 'status', in: 'query', required: false,
+            description: 'Comma-separated employment statuses or UKG codes (default: active records only)',
+            schema: { type: 'string' }
+          },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: MAX_SEARCH_LIMIT, default: DEFAULT_SEARCH_LIMIT } },
+          { name: 'cursor', in: 'query', required: false, description: 'nextCursor of the previous page', schema: { type: 'string' } },
+          { $ref: '#/components/parameters/Include' },
+          { $ref: '#/components/parameters/IncludeInactive' },
+          { name: 'tenant', in: 'query', required: false, schema: { type: 'string' } },
+          { $ref: '#/components/parameters/Debug' }
+        ],
+        responses: {
+          200: {
+            description: 'One page of matching employees',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/SearchResponse' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/employees/managers': {
+      get: {
+        operationId: 'getManagerChain',
+        summary: 'Look up an employee\'s supervisor and reporting chain by email',
+        parameters: [
+          { $ref: '#/components/parameters/Email' },
+          {
+            name: 'depth', in: 'query', required: false,
+            description: `Manager levels to walk up (default ${DEFAULT_MANAGER_CHAIN_DEPTH})`,
+            schema: { type: 'integer', minimum: 1, maximum: MAX_MANAGER_CHAIN_DEPTH }
+          },
+          { $ref: '#/components/parameters/Selection' },
+          { $ref: '#/components/parameters/CompanyPriority' },
+          { $ref: '#/components/parameters/Include' },
+          { $ref: '#/components/parameters/IncludeInactive' },
+          { $ref: '#/components/parameters/Tenant' },
+          { $ref: '#/components/parameters/Fresh' },
+          { $ref: '#/components/parameters/Debug' }
+        ],
+        responses: {
+          200: {
+            description: 'The employee and their managers, nearest first',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ManagerChainResponse' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/employees/{companyCode}/{employeeNumber}': {
+      get: {
+        operationId: 'getEmployeeByNumber',
+        summary: 'Look up an employee by company code + employee number',
+        parameters: [
+          { name: 'companyCode', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9]{1,10}$' } },
+          { name: 'employeeNumber', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9]{1,20}$' } },
+          { $ref: '#/components/parameters/Include' },
+          { $ref: '#/components/parameters/IncludeInactive' },
+          { $ref: '#/components/parameters/Tenant' },
+          { $ref: '#/components/parameters/Fresh' },
+          { $ref: '#/components/parameters/Debug' }
+        ],
+        responses: {
+          200: {
+            description: 'The active employee record',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Employee' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/employees/{companyCode}/{employeeNumber}/managers': {
+      get: {
+        operationId: 'getManagerChainByNumber',
+        summary: 'Look up an employee\'s supervisor and reporting chain by company code + employee number',
+        parameters: [
+          { name: 'companyCode', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9]{1,10}$' } },
+          { name: 'employeeNumber', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9]{1,20}$' } },
+          {
+            name: 'depth', in: 'query', required: false,
+            description: `Manager levels to walk up (default ${DEFAULT_MANAGER_CHAIN_DEPTH})`,
+            schema: { type: 'integer', minimum: 1, maximum: MAX_MANAGER_CHAIN_DEPTH }
+          },
+          { $ref: '#/components/parameters/Include' },
+          { $ref: '#/components/parameters/IncludeInactive' },
+          { $ref: '#/components/parameters/Tenant' },
+          { $ref: '#/components/parameters/Fresh' },
+          { $ref: '#/components/parameters/Debug' }
+        ],
+        responses: {
+          200: {
+            description: 'The employee and their managers, nearest first',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/ManagerChainResponse' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: { $ref: '#/components/responses/Error' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          502: { $ref: '#/components/responses/UpstreamError' },
+          503: { $ref: '#/components/responses/Unavailable' }
+        }
+      }
+    },
+    '/v1/token/invalidate': {
+      post: {
+        operationId: 'invalidateUKGToken',
+        summary: 'Drop the cached UKG login token (admin scope)',
+        parameters: [
+          { name: 'tenant', in: 'query', required: false, description: 'Only this tenant (default: every tenant)', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'The token cache was cleared',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'message'],
+                  properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+                }
+              }
+            }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/v1/directory/status': {
+      get: {
+        operationId: 'getDirectoryStatus',
+        summary: 'Watermark and statistics of the last employee directory sync (admin scope)',
+        parameters: [
+          { name: 'tenant', in: 'query', required: false, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Directory sync status',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/DirectoryStatus' } } }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/v1/webhooks/dead-letters': {
+      get: {
+        operationId: 'listWebhookDeadLetters',
+        summary: 'Webhook deliveries that failed every attempt (admin scope)',
+        responses: {
+          200: {
+            description: 'Dead letters, oldest event ID first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'count', 'deadLetters'],
+                  properties: {
+                    success: { type: 'boolean' },
+                    count: { type: 'integer' },
+                    deadLetters: { type: 'array', items: { $ref: '#/components/schemas/WebhookDeadLetter' } }
+                  }
+                }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/v1/webhooks/replay': {
+      post: {
+        operationId: 'replayWebhookEvents',
+        summary: 'Send stored webhook events again (admin scope)',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  eventIds: { type: 'array', items: { type: 'string' } },
+                  deadLetters: { type: 'boolean' },
+                  subscriber: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'One result per replayed delivery',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'replayed', 'delivered', 'failed', 'results'],
+                  properties: {
+                    success: { type: 'boolean' },
+                    replayed: { type: 'integer' },
+                    delivered: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    results: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['delivered'],
+                        properties: {
+                          eventId: { type: 'string' },
+                          subscriber: { type: 'string' },
+                          delivered: { type: 'boolean' },
+                          attempts: { type: 'integer' },
+                          status: { type: 'integer', nullable: true },
+                          error: { type: 'string' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          501: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/v1/audit/events': {
+      get: {
+        operationId: 'listAuditEvents',
+        summary: 'Audit trail of lookups, newest first (admin scope)',
+        parameters: [
+          { name: 'client', in: 'query', required: false, schema: { type: 'string' } },
+          { name: 'employee', in: 'query', required: false, description: 'Email or <companyCode>:<employeeNumber>', schema: { type: 'string' } },
+          { name: 'from', in: 'query', required: false, schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', required: false, description: 'Exclusive', schema: { type: 'string', format: 'date-time' } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_QUERY_LIMIT, default: DEFAULT_AUDIT_QUERY_LIMIT } },
+          { name: 'cursor', in: 'query', required: false, description: 'nextCursor of the previous page', schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Audit events',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['success', 'count', 'events', 'nextCursor'],
+                  properties: {
+                    success: { type: 'boolean' },
+                    count: { type: 'integer' },
+                    events: { type: 'array', items: { $ref: '#/components/schemas/AuditEvent' } },
+                    nextCursor: { type: 'integer', nullable: true }
+                  }
+                }
+              }
+            }
+          },
+          400: { $ref: '#/components/responses/Error' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          429: { $ref: '#/components/responses/RateLimited' },
+          500: { $ref: '#/components/responses/Error' },
+          501: { $ref: '#/components/responses/Error' }
+        }
+      }
+    },
+    '/v1/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        security: [],
+        responses: {
+          200: {
+            description: 'OpenAPI 3 document',
+            content: { 'application/json': { schema: { type: 'object' } } }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    parameters: {
+      Email: { name: 'email', in: 'query', required: true, schema: { type: 'string', format: 'email' } },
+      Selection: {
+        name: 'selection', in: 'query', required: false,
+        schema: { type: 'string', enum: Object.keys(SELECTION_POLICIES) }
+      },
+      CompanyPriority: {
+        name: 'companyPriority', in: 'query', required: false,
+        description: 'Comma-separated company codes, highest priority first (company-priority policy)',
+        schema: { type: 'string' }
+      },
+      Include: {
+        name: 'include', in: 'query', required: false,
+        description: 'Comma-separated enrichment sections: person, job, contact',
+        schema: { type: 'string' }
+      },
+      IncludeInactive: {
+        name: 'includeInactive', in: 'query', required: false,
+        description: 'Return terminated, pending and unknown-status records instead of a 404',
+        schema: { type: 'boolean' }
+      },
+      Tenant: {
+        name: 'tenant', in: 'query', required: false,
+        description: 'UKG tenant from UKG_TENANTS; "all" searches every tenant (email lookups only)',
+        schema: { type: 'string' }
+      },
+      Fresh: {
+        name: 'fresh', in: 'query', required: false,
+        description: 'Skip the lookup cache and the employee directory and ask UKG',
+        schema: { type: 'boolean' }
+      },
+      Debug: { name: 'debug', in: 'query', required: false, schema: { type: 'boolean' } }
+    },
+    responses: {
+      Lookup: {
+        description: 'The selected active employee record, every active record for selection=all, or every tenant\'s records for tenant=all',
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [
+                { $ref: '#/components/schemas/Employee' },
+                { $ref: '#/components/schemas/EmployeeRecords' },
+                { $ref: '#/components/schemas/TenantRecords' }
+              ]
+            }
+          }
+        }
+      },
+      Error: {
+        description: 'Error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Unauthorized: {
+        description: 'The caller\'s API key is missing or wrong (INVALID_API_KEY) or expired (API_KEY_EXPIRED)',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Forbidden: {
+        description: 'The caller\'s API key lacks the scope for the operation (INSUFFICIENT_SCOPE) or debug mode is disabled (DEBUG_MODE_DISABLED)',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      UpstreamError: {
+        description: 'UKG failed: an unexpected fault or malformed response (UKG_UPSTREAM_ERROR), rejected integration credentials (UKG_AUTH_FAILED) or an integration user without permission for the data (UKG_PERMISSION_DENIED)',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Unavailable: {
+        description: 'UKG could not be reached or reported an outage (UKG_UNAVAILABLE), or the circuit breaker is open',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      RateLimited: {
+        description: 'Client rate limit (RATE_LIMIT_EXCEEDED) or global ceiling (GLOBAL_RATE_LIMIT_EXCEEDED) reached',
+        headers: {
+          'Retry-After': { schema: { type: 'integer' } },
+          'X-RateLimit-Limit': { schema: { type: 'integer' } },
+          'X-RateLimit-Remaining': { schema: { type: 'integer' } },
+          'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Window reset time (epoch seconds)' }
+        },
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    },
+    schemas: {
+      LookupRequest: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          selection: { type: 'string' },
+          companyPriority: { type: 'array', items: { type: 'string' } },
+          include: { type: 'array', items: { type: 'string', enum: Object.keys(ENRICHMENT_SECTIONS) } },
+          includeInactive: { type: 'boolean' },
+          tenant: { type: 'string' },
+          fresh: { type: 'boolean' },
+          debug: { type: 'boolean' }
+        }
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['emails'],
+        properties: {
+          emails: { type: 'array', items: { type: 'string', format: 'email' }, minItems: 1 },
+          selection: { type: 'string' },
+          companyPriority: { type: 'array', items: { type: 'string' } },
+          include: { type: 'array', items: { type: 'string', enum: Object.keys(ENRICHMENT_SECTIONS) } },
+          includeInactive: { type: 'boolean' },
+          tenant: { type: 'string' },
+          fresh: { type: 'boolean' },
+          debug: { type: 'boolean' }
+        }
+      },
+      Employee: {
+        type: 'object',
+        required: ['employeeNumber', 'companyCode', 'firstName', 'lastName', 'employmentStatus'],
+        properties: {
+          success: { type: 'boolean' },
+          employeeNumber: { type: 'string' },
+          companyCode: { type: 'string' },
+          firstName: { type: 'string' },
+          lastName: { type: 'string' },
+          status: { type: 'string', nullable: true },
+          email: { type: 'string', nullable: true },
+          employmentStatus: {
+            type: 'string',
+            enum: [...new Set([...Object.values(EMPLOYMENT_STATUSES), UNKNOWN_EMPLOYMENT_STATUS].map(entry => entry.status))]
+          },
+          employmentStatusCode: { type: 'string', nullable: true, description: 'UKG employment status code (A, L, T...)' },
+          employmentStatusReason: { type: 'string' },
+          statusReason: { type: 'string', description: 'UKG reason for the current status (termination or leave reason)' },
+          terminationDate: { type: 'string' },
+          lastWorkDate: { type: 'string' },
+          leaveStartDate: { type: 'string' },
+          leaveEndDate: { type: 'string', description: 'End or expected return date of a leave of absence' },
+          dataSource: { type: 'string' },
+          hireDate: { type: 'string' },
+          jobTitle: { type: 'string' },
+          note: { type: 'string' },
+          directorySyncedAt: {
+            type: 'string', format: 'date-time',
+            description: 'Set when the answer came from the employee directory: when a sync run last saw the oldest record used. '
+              + 'Such data can be up to DIRECTORY_MAX_STALENESS_SECONDS (default: 24 hours) old; send fresh=true for live UKG data'
+          },
+          tenant: { type: 'string' },
+          person: { $ref: '#/components/schemas/PersonSection' },
+          job: { $ref: '#/components/schemas/JobSection' },
+          contact: { $ref: '#/components/schemas/ContactSection' },
+          enrichmentErrors: {
+            type: 'object',
+            additionalProperties: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      EmployeeRecords: {
+        type: 'object',
+        required: ['success', 'selectionPolicy', 'totalRecords', 'activeRecordCount', 'records'],
+        properties: {
+          success: { type: 'boolean' },
+          email: { type: 'string' },
+          selectionPolicy: { type: 'string', enum: ['all'] },
+          totalRecords: { type: 'integer' },
+          activeRecordCount: { type: 'integer', description: 'Records of people still employed (active, on leave or suspended)' },
+          records: { type: 'array', items: { $ref: '#/components/schemas/Employee' } }
+        }
+      },
+      TenantRecords: {
+        type: 'object',
+        required: ['success', 'tenant', 'tenants', 'totalRecords', 'records'],
+        properties: {
+          success: { type: 'boolean' },
+          email: { type: 'string' },
+          tenant: { type: 'string', enum: [ALL_TENANTS] },
+          tenants: { type: 'array', items: { type: 'string' } },
+          totalRecords: { type: 'integer' },
+          records: { type: 'array', items: { $ref: '#/components/schemas/Employee' } },
+          tenantErrors: {
+            type: 'object',
+            description: 'Tenants that could not be searched',
+            additionalProperties: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      PersonSection: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          legalFirstName: { type: 'string', nullable: true },
+          legalMiddleName: { type: 'string', nullable: true },
+          legalLastName: { type: 'string', nullable: true },
+          preferredName: { type: 'string', nullable: true },
+          prefix: { type: 'string', nullable: true },
+          suffix: { type: 'string', nullable: true }
+        }
+      },
+      JobSection: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          jobCode: { type: 'string', nullable: true },
+          jobTitle: { type: 'string', nullable: true },
+          department: { type: 'string', nullable: true },
+          location: { type: 'string', nullable: true },
+          supervisorEmployeeNumber: { type: 'string', nullable: true },
+          supervisorCompanyCode: { type: 'string', nullable: true },
+          supervisorName: { type: 'string', nullable: true },
+          fullOrPartTime: { type: 'string', nullable: true },
+          employeeType: { type: 'string', nullable: true }
+        }
+      },
+      ContactSection: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          workPhone: { type: 'string', nullable: true },
+          workPhoneExtension: { type: 'string', nullable: true },
+          workEmail: { type: 'string', nullable: true },
+          location: { type: 'string', nullable: true }
+        }
+      },
+      BatchResponse: {
+        type: 'object',
+        required: ['success', 'totalRequested', 'succeeded', 'failed', 'results'],
+        properties: {
+          success: { type: 'boolean' },
+          totalRequested: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: { type: 'array', items: { $ref: '#/components/schemas/BatchResult' } }
+        }
+      },
+      SearchResponse: {
+        type: 'object',
+        required: ['success', 'count', 'records', 'nextCursor', 'truncated'],
+        properties: {
+          success: { type: 'boolean' },
+          tenant: { type: 'string' },
+          count: { type: 'integer' },
+          records: { type: 'array', items: { $ref: '#/components/schemas/Employee' } },
+          nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor for the next page; null when the search is complete' },
+          truncated: { type: 'boolean', description: 'The search stopped at SEARCH_MAX_RESULTS results' }
+        }
+      },
+      ManagerChainResponse: {
+        type: 'object',
+        required: ['success', 'employee', 'managers', 'depth', 'chainEnd'],
+        properties: {
+          success: { type: 'boolean' },
+          tenant: { type: 'string' },
+          employee: { $ref: '#/components/schemas/Employee' },
+          managers: {
+            type: 'array',
+            description: 'The supervisor first, then each manager above; returned whatever their employment status',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/Employee' },
+                { type: 'object', properties: { level: { type: 'integer', description: '1 for the direct supervisor' } } }
+              ]
+            }
+          },
+          depth: { type: 'integer' },
+          chainEnd: {
+            type: 'string',
+            enum: ['DEPTH_REACHED', 'TOP_OF_CHAIN', 'CYCLE_DETECTED', 'SUPERVISOR_NOT_FOUND', 'SUPERVISOR_LOOKUP_FAILED'],
+            description: 'Why the chain stopped'
+          }
+        }
+      },
+      BatchResult: {
+        type: 'object',
+        description: 'An Employee (or EmployeeRecords) or Error body, plus the per-email HTTP status',
+        required: ['httpStatus', 'success'],
+        properties: {
+          httpStatus: { type: 'integer' },
+          cache: { type: 'string', enum: ['HIT', 'MISS'] },
+          success: { type: 'boolean' }
+        }
+      },
+      DirectoryStatus: {
+        type: 'object',
+        required: ['success', 'enabled', 'maxStalenessSeconds', 'watermark', 'lastSync', 'currentRun'],
+        properties: {
+          success: { type: 'boolean' },
+          tenant: { type: 'string' },
+          enabled: { type: 'boolean' },
+          maxStalenessSeconds: { type: 'integer' },
+          watermark: { type: 'string', format: 'date-time', nullable: true },
+          lastSync: {
+            type: 'object',
+            nullable: true,
+            required: ['status', 'startedAt'],
+            properties: {
+              status: { type: 'string', enum: ['succeeded', 'failed'] },
+              trigger: { type: 'string', nullable: true },
+              startedAt: { type: 'string', format: 'date-time' },
+              completedAt: { type: 'string', format: 'date-time' },
+              durationMs: { type: 'integer' },
+              invocations: { type: 'integer' },
+              ssoUsers: { type: 'integer' },
+              employmentRecords: { type: 'integer' },
+              emails: { type: 'integer' },
+              employees: { type: 'integer' },
+              pages: { $ref: '#/components/schemas/DirectorySyncCounts' },
+              changedRecords: { $ref: '#/components/schemas/DirectorySyncCounts' },
+              removedRecords: { $ref: '#/components/schemas/DirectorySyncCounts' },
+              events: { type: 'integer' },
+              webhookDeliveries: {
+                type: 'object',
+                properties: { delivered: { type: 'integer' }, failed: { type: 'integer' } }
+              },
+              error: {
+                type: 'object',
+                properties: { code: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          },
+          currentRun: {
+            type: 'object',
+            nullable: true,
+            description: 'Cursor of a run that continues in the next cron invocation',
+            required: ['startedAt', 'phase', 'pageNumber'],
+            properties: {
+              startedAt: { type: 'string', format: 'date-time' },
+              trigger: { type: 'string', nullable: true },
+              phase: { type: 'string', enum: ['employmentRecords', 'ssoUsers'], nullable: true },
+              pageNumber: { type: 'integer' },
+              invocations: { type: 'integer' },
+              pages: { $ref: '#/components/schemas/DirectorySyncCounts' },
+              records: { $ref: '#/components/schemas/DirectorySyncCounts' }
+            }
+          }
+        }
+      },
+      DirectorySyncCounts: {
+        type: 'object',
+        properties: { ssoUsers: { type: 'integer' }, employmentRecords: { type: 'integer' } }
+      },
+      AuditEvent: {
+        type: 'object',
+        required: ['id', 'occurredAt', 'client', 'operation', 'outcome', 'httpStatus', 'debug', 'fields'],
+        properties: {
+          id: { type: 'integer' },
+          occurredAt: { type: 'string', format: 'date-time' },
+          requestId: { type: 'string', nullable: true },
+          client: { type: 'string' },
+          operation: { type: 'string', enum: ['lookup', 'batch', 'employee', 'search', 'scim', 'managers'] },
+          tenant: { type: 'string', nullable: true },
+          lookupKey: { type: 'string', nullable: true, description: 'HMAC-SHA256 hex when AUDIT_HASH_KEY is set' },
+          employee: { type: 'string', nullable: true, description: '<companyCode>:<employeeNumber> of the returned record' },
+          outcome: { type: 'string', description: 'FOUND, NO_RESULTS or the error code' },
+          httpStatus: { type: 'integer' },
+          debug: { type: 'boolean' },
+          fields: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      WebhookDeadLetter: {
+        type: 'object',
+        required: ['eventId', 'eventType', 'subscriber', 'attempts', 'failedAt'],
+        properties: {
+          eventId: { type: 'string' },
+          eventType: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+          subscriber: { type: 'string' },
+          attempts: { type: 'integer' },
+          lastStatus: { type: 'integer', nullable: true },
+          lastError: { type: 'string' },
+          failedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          code: { type: 'string' },
+          service: { type: 'string' },
+          faultCode: { type: 'string' },
+          retryAfterSeconds: { type: 'integer' },
+          upstreamMessages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', nullable: true },
+                message: { type: 'string', nullable: true },
+                propertyName: { type: 'string', nullable: true },
+                severity: { type: 'string', nullable: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check a response against the OpenAPI document. RESPONSE_VALIDATION=log (default) logs
+ * mismatches, strict replaces the response with a 500, off skips the check.
+ */
+async function validateResponse(env, route, response) {
+  const mode = env.RESPONSE_VALIDATION || 'log';
+  const operation = route.operationId ? findOpenApiOperation(route.operationId) : null;
+  if (mode === 'off' || !operation) {
+    return response;
+  }
+
+  const responseSpec = resolveOpenApiRef(operation.responses[response.status]);
+  const schema = responseSpec && responseSpec.content && responseSpec.content['application/json']
+    ? responseSpec.content['application/json'].schema
+    : null;
+
+  let errors;
+  if (!schema) {
+    errors = [`status ${response.status} is not documented`];
+  } else {
+    try {
+      errors = validateJsonSchema(await response.clone().json(), schema);
+    } catch (error) {
+      errors = [`body is not JSON: ${error.message}`];
+    }
+  }
+
+  if (errors.length === 0) {
+    return response;
+  }
+
+  log.warn('Response does not match the OpenAPI schema', { operationId: route.operationId, status: response.status, errors });
+  if (mode !== 'strict') {
+    return response;
+  }
+  return new Response(JSON.stringify({
+    error: 'Response does not match the published API schema',
+    code: 'RESPONSE_VALIDATION_FAILED',
+    details: errors
+  }), {
+    status: 500,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Find an operation in the OpenAPI document by its operationId
+ */
+function findOpenApiOperation(operationId) {
+  for (const pathItem of Object.values(OPENAPI_DOCUMENT.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation.operationId === operationId) {
+        return operation;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Follow a local $ref (#/components/...) in the OpenAPI document
+ */
+function resolveOpenApiRef(node) {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return node.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((current, key) => (current ? current[key] : undefined), OPENAPI_DOCUMENT);
+}
+
+/**
+ * Validate a value against the OpenAPI schema subset this API uses (type, nullable, enum,
+ * required, properties, additionalProperties, items, oneOf). Returns a list of problems.
+ */
+function validateJsonSchema(value, schemaOrRef, path = '$') {
+  const schema = resolveOpenApiRef(schemaOrRef);
+  const errors = [];
+
+  if (value === null) {
+    if (schema.type && !schema.nullable) {
+      errors.push(`${path} must not be null`);
+    }
+    return errors;
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateJsonSchema(value, option, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path} must match exactly one of ${schema.oneOf.length} schemas (matched ${matches})`);
+    }
+  }
+
+  if (schema.type && !matchesJsonType(value, schema.type)) {
+    errors.push(`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties && schema.properties[name]
+        ? schema.properties[name]
+        : (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (fieldSchema && fieldValue !== undefined) {
+        errors.push(...validateJsonSchema(fieldValue, fieldSchema, `${path}.${name}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * JSON Schema type check
+ */
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Resolve the calling client from its API key. Keys come from API_KEYS_KV (stored under the
+ * SHA-256 of the key), the API_KEYS JSON secret, or the legacy WORKER_API_KEY.
+ * Returns { name, scopes, expiresAt, expired } or null when the key is unknown.
+ */
+async function authenticateClient(env, apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const presentedDigest = await sha256(apiKey);
+
+  if (env.API_KEYS_KV) {
+    const record = await env.API_KEYS_KV.get(`apikey:${toHex(presentedDigest)}`, 'json');
+    if (record) {
+      return toApiClient(record);
+    }
+  }
+
+  // Compare against every configured key without stopping at the first match,
+  // so the response time does not reveal which key (if any) matched
+  let matchedEntry = null;
+  for (const entry of getConfiguredApiKeys(env)) {
+    const isMatch = timingSafeEqual(presentedDigest, await sha256(entry.key));
+    if (isMatch && !matchedEntry) {
+      matchedEntry = entry;
+    }
+  }
+
+  return matchedEntry ? toApiClient(matchedEntry) : null;
+}
+
+/**
+ * API keys from the API_KEYS JSON secret plus the legacy WORKER_API_KEY
+ * API_KEYS format: [{ "client": "ticketing", "key": "...", "scopes": ["lookup", "batch"], "expiresAt": "2026-12-31T00:00:00Z" }]
+ */
+function getConfiguredApiKeys(env) {
+  const entries = [];
+
+  if (env.API_KEYS) {
+    if (parsedApiKeys.source !== env.API_KEYS) {
+      try {
+        const parsed = JSON.parse(env.API_KEYS);
+        parsedApiKeys.entries = (Array.isArray(parsed) ? parsed : []).filter(entry => entry && typeof entry.key === 'string' && entry.key);
+      } catch (error) {
+        log.error('API_KEYS is not valid JSON - ignoring it');
+        parsedApiKeys.entries = [];
+      }
+      parsedApiKeys.source = env.API_KEYS;
+    }
+    entries.push(...parsedApiKeys.entries);
+  }
+
+  if (env.WORKER_API_KEY) {
+    entries.push({ client: LEGACY_API_KEY_CLIENT, key: env.WORKER_API_KEY, scopes: LEGACY_API_KEY_SCOPES });
+  }
+
+  return entries;
+}
+
+/**
+ * Normalize an API key record into the client object used for scope checks and logging
+ */
+function toApiClient(record) {
+  const expiresAt = record.expiresAt ? Date.parse(record.expiresAt) : null;
+  return {
+    name: record.client || 'unnamed-client',
+    scopes: Array.isArray(record.scopes) ? record.scopes : [],
+    rateLimit: record.rateLimit && typeof record.rateLimit === 'object' ? record.rateLimit : null,
+    expiresAt: expiresAt,
+    expired: Number.isFinite(expiresAt) && expiresAt <= Date.now()
+  };
+}
+
+/**
+ * Check whether an authenticated client was granted a scope
+ */
+function hasScope(client, scope) {
+  return client.scopes.includes(scope);
+}
+
+/**
+ * 403 response for a client whose API key lacks the scope for the requested operation
+ */
+function insufficientScopeResponse(client, scope) {
+  log.warn('Client is missing a required scope', { client: client.name, scope });
+  return new Response(JSON.stringify({
+    error: `Forbidden - API key is missing the "${scope}" scope`,
+    code: 'INSUFFICIENT_SCOPE',
+    requiredScope: scope
+  }), {
+    status: 403,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * SHA-256 digest of a string
+ */
+async function sha256(value) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+/**
+ * Hex encoding of a byte array
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Constant-time comparison of two equal-length digests
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  if (crypto.subtle.timingSafeEqual) {
+    return crypto.subtle.timingSafeEqual(a, b);
+  }
+  let difference = 0;
+  for (let index = 0; index < a.length; index++) {
+    difference |= a[index] ^ b[index];
+  }
+  return difference === 0;
+}
+
+/**
+ * Replace raw UKG XML in a debug response with a redaction notice (mutates and returns the value)
+ */
+function redactRawXmlFields(value) {
+  if (Array.isArray(value)) {
+    value.forEach(redactRawXmlFields);
+  } else if (value && typeof value === 'object') {
+    for (const [key, fieldValue] of Object.entries(value)) {
+      if (RAW_XML_FIELDS.includes(key) && typeof fieldValue === 'string') {
+        value[key] = RAW_XML_REDACTED;
+      } else {
+        redactRawXmlFields(fieldValue);
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Apply the client's limit and then the global ceiling. Returns { allowed, client, global }
+ * where client/global are the window results ({ limit, remaining, resetAt, retryAfterSeconds }),
+ * and exceeded ('client' or 'global') when the request is rejected.
+ */
+async function checkRateLimits(env, client, cost) {
+  const clientLimit = {
+    limit: parseNonNegativeInt(client.rateLimit && client.rateLimit.requests,
+      parseNonNegativeInt(env.RATE_LIMIT_REQUESTS, DEFAULT_RATE_LIMIT_REQUESTS)),
+    windowSeconds: parseNonNegativeInt(client.rateLimit && client.rateLimit.windowSeconds,
+      parseNonNegativeInt(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_RATE_LIMIT_WINDOW_SECONDS)) || DEFAULT_RATE_LIMIT_WINDOW_SECONDS
+  };
+  const globalLimit = {
+    limit: parseNonNegativeInt(env.GLOBAL_RATE_LIMIT_REQUESTS, DEFAULT_GLOBAL_RATE_LIMIT_REQUESTS),
+    windowSeconds: parseNonNegativeInt(env.GLOBAL_RATE_LIMIT_WINDOW_SECONDS, DEFAULT_GLOBAL_RATE_LIMIT_WINDOW_SECONDS) || DEFAULT_GLOBAL_RATE_LIMIT_WINDOW_SECONDS
+  };
+
+  const clientResult = clientLimit.limit > 0
+    ? await consumeRateLimit(env, `client:${client.name}`, { ...clientLimit, cost })
+    : null;
+  if (clientResult && !clientResult.allowed) {
+    log.warn('Client rate limit exceeded', { client: client.name, limit: clientResult.limit, cost });
+    return { allowed: false, exceeded: 'client', client: clientResult };
+  }
+
+  const globalResult = globalLimit.limit > 0
+    ? await consumeRateLimit(env, 'global', { ...globalLimit, cost })
+    : null;
+  if (globalResult && !globalResult.allowed) {
+    log.warn('Global rate limit exceeded', { client: client.name, limit: globalResult.limit, cost });
+    return { allowed: false, exceeded: 'global', client: clientResult, global: globalResult };
+  }
+
+  return { allowed: true, client: clientResult, global: globalResult };
+}
+
+/**
+ * Consume from one rate limit counter - in the RATE_LIMITER Durable Object when bound,
+ * otherwise in this isolate's memory. Fails open if the Durable Object cannot be reached.
+ */
+async function consumeRateLimit(env, counterName, { limit, windowSeconds, cost }) {
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(counterName));
+      const response = await stub.fetch('https://rate-limiter.internal/consume', {
+        method: 'POST',
+        body: JSON.stringify({ limit, windowSeconds, cost })
+      });
+      return await response.json();
+    } catch (error) {
+      log.error('Rate limiter unavailable - allowing request', { counter: counterName, ...errorLogFields(error) });
+      return { allowed: true, limit, remaining: limit, resetAt: Math.ceil(Date.now() / 1000) + windowSeconds, retryAfterSeconds: 0 };
+    }
+  }
+
+  const { result, nextWindow } = consumeRateLimitWindow(localRateLimitWindows.get(counterName), { limit, windowSeconds, cost }, Date.now());
+  localRateLimitWindows.set(counterName, nextWindow);
+  return result;
+}
+
+/**
+ * Fixed-window counter shared by the Durable Object and the in-memory fallback.
+ * A request is rejected (and not counted) when it would take the window over the limit.
+ */
+function consumeRateLimitWindow(window, { limit, windowSeconds, cost }, now) {
+  const windowMs = windowSeconds * 1000;
+  const current = window && window.startedAt + windowMs > now && window.windowSeconds === windowSeconds
+    ? window
+    : { startedAt: now - (now % windowMs), windowSeconds: windowSeconds, count: 0 };
+
+  const allowed = current.count + cost <= limit;
+  const nextWindow = allowed ? { ...current, count: current.count + cost } : current;
+  const resetAtMs = current.startedAt + windowMs;
+
+  return {
+    nextWindow,
+    result: {
+      allowed: allowed,
+      limit: limit,
+      remaining: Math.max(0, limit - nextWindow.count),
+      resetAt: Math.ceil(resetAtMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((resetAtMs - now) / 1000))
+    }
+  };
+}
+
+/**
+ * Rate limit cost of a request: the number of emails for a batch, 1 otherwise. A batch over
+ * BATCH_MAX_SIZE also costs 1, so it gets its 413 instead of a 429 or a drained budget.
+ */
+async function getRequestCost(request, env) {
+  if (request.method !== 'POST') {
+    return 1;
+  }
+  const body = await request.clone().json().catch(() => null);
+  const emailCount = body && Array.isArray(body.emails) ? body.emails.length : 0;
+  return emailCount > 0 && emailCount <= getBatchMaxSize(env) ? emailCount : 1;
+}
+
+/**
+ * Maximum number of emails in one batch lookup
+ */
+function getBatchMaxSize(env) {
+  return parseInt(env.BATCH_MAX_SIZE, 10) || DEFAULT_BATCH_MAX_SIZE;
+}
+
+/**
+ * X-RateLimit-* headers describing the client's window
+ */
+function setRateLimitHeaders(headers, windowResult) {
+  headers.set('X-RateLimit-Limit', String(windowResult.limit));
+  headers.set('X-RateLimit-Remaining', String(windowResult.remaining));
+  headers.set('X-RateLimit-Reset', String(windowResult.resetAt));
+}
+
+/**
+ * 429 response for a request over the client limit or the global ceiling
+ */
+function rateLimitedResponse(rateLimit) {
+  const exceededWindow = rateLimit.exceeded === 'global' ? rateLimit.global : rateLimit.client;
+  const headers = {
+    'Content-Type': 'application/json',
+    'Retry-After': String(exceededWindow.retryAfterSeconds)
+  };
+  const response = new Response(JSON.stringify({
+    success: false,
+    error: rateLimit.exceeded === 'global'
+      ? 'Too many requests - the service-wide limit protecting UKG has been reached'
+      : 'Too many requests - rate limit exceeded for this client',
+    code: rateLimit.exceeded === 'global' ? 'GLOBAL_RATE_LIMIT_EXCEEDED' : 'RATE_LIMIT_EXCEEDED',
+    retryAfterSeconds: exceededWindow.retryAfterSeconds
+  }), {
+    status: 429,
+    headers: headers,
+  });
+  setRateLimitHeaders(response.headers, rateLimit.exceeded === 'global' ? rateLimit.global : rateLimit.client);
+  return response;
+}
+
+/**
+ * Look up a single employee by email and build the normalized response body
+ * Returns { status, body } so the result can be used for single and batch lookups
+ */
+async function lookupEmployeeByEmail(env, emailToSearch, { debugMode = false, selection = DEFAULT_SELECTION, include = [], includeInactive = false, fresh = false } = {}) {
+  // Step 1: Answer from the synced employee directory when it has a recent entry for this email
+  const directoryEntry = debugMode || fresh
+    ? null
+    : await readDirectoryEntry(env, `email:${emailToSearch.toLowerCase()}`);
+
+  // Step 2: Search for user by email
+  log.info('Looking up employee by email', { email: emailToSearch, debugMode, source: directoryEntry ? 'directory' : 'ukg' });
+  let userInfo = directoryEntry
+    ? directoryEntry.records
+    : await withUKGToken(env, (token) => findUserByEmail(env, token, emailToSearch, debugMode));
+  
+  // Step 3: Process SSO user info (could be single record or array)
+  if (userInfo) {
+    // Handle both single records and arrays of records
+    const userRecords = Array.isArray(userInfo) ? userInfo : [userInfo];
+    log.info('SSO records found', { email: emailToSearch, recordCount: userRecords.length });
+    
+    // Process each record to get additional details (directory records already have them)
+    for (let i = 0; i < userRecords.length && !directoryEntry; i++) {
+      const record = userRecords[i];
+      log.debug('Processing SSO record', { record: i + 1, of: userRecords.length, companyCode: record.companyCode, employeeNumber: record.employeeNumber });
+      
+      // Check employment status via EmployeeEmploymentInformation service
+      let employmentResult = null;
+      try {
+        employmentResult = await withUKGToken(env, (token) =>
+          getEmploymentInformationByEmployeeIdentifier(env, token, record.companyCode, record.employeeNumber, debugMode));
+        if (employmentResult) {
+          record.employmentDetails = employmentResult;
+          log.debug('Employment details found', { record: i + 1, employmentStatus: employmentResult.employmentStatus });
+        }
+      } catch (error) {
+        // UKG errors (auth, permissions, outages) must not be reported as "no active records"
+        if (error instanceof UKGError) {
+          throw error;
+        }
+        log.warn('Employment information check failed', errorLogFields(error));
+      }
+    }
+    
+    // Keep the records of people still employed (active, on leave or suspended). With
+    // includeInactive the other records are kept too, and chosen from when nobody is employed.
+    const activeRecords = userRecords.filter(record => isEmployed(record.employmentDetails));
+    const candidateRecords = activeRecords.length > 0 || !includeInactive ? activeRecords : userRecords;
+    
+    log.info('Active records found', { activeRecordCount: activeRecords.length, totalRecordCount: userRecords.length, includeInactive });
+    
+    // Choose the primary record according to the selection policy (default: the LAST active record)
+    let primaryRecord;
+    if (candidateRecords.length > 0) {
+      if (selection.policy === 'all') {
+        const returnedRecords = includeInactive ? userRecords : activeRecords;
+        log.info('Returning all records', { activeRecordCount: activeRecords.length, returnedRecordCount: returnedRecords.length, selectionPolicy: 'all' });
+        const allRecordsResponse = buildAllRecordsResponse(returnedRecords, userRecords.length, activeRecords.length, emailToSearch, debugMode);
+        if (directoryEntry) {
+          allRecordsResponse.records.forEach(record => markDirectoryResponse(record, directoryEntry));
+        }
+        await Promise.all(allRecordsResponse.records.map(record => enrichEmployeeResponse(env, record, include, debugMode)));
+        return { status: 200, body: allRecordsResponse };
+      }
+      primaryRecord = selectPrimaryRecord(candidateRecords, selection);
+      log.info('Primary record selected', { selectionPolicy: selection.policy, companyCode: primaryRecord.companyCode });
+    } else {
+      // No active records found - every record is terminated, pending or has no known status
+      log.info('No active records found', { email: emailToSearch, totalRecordCount: userRecords.length });
+      return {
+        status: 404,
+        body: {
+          success: false,
+          error: 'No active employee records found',
+          code: 'NO_ACTIVE_RECORDS',
+          totalRecords: userRecords.length,
+          email: emailToSearch,
+          details: 'All employee records found are terminated or inactive (use includeInactive=true to return them)'
+        }
+      };
+    }
+    
+    // Store records info for both debug and clean modes (clean mode won't expose it but needs it for consistency)
+    primaryRecord._debugAllRecordsInfo = {
+      totalRecordCount: userRecords.length,
+      activeRecordCount: activeRecords.length,
+      selectedRecord: SELECTION_POLICIES[selection.policy],
+      selectionPolicy: selection.policy,
+      allRecordsBasicInfo: userRecords.map(record => ({
+        employeeNumber: record.employeeNumber,
+        companyCode: record.companyCode,
+        firstName: record.firstName,
+        lastName: record.lastName,
+        status: record.status,
+        hasEmploymentDetails: !!record.employmentDetails,
+        employmentStatus: getEmploymentStatus(record.employmentDetails).status,
+        rawEmploymentStatus: record.employmentDetails ? record.employmentDetails.employmentStatus : null,
+        isSelected: record === primaryRecord,
+        employmentDetailsRaw: debugMode ? (record.employmentDetails ? record.employmentDetails.rawResponse : null) : null
+      })),
+      activeRecordsOnly: activeRecords.map(record => ({
+        employeeNumber: record.employeeNumber,
+        companyCode: record.companyCode,
+        employmentStatus: getEmploymentStatus(record.employmentDetails).status,
+        rawEmploymentStatus: record.employmentDetails.employmentStatus,
+        isSelected: record === primaryRecord
+      }))
+    };
+    
+    // Set userInfo to the primary record for backward compatibility
+    userInfo = primaryRecord;
+    
+    // Force copy employment details to ensure they're available
+    if (primaryRecord && primaryRecord.employmentDetails) {
+      userInfo.employmentDetails = { ...primaryRecord.employmentDetails };
+    }
+  }
+  
+  if (userInfo) {
+    // At this point the record is employed, or includeInactive asked for inactive records too
+    const response = buildEmployeeResponse(userInfo, emailToSearch, debugMode);
+    if (directoryEntry) {
+      markDirectoryResponse(response, directoryEntry);
+    }
+    await enrichEmployeeResponse(env, response, include, debugMode);
+    return { status: 200, body: response };
+  } else {
+    log.info('User not found', { email: emailToSearch });
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: 'User not found',
+        code: 'EMPLOYEE_NOT_FOUND',
+        email: emailToSearch
+      }
+    };
+  }
+}
+
+/**
+ * Look up a single employee by company code + employee number and build the same
+ * normalized response as the email lookup. The SSO client user name (email) is added when available.
+ */
+async function lookupEmployeeByIdentifier(env, companyCode, employeeNumber, { debugMode = false, include = [], includeInactive = false, fresh = false } = {}) {
+  // Answer from the synced employee directory when it has a recent entry for this employee
+  const directoryEntry = debugMode || fresh
+    ? null
+    : await readDirectoryEntry(env, `employee:${companyCode.toUpperCase()}:${employeeNumber}`);
+  log.info('Looking up employee by number', { companyCode, employeeNumber, debugMode, source: directoryEntry ? 'directory' : 'ukg' });
+
+  const employmentDetails = directoryEntry
+    ? directoryEntry.record.employmentDetails
+    : await withUKGToken(env, (token) =>
+      getEmploymentInformationByEmployeeIdentifier(env, token, companyCode, employeeNumber, debugMode));
+
+  if (!employmentDetails || !employmentDetails.employmentStatus) {
+    log.info('No employment information found', { companyCode, employeeNumber });
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: 'Employee not found',
+        code: 'EMPLOYEE_NOT_FOUND',
+        companyCode: companyCode,
+        employeeNumber: employeeNumber
+      }
+    };
+  }
+
+  if (!isEmployed(employmentDetails) && !includeInactive) {
+    log.info('Employee is not active', { companyCode, employeeNumber, employmentStatus: employmentDetails.employmentStatus });
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: 'No active employee records found',
+        code: 'NO_ACTIVE_RECORDS',
+        totalRecords: 1,
+        companyCode: companyCode,
+        employeeNumber: employeeNumber,
+        details: 'The employee record found is terminated or inactive (use includeInactive=true to return it)'
+      }
+    };
+  }
+
+  // The SSO user is optional - not every employee has one, and the integration user
+  // may not be allowed to read it. Only auth failures are fatal here.
+  let ssoUser = null;
+  if (directoryEntry) {
+    ssoUser = directoryEntry.record.clientUserName ? directoryEntry.record : null;
+  } else {
+    try {
+      ssoUser = await withUKGToken(env, (token) =>
+        findUserByEmployeeIdentifier(env, token, companyCode, employeeNumber, debugMode));
+    } catch (error) {
+      if (error instanceof UKGAuthError) {
+        throw error;
+      }
+      log.warn('SSO user lookup failed', { companyCode, employeeNumber, ...errorLogFields(error) });
+    }
+  }
+
+  const userInfo = {
+    employeeNumber: employeeNumber,
+    companyCode: companyCode,
+    firstName: ssoUser ? ssoUser.firstName : '',
+    lastName: ssoUser ? ssoUser.lastName : '',
+    status: ssoUser ? ssoUser.status : null,
+    clientUserName: ssoUser ? ssoUser.clientUserName : null,
+    rawSSOResponse: ssoUser ? ssoUser.rawSSOResponse : undefined,
+    employmentDetails: employmentDetails
+  };
+
+  const response = buildEmployeeResponse(userInfo, userInfo.clientUserName, debugMode);
+  response.dataSource = ssoUser
+    ? 'SSO + EmployeeEmploymentInformation Services'
+    : 'EmployeeEmploymentInformation Service Only';
+  if (directoryEntry) {
+    markDirectoryResponse(response, directoryEntry);
+  }
+  await enrichEmployeeResponse(env, response, include, debugMode);
+  return { status: 200, body: response };
+}
+
+/**
+ * Walk up the reporting chain from an employee record, at most `depth` levels.
+ * Managers are returned whatever their employment status (a chain can run through a terminated
+ * supervisor). Returns { managers: [{ level, ...record }], chainEnd } where chainEnd is
+ * TOP_OF_CHAIN, DEPTH_REACHED, CYCLE_DETECTED, SUPERVISOR_NOT_FOUND or SUPERVISOR_LOOKUP_FAILED
+ * (a UKG fault or outage while walking up; the managers found so far are kept). UKG_AUTH_FAILED,
+ * UKG_PERMISSION_DENIED and other errors are thrown.
+ */
+async function lookupManagerChain(env, employee, depth, { debugMode = false, bypassCache = false, include = [] } = {}) {
+  const managers = [];
+  const visited = new Set([`${String(employee.companyCode).toUpperCase()}:${employee.employeeNumber}`]);
+  let current = employee;
+
+  while (managers.length < depth) {
+    try {
+      const supervisor = await findSupervisor(env, current, debugMode);
+      if (!supervisor) {
+        return { managers, chainEnd: 'TOP_OF_CHAIN' };
+      }
+
+      const supervisorKey = `${String(supervisor.companyCode).toUpperCase()}:${supervisor.employeeNumber}`;
+      if (visited.has(supervisorKey)) {
+        log.warn('Reporting chain cycle detected', { companyCode: current.companyCode, employeeNumber: current.employeeNumber, supervisor: supervisorKey });
+        return { managers, chainEnd: 'CYCLE_DETECTED' };
+      }
+      visited.add(supervisorKey);
+
+      if (!isValidEmployeeIdentifier(supervisor.companyCode, supervisor.employeeNumber)) {
+        log.warn('Supervisor identifier is not valid', { companyCode: current.companyCode, employeeNumber: current.employeeNumber, supervisor: supervisorKey });
+        return { managers, chainEnd: 'SUPERVISOR_NOT_FOUND' };
+      }
+      const result = await withLookupCache(env, `employee:${supervisorKey}${getIncludeCacheKey(include)}:inactive`, { bypassCache, debugMode }, () =>
+        lookupEmployeeByIdentifier(env, supervisor.companyCode, supervisor.employeeNumber, { debugMode, include, includeInactive: true, fresh: bypassCache }));
+      if (result.status !== 200) {
+        log.warn('Supervisor not found', { companyCode: current.companyCode, employeeNumber: current.employeeNumber, supervisor: supervisorKey });
+        return { managers, chainEnd: 'SUPERVISOR_NOT_FOUND' };
+      }
+
+      const { success, ...manager } = result.body;
+      managers.push({ level: managers.length + 1, ...manager });
+      current = manager;
+    } catch (error) {
+      // Only a UKG fault or outage shortens the chain. Rejected credentials or permissions fail
+      // the whole request (as in a batch), and so does anything that is not a UKG error.
+      if (!(error instanceof UKGError) || error.code === 'UKG_AUTH_FAILED' || error.code === 'UKG_PERMISSION_DENIED') {
+        throw error;
+      }
+      log.warn('Supervisor lookup failed - returning the partial chain', {
+        companyCode: current.companyCode,
+        employeeNumber: current.employeeNumber,
+        level: managers.length + 1,
+        ...errorLogFields(error)
+      });
+      return { managers, chainEnd: 'SUPERVISOR_LOOKUP_FAILED' };
+    }
+  }
+  return { managers, chainEnd: 'DEPTH_REACHED' };
+}
+
+/**
+ * The { companyCode, employeeNumber } of an employee's supervisor from their EmployeeJob record,
+ * or null when UKG lists none. Reuses the job section when the record was enriched with it.
+ */
+async function findSupervisor(env, employee, debugMode = false) {
+  let job = employee.job;
+  if (!job) {
+    const details = await withUKGToken(env, (token) =>
+      getEmployeeSectionByEmployeeIdentifier(env, token, 'job', employee.companyCode, employee.employeeNumber, debugMode));
+    job = details ? details.fields : null;
+  }
+  if (!job || !job.supervisorEmployeeNumber) {
+    return null;
+  }
+  return {
+    // UKG leaves the supervisor's company out when it is the employee's own
+    companyCode: job.supervisorCompanyCode || employee.companyCode,
+    employeeNumber: job.supervisorEmployeeNumber
+  };
+}
+
+/**
+ * Read and validate the search filters, limit and cursor from the query string.
+ * Returns { filters, limit, cursor, filterKey } or { error: Response }.
+ */
+function readSearchParameters(url, includeInactive) {
+  const invalid = (message, code = 'INVALID_SEARCH') => ({
+    error: new Response(JSON.stringify({ success: false, error: message, code: code }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' },
+    })
+  });
+  const read = (name) => (url.searchParams.get(name) || '').trim();
+
+  const filters = {
+    firstName: read('firstName') || null,
+    lastName: read('lastName') || null,
+    companyCode: read('companyCode').toUpperCase() || null,
+    domain: read('domain').replace(/^@/, '').toLowerCase() || null,
+    email: read('email').toLowerCase() || null,
+    statuses: null
+  };
+
+  // At least one filter that narrows the search, so a search never walks the whole tenant unasked
+  if (!filters.firstName && !filters.lastName && !filters.companyCode && !filters.domain && !filters.email) {
+    return invalid('Add at least one of: firstName, lastName, companyCode, domain, email');
+  }
+  if ([filters.firstName, filters.lastName, filters.email].some(value => value && value.length > MAX_SEARCH_NAME_LENGTH)) {
+    return invalid(`Search values are limited to ${MAX_SEARCH_NAME_LENGTH} characters`);
+  }
+  if (filters.companyCode && !COMPANY_CODE_PATTERN.test(filters.companyCode)) {
+    return invalid('companyCode must be alphanumeric');
+  }
+  if (filters.domain && !SEARCH_DOMAIN_PATTERN.test(filters.domain)) {
+    return invalid('domain must be an email domain like example.com');
+  }
+  if (filters.email && filters.email.length < 3) {
+    return invalid('email must be at least 3 characters');
+  }
+
+  // status= takes normalized statuses or UKG codes; without it, active records only (all with includeInactive)
+  if (read('status')) {
+    const knownStatuses = [...Object.values(EMPLOYMENT_STATUSES), UNKNOWN_EMPLOYMENT_STATUS].map(entry => entry.status);
+    const statuses = read('status').split(',').map(value => value.trim().toUpperCase()).filter(Boolean)
+      .map(value => (EMPLOYMENT_STATUSES[value] ? EMPLOYMENT_STATUSES[value].status : value));
+    const unknown = statuses.find(value => !knownStatuses.includes(value));
+    if (unknown) {
+      return invalid(`Unknown status ${unknown} - use any of: ${knownStatuses.join(', ')}`);
+    }
+    filters.statuses = [...new Set(statuses)].sort();
+  }
+
+  const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : DEFAULT_SEARCH_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return invalid(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+  }
+
+  // The cursor only continues the search it came from
+  const filterKey = JSON.stringify({ ...filters, includeInactive });
+  let cursor = null;
+  if (url.searchParams.get('cursor')) {
+    cursor = decodeSearchCursor(url.searchParams.get('cursor'));
+    if (!cursor || cursor.filterKey !== filterKey) {
+      return invalid('Invalid cursor - pass the nextCursor of a search with the same filters', 'INVALID_CURSOR');
+    }
+  }
+
+  return { filters: { ...filters, includeInactive }, limit, cursor, filterKey };
+}
+
+/**
+ * Search employees with UKG's Find* operations. Company code and names go into the UKG query;
+ * email, domain and status are matched here. Email and domain searches page through
+ * FindSsoUsers and add each match's employment information, the others page through
+ * FindEmploymentInformations and add each match's SSO user. One call reads at most
+ * SEARCH_MAX_PAGES_PER_REQUEST pages, and a search stops after SEARCH_MAX_RESULTS results.
+ */
+async function searchEmployees(env, filters, { limit = DEFAULT_SEARCH_LIMIT, cursor = null, filterKey, include = [], debugMode = false } = {}) {
+  const maxResults = parseNonNegativeInt(env.SEARCH_MAX_RESULTS, DEFAULT_SEARCH_MAX_RESULTS);
+  const concurrency = parseInt(env.BATCH_CONCURRENCY, 10) || DEFAULT_BATCH_CONCURRENCY;
+  const bySsoUser = !!(filters.email || filters.domain);
+  const source = bySsoUser
+    ? { serviceName: 'EmployeeSsoUser', operation: 'FindSsoUsers', parseRecord: element => parseSsoUserElement(element, null) }
+    : { serviceName: 'EmployeeEmploymentInformation', operation: 'FindEmploymentInformations', parseRecord: parseEmploymentInformationElement };
+  const query = { CompanyCode: filters.companyCode, FirstName: filters.firstName, LastName: filters.lastName };
+
+  let { pageNumber, index, returned } = cursor || { pageNumber: 1, index: 0, returned: 0 };
+  const wanted = Math.min(limit, Math.max(0, maxResults - returned));
+  log.info('Employee search started', { source: source.operation, firstName: filters.firstName, lastName: filters.lastName, pageNumber, returned, wanted });
+
+  const records = [];
+  let pagesRead = 0;
+  let exhausted = false;
+  while (records.length < wanted && pagesRead < SEARCH_MAX_PAGES_PER_REQUEST) {
+    const page = await withUKGToken(env, (token) => findUKGRecordsPage(env, token, {
+      serviceName: source.serviceName,
+      operation: source.operation,
+      query,
+      pageNumber,
+      pageSize: SEARCH_PAGE_SIZE
+    }, source.parseRecord));
+    pagesRead++;
+
+    // Complete only as many candidates as are still needed, so the cursor can resume mid-page
+    while (index < page.records.length && records.length < wanted) {
+      const chunk = page.records.slice(index, index + wanted - records.length);
+      index += chunk.length;
+      const candidates = chunk.filter(record => matchesSearchRecord(record, filters));
+      const results = await mapWithConcurrency(candidates, concurrency, record => completeSearchRecord(env, record, bySsoUser, debugMode));
+      records.push(...results.filter(result => result && matchesSearchStatus(result, filters)));
+    }
+    if (index < page.records.length) {
+      break;
+    }
+
+    const lastPage = page.pageTotal !== null ? pageNumber >= page.pageTotal : page.records.length < SEARCH_PAGE_SIZE;
+    if (lastPage || page.records.length === 0) {
+      exhausted = true;
+      break;
+    }
+    pageNumber++;
+    index = 0;
+  }
+
+  await Promise.all(records.map(record => enrichEmployeeResponse(env, record, include, debugMode)));
+
+  const total = returned + records.length;
+  const truncated = !exhausted && total >= maxResults;
+  log.info('Employee search completed', { resultCount: records.length, pagesRead, exhausted, truncated });
+  return {
+    success: true,
+    count: records.length,
+    records: records,
+    nextCursor: exhausted || truncated ? null : encodeSearchCursor({ pageNumber, index, returned: total, filterKey }),
+    truncated: truncated
+  };
+}
+
+/**
+ * Search filters that can be checked on the Find* record itself (company, email, domain)
+ */
+function matchesSearchRecord(record, filters) {
+  if (filters.companyCode && String(record.companyCode || '').toUpperCase() !== filters.companyCode) {
+    return false;
+  }
+  const email = String(record.clientUserName || '').toLowerCase();
+  if (filters.domain && !email.endsWith(`@${filters.domain}`)) {
+    return false;
+  }
+  return !filters.email || email.includes(filters.email);
+}
+
+/**
+ * Status filter on a completed result: the requested statuses, or active records unless includeInactive
+ */
+function matchesSearchStatus(result, filters) {
+  if (filters.statuses) {
+    return filters.statuses.includes(result.employmentStatus);
+  }
+  return filters.includeInactive || getEmploymentStatus({ employmentStatus: result.employmentStatusCode }).category === 'employed';
+}
+
+/**
+ * Turn a Find* record into a normalized employee record by reading the other half from UKG:
+ * the employment information for an SSO user, or the (optional) SSO user for employment information
+ */
+async function completeSearchRecord(env, record, bySsoUser, debugMode) {
+  let ssoUser = bySsoUser ? record : null;
+  let employmentDetails = bySsoUser ? null : record;
+  if (!record.companyCode || !record.employeeNumber) {
+    return null;
+  }
+
+  try {
+    if (bySsoUser) {
+      employmentDetails = await withUKGToken(env, (token) =>
+        getEmploymentInformationByEmployeeIdentifier(env, token, record.companyCode, record.employeeNumber, debugMode));
+    } else {
+      ssoUser = await withUKGToken(env, (token) =>
+        findUserByEmployeeIdentifier(env, token, record.companyCode, record.employeeNumber, debugMode));
+    }
+  } catch (error) {
+    if (error instanceof UKGAuthError) {
+      throw error;
+    }
+    log.warn('Search result could not be completed', { companyCode: record.companyCode, employeeNumber: record.employeeNumber, ...errorLogFields(error) });
+  }
+
+  const { success, ...response } = buildEmployeeResponse({
+    employeeNumber: record.employeeNumber,
+    companyCode: record.companyCode,
+    firstName: ssoUser ? ssoUser.firstName : '',
+    lastName: ssoUser ? ssoUser.lastName : '',
+    status: ssoUser ? ssoUser.status : null,
+    employmentDetails: employmentDetails
+  }, ssoUser ? ssoUser.clientUserName : null, debugMode);
+  if (!bySsoUser && !ssoUser) {
+    response.dataSource = 'EmployeeEmploymentInformation Service Only';
+  }
+  return response;
+}
+
+/**
+ * Opaque search cursor: base64url JSON of the UKG page, the position in it, the results
+ * returned so far and the filters it belongs to
+ */
+function encodeSearchCursor({ pageNumber, index, returned, filterKey }) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ p: pageNumber, i: index, n: returned, f: filterKey }));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a search cursor; null when it is malformed
+ */
+function decodeSearchCursor(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    const valid = Number.isInteger(state.p) && state.p >= 1 && Number.isInteger(state.i) && state.i >= 0 &&
+      Number.isInteger(state.n) && state.n >= 0 && typeof state.f === 'string';
+    return valid ? { pageNumber: state.p, index: state.i, returned: state.n, filterKey: state.f } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Employee for a SCIM userName: an email address, or the SCIM ID that is the userName of
+ * employees without an SSO user. Returns the normalized employee record or null.
+ */
+async function findScimUser(tenant, userName, selection) {
+  if (SCIM_USER_ID_PATTERN.test(userName)) {
+    const employee = await findScimUserById(tenant, userName);
+    return employee && !employee.email ? employee : null;
+  }
+  if (!isValidEmail(userName)) {
+    return null;
+  }
+
+  // A userName is one user, so the "all" policy falls back to the default. Separated employees
+  // are included (active=false) so the identity provider can deprovision them.
+  const result = await lookupEmailInTenants([tenant], userName, {
+    selection: selection.policy === 'all' ? DEFAULT_SELECTION : selection,
+    includeInactive: true
+  });
+  return result.status === 200 ? result.body : null;
+}
+
+/**
+ * Employee for a SCIM ID ("<CompanyCode>-<EmployeeNumber>"), whatever their status; null when not found
+ */
+async function findScimUserById(tenant, id) {
+  const match = id.match(SCIM_USER_ID_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, companyCode, employeeNumber] = match;
+  const result = await withLookupCache(tenant.env, `employee:${companyCode.toUpperCase()}:${employeeNumber}:inactive`, {}, () =>
+    lookupEmployeeByIdentifier(tenant.env, companyCode, employeeNumber, { includeInactive: true }));
+  tagTenant(result.body, tenant.name);
+  return result.status === 200 ? result.body : null;
+}
+
+/**
+ * Audit lookup key of a SCIM userName or ID, in the form the other lookups use
+ * (lowercase email, or "<CompanyCode>:<EmployeeNumber>")
+ */
+function getScimAuditKey(value) {
+  const match = value.match(SCIM_USER_ID_PATTERN);
+  return match ? `${match[1].toUpperCase()}:${match[2]}` : value.toLowerCase();
+}
+
+/**
+ * One page of every employee for an unfiltered SCIM list. SCIM's 1-based startIndex is mapped
+ * onto FindEmploymentInformations pages, and each employee is completed with their SSO user.
+ * Returns { users, totalResults }.
+ */
+async function listScimUsers(env, startIndex, count) {
+  const concurrency = parseInt(env.BATCH_CONCURRENCY, 10) || DEFAULT_BATCH_CONCURRENCY;
+  let pageNumber = Math.floor((startIndex - 1) / SEARCH_PAGE_SIZE) + 1;
+  let index = (startIndex - 1) % SEARCH_PAGE_SIZE;
+
+  const records = [];
+  let totalItems = null;
+  while (true) {
+    const page = await withUKGToken(env, (token) => findUKGRecordsPage(env, token, {
+      serviceName: 'EmployeeEmploymentInformation',
+      operation: 'FindEmploymentInformations',
+      pageNumber,
+      pageSize: SEARCH_PAGE_SIZE
+    }, parseEmploymentInformationElement));
+    totalItems = page.totalItems;
+    records.push(...page.records.slice(index, index + count - records.length));
+
+    const lastPage = page.pageTotal !== null ? pageNumber >= page.pageTotal : page.records.length < SEARCH_PAGE_SIZE;
+    if (records.length >= count || lastPage || page.records.length === 0) {
+      break;
+    }
+    pageNumber++;
+    index = 0;
+  }
+
+  const users = await mapWithConcurrency(records, concurrency, record => completeSearchRecord(env, record, false, false));
+  log.info('SCIM users listed', { startIndex, count, userCount: records.length, totalItems });
+  return {
+    users: users.filter(Boolean).map(user => {
+      tagTenant(user, env.UKG_TENANT);
+      return user;
+    }),
+    // Without UKG paging info, count what has been seen so far
+    totalResults: totalItems !== null ? totalItems : startIndex - 1 + records.length
+  };
+}
+
+/**
+ * Map a normalized employee record onto the SCIM core User, Enterprise User and employment schemas
+ */
+function toScimUser(employee, baseUrl) {
+  const id = `${String(employee.companyCode).toUpperCase()}-${employee.employeeNumber}`;
+  const user = {
+    schemas: [SCIM_USER_SCHEMA, SCIM_ENTERPRISE_USER_SCHEMA, SCIM_EMPLOYMENT_SCHEMA],
+    id: id,
+    userName: employee.email || id
+  };
+
+  const displayName = [employee.firstName, employee.lastName].filter(Boolean).join(' ');
+  if (displayName) {
+    user.name = withoutEmptyValues({ formatted: displayName, givenName: employee.firstName, familyName: employee.lastName });
+    user.displayName = displayName;
+  }
+  if (employee.jobTitle) {
+    user.title = employee.jobTitle;
+  }
+  if (employee.email) {
+    user.emails = [{ value: employee.email, type: 'work', primary: true }];
+  }
+  user.active = getEmploymentStatus({ employmentStatus: employee.employmentStatusCode }).category === 'employed';
+  user[SCIM_ENTERPRISE_USER_SCHEMA] = { employeeNumber: employee.employeeNumber, organization: employee.companyCode };
+  user[SCIM_EMPLOYMENT_SCHEMA] = withoutEmptyValues({
+    employmentStatus: employee.employmentStatus,
+    employmentStatusCode: employee.employmentStatusCode,
+    hireDate: employee.hireDate,
+    terminationDate: employee.terminationDate,
+    tenant: employee.tenant
+  });
+  user.meta = { resourceType: 'User', location: `${baseUrl}/Users/${id}` };
+  return user;
+}
+
+/**
+ * Copy of an object without its null, undefined and empty string values
+ */
+function withoutEmptyValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+/**
+ * A SCIM discovery list, or the entry with the given ID (404 when there is none)
+ */
+function scimDiscoveryResponse(resources, id, label) {
+  const body = id
+    ? resources.find(resource => resource.id === id)
+    : { schemas: [SCIM_LIST_RESPONSE_SCHEMA], totalResults: resources.length, startIndex: 1, itemsPerPage: resources.length, Resources: resources };
+  if (!body) {
+    return scimErrorResponse(404, `${label} ${id} not found`);
+  }
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': SCIM_CONTENT_TYPE },
+  });
+}
+
+/**
+ * SCIM error response (RFC 7644 section 3.12)
+ */
+function scimErrorResponse(status, detail, scimType = null) {
+  const body = { schemas: [SCIM_ERROR_SCHEMA], status: String(status), detail: detail };
+  if (scimType) {
+    body.scimType = scimType;
+  }
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': SCIM_CONTENT_TYPE },
+  });
+}
+
+/**
+ * Rewrite one of the worker's JSON error responses (authentication, scopes, rate limits,
+ * UKG failures...) as a SCIM error, keeping its status and headers
+ */
+async function toScimErrorResponse(response) {
+  const body = await response.clone().json().catch(() => ({}));
+  if (Array.isArray(body.schemas)) {
+    return response;
+  }
+  const scimResponse = scimErrorResponse(response.status, body.error || 'Request failed', response.status === 400 ? 'invalidValue' : null);
+  const headers = new Headers(response.headers);
+  headers.set('Content-Type', SCIM_CONTENT_TYPE);
+  return new Response(scimResponse.body, { status: response.status, headers: headers });
+}
+
+/**
+ * Read-only SCIM attribute definition for the Schemas endpoint
+ */
+function scimAttribute(name, type, description, { required = false, multiValued = false, uniqueness = 'none', subAttributes = null } = {}) {
+  const attribute = {
+    name: name,
+    type: type,
+    multiValued: multiValued,
+    description: description,
+    required: required,
+    caseExact: false,
+    mutability: 'readOnly',
+    returned: 'default',
+    uniqueness: uniqueness
+  };
+  if (subAttributes) {
+    attribute.subAttributes = subAttributes;
+  }
+  return attribute;
+}
+
+// Schemas of the user attributes this worker returns (GET /scim/v2/Schemas)
+const SCIM_SCHEMAS = [
+  {
+    id: SCIM_USER_SCHEMA,
+    name: 'User',
+    description: 'User account',
+    attributes: [
+      scimAttribute('userName', 'string', 'Work email address, or the SCIM ID for employees without an SSO user', { required: true, uniqueness: 'server' }),
+      scimAttribute('name', 'complex', 'Name from the UKG SSO user', {
+        subAttributes: [
+          scimAttribute('formatted', 'string', 'Full name'),
+          scimAttribute('familyName', 'string', 'Last name'),
+          scimAttribute('givenName', 'string', 'First name')
+        ]
+      }),
+      scimAttribute('displayName', 'string', 'First and last name'),
+      scimAttribute('title', 'string', 'Job title'),
+      scimAttribute('emails', 'complex', 'Work email address', {
+        multiValued: true,
+        subAttributes: [
+          scimAttribute('value', 'string', 'Email address'),
+          scimAttribute('type', 'string', 'Always "work"'),
+          scimAttribute('primary', 'boolean', 'Always true')
+        ]
+      }),
+      scimAttribute('active', 'boolean', 'Whether the employee is employed (active, on leave or suspended)')
+    ]
+  },
+  {
+    id: SCIM_ENTERPRISE_USER_SCHEMA,
+    name: 'EnterpriseUser',
+    description: 'Enterprise User',
+    attributes: [
+      scimAttribute('employeeNumber', 'string', 'UKG employee number'),
+      scimAttribute('organization', 'string', 'UKG company code')
+    ]
+  },
+  {
+    id: SCIM_EMPLOYMENT_SCHEMA,
+    name: 'Employment',
+    description: 'UKG employment status and dates',
+    attributes: [
+      scimAttribute('employmentStatus', 'string', 'Normalized employment status, e.g. ACTIVE, ON_LEAVE or TERMINATED'),
+      scimAttribute('employmentStatusCode', 'string', 'UKG employment status code'),
+      scimAttribute('hireDate', 'dateTime', 'Hire date'),
+      scimAttribute('terminationDate', 'dateTime', 'Termination date'),
+      scimAttribute('tenant', 'string', 'UKG tenant (when UKG_TENANTS is set)')
+    ]
+  }
+];
+
+/**
+ * Parse the include= list (comma-separated string or array) into a sorted list of
+ * enrichment sections. Returns null when an unknown section is requested.
+ */
+function parseIncludeSections(requestedInclude) {
+  const requested = Array.isArray(requestedInclude)
+    ? requestedInclude
+    : String(requestedInclude || '').split(',');
+  const sections = [...new Set(requested.map(section => String(section).trim().toLowerCase()).filter(Boolean))];
+
+  if (sections.some(section => !Object.prototype.hasOwnProperty.call(ENRICHMENT_SECTIONS, section))) {
+    return null;
+  }
+  return sections.sort();
+}
+
+/**
+ * Part of the lookup cache key that distinguishes enriched results (empty when nothing is included)
+ */
+function getIncludeCacheKey(include) {
+  return include.length > 0 ? `:include=${include.join(',')}` : '';
+}
+
+/**
+ * Add the requested enrichment sections to a normalized employee response. The UKG calls
+ * run in parallel; a section that fails is reported in enrichmentErrors instead of failing
+ * the lookup, except for auth failures.
+ */
+async function enrichEmployeeResponse(env, response, include, debugMode = false) {
+  if (include.length === 0) {
+    return response;
+  }
+
+  log.info('Enriching employee', { companyCode: response.companyCode, employeeNumber: response.employeeNumber, include });
+
+  const results = await Promise.all(include.map(async (section) => {
+    try {
+      const details = await withUKGToken(env, (token) =>
+        getEmployeeSectionByEmployeeIdentifier(env, token, section, response.companyCode, response.employeeNumber, debugMode));
+      return { section, details };
+    } catch (error) {
+      if (error instanceof UKGAuthError) {
+        throw error;
+      }
+      const ukgError = toUKGError(error, ENRICHMENT_SECTIONS[section].serviceName);
+      log.warn('Enrichment section failed', { section, companyCode: response.companyCode, employeeNumber: response.employeeNumber, ...errorLogFields(ukgError) });
+      return { section, error: ukgError };
+    }
+  }));
+
+  for (const { section, details, error } of results) {
+    if (error) {
+      response.enrichmentErrors = response.enrichmentErrors || {};
+      response.enrichmentErrors[section] = { code: error.code, error: error.message };
+      continue;
+    }
+
+    response[section] = details ? details.fields : null;
+    if (debugMode && details) {
+      response.debugEnrichment = response.debugEnrichment || {};
+      response.debugEnrichment[section] = {
+        service: ENRICHMENT_SECTIONS[section].serviceName,
+        allDetectedFields: details.allFields,
+        rawResponse: details.rawResponse
+      };
+    }
+  }
+
+  // GetSsoUserByClientUserName rarely carries names - fill them from the person section
+  if (response.person) {
+    response.firstName = response.firstName || response.person.legalFirstName || '';
+    response.lastName = response.lastName || response.person.legalLastName || '';
+  }
+
+  return response;
+}
+
+/**
+ * Resolve the record selection policy from the request, falling back to RECORD_SELECTION_POLICY
+ * and COMPANY_PRIORITY. Returns null when the requested policy is unknown.
+ */
+function resolveSelectionPolicy(env, requestedPolicy, requestedCompanyPriority) {
+  const policy = requestedPolicy || env.RECORD_SELECTION_POLICY || DEFAULT_SELECTION.policy;
+  if (!Object.prototype.hasOwnProperty.call(SELECTION_POLICIES, policy)) {
+    return null;
+  }
+
+  const priorityList = requestedCompanyPriority || env.COMPANY_PRIORITY || [];
+  const companyPriority = (Array.isArray(priorityList) ? priorityList : String(priorityList).split(','))
+    .map(companyCode => String(companyCode).trim().toUpperCase())
+    .filter(Boolean);
+
+  return { policy, companyPriority };
+}
+
+/**
+ * Part of the lookup cache key that distinguishes results selected by different policies
+ */
+function getSelectionCacheKey(selection) {
+  return selection.policy === 'company-priority'
+    ? `${selection.policy}:${selection.companyPriority.join(',')}`
+    : selection.policy;
+}
+
+/**
+ * Pick the primary record among the active records. Ties (and policies that find no
+ * distinguishing data) fall back to the later record, matching the legacy "last active" rule.
+ */
+function selectPrimaryRecord(activeRecords, selection) {
+  const lastActive = activeRecords[activeRecords.length - 1];
+
+  if (selection.policy === 'latest-hire') {
+    const hireTime = (record) => {
+      const parsed = Date.parse((record.employmentDetails && record.employmentDetails.hireDate) || '');
+      return Number.isNaN(parsed) ? -Infinity : parsed;
+    };
+    return activeRecords.reduce((best, record) => (hireTime(record) >= hireTime(best) ? record : best));
+  }
+
+  if (selection.policy === 'company-priority') {
+    const rank = (record) => {
+      const index = selection.companyPriority.indexOf(String(record.companyCode).toUpperCase());
+      return index === -1 ? Infinity : index;
+    };
+    return activeRecords.reduce((best, record) => (rank(record) <= rank(best) ? record : best));
+  }
+
+  if (selection.policy === 'primary-company') {
+    const primaryRecords = activeRecords.filter(record => {
+      const details = record.employmentDetails || {};
+      const flag = details.isPrimaryCompany || details.primaryCompany;
+      return /^(true|y|yes|1)$/i.test(flag || '');
+    });
+    return primaryRecords.length > 0 ? primaryRecords[primaryRecords.length - 1] : lastActive;
+  }
+
+  return lastActive;
+}
+
+/**
+ * Response for the "all" selection policy: every active record (every record with
+ * includeInactive), normalized, so the caller decides
+ */
+function buildAllRecordsResponse(returnedRecords, totalRecordCount, activeRecordCount, emailToSearch, debugMode = false) {
+  const records = returnedRecords.map(record => {
+    const { success, ...normalizedRecord } = buildEmployeeResponse(record, emailToSearch, debugMode);
+    return normalizedRecord;
+  });
+
+  return {
+    success: true,
+    email: emailToSearch,
+    selectionPolicy: 'all',
+    totalRecords: totalRecordCount,
+    activeRecordCount: activeRecordCount,
+    records: records
+  };
+}
+
+/**
+ * Build the normalized employee response from the selected record
+ */
+function buildEmployeeResponse(userInfo, emailToSearch, debugMode = false) {
+  log.debug('Building employee response', { companyCode: userInfo.companyCode, employeeNumber: userInfo.employeeNumber });
+  
+  const response = {
+    success: true,
+    employeeNumber: userInfo.employeeNumber,
+    companyCode: userInfo.companyCode,
+    firstName: userInfo.firstName,
+    lastName: userInfo.lastName,
+    status: userInfo.status,
+    email: emailToSearch
+  };
+  
+  // Normalized employment status (UNKNOWN when UKG returned no employment details)
+  const employmentStatus = getEmploymentStatus(userInfo.employmentDetails);
+  response.employmentStatus = employmentStatus.status;
+  response.employmentStatusCode = employmentStatus.code;
+  response.employmentStatusReason = employmentStatus.code
+    ? `Employment status: ${employmentStatus.code} (${employmentStatus.description})`
+    : 'No employment details available';
+
+  if (userInfo.employmentDetails) {
+    response.dataSource = 'SSO + EmployeeEmploymentInformation Services';
+    
+    if (userInfo.employmentDetails.hireDate) {
+      response.hireDate = userInfo.employmentDetails.hireDate;
+    }
+    if (userInfo.employmentDetails.jobTitle) {
+      response.jobTitle = userInfo.employmentDetails.jobTitle;
+    }
+    Object.assign(response, getEmploymentStatusDetails(userInfo.employmentDetails, employmentStatus));
+    
+    // Show selection note if multiple records were found
+    if (userInfo._debugAllRecordsInfo && userInfo._debugAllRecordsInfo.totalRecordCount > 1) {
+      response.note = `Selected ${userInfo._debugAllRecordsInfo.selectedRecord} from ${userInfo._debugAllRecordsInfo.activeRecordCount} active records out of ${userInfo._debugAllRecordsInfo.totalRecordCount} total records found`;
+    }
+  } else {
+    response.dataSource = 'SSO Service Only';
+    
+    // Show selection note if multiple records were found
+    if (userInfo._debugAllRecordsInfo && userInfo._debugAllRecordsInfo.totalRecordCount > 1) {
+      response.note = `Selected record from ${userInfo._debugAllRecordsInfo.totalRecordCount} total records found (no employment status available)`;
+    }
+  }
+  
+  // Add debug information if debug mode is enabled
+  if (debugMode) {
+    response.debugModeEnabled = true;
+    
+    if (userInfo.rawSSOResponse) {
+      response.rawSSOResponse = userInfo.rawSSOResponse;
+    }
+    if (userInfo.employmentDetails) {
+      response.debugEmploymentDetails = userInfo.employmentDetails;
+    }
+    
+    // Include all records if multiple were found (avoiding circular references)
+    if (userInfo._debugAllRecordsInfo) {
+      response.debugAllRecords = userInfo._debugAllRecordsInfo.allRecordsBasicInfo;
+      response.debugActiveRecords = userInfo._debugAllRecordsInfo.activeRecordsOnly;
+      response.debugTotalRecordCount = userInfo._debugAllRecordsInfo.totalRecordCount;
+      response.debugActiveRecordCount = userInfo._debugAllRecordsInfo.activeRecordCount;
+      response.debugSelectedRecord = userInfo._debugAllRecordsInfo.selectedRecord;
+      response.debugMultipleRecordsFound = userInfo._debugAllRecordsInfo.totalRecordCount > 1;
+      
+      // Include employment details for ALL records, not just the primary one
+      response.debugAllEmploymentDetails = userInfo._debugAllRecordsInfo.allRecordsBasicInfo
+        .filter(record => record.hasEmploymentDetails)
+        .map(record => ({
+          companyCode: record.companyCode,
+          employeeNumber: record.employeeNumber,
+          employmentStatus: record.employmentStatus,
+          rawResponse: record.employmentDetailsRaw
+        }));
+    }
+  }
+  
+  return response;
+}
+
+/**
+ * Normalized status of a record's employment details:
+ * { code, status, description, category } (code is null when there are no details)
+ */
+function getEmploymentStatus(employmentDetails) {
+  const code = employmentDetails && employmentDetails.employmentStatus
+    ? String(employmentDetails.employmentStatus).trim().toUpperCase()
+    : null;
+  if (!code) {
+    return { code: null, ...UNKNOWN_EMPLOYMENT_STATUS, description: 'No employment details available' };
+  }
+  return { code: code, ...(EMPLOYMENT_STATUSES[code] || UNKNOWN_EMPLOYMENT_STATUS) };
+}
+
+/**
+ * Whether the employment details belong to someone still employed (active, on leave or suspended)
+ */
+function isEmployed(employmentDetails) {
+  return getEmploymentStatus(employmentDetails).category === 'employed';
+}
+
+/**
+ * The UKG reason and dates that go with the current status, leaving out the ones UKG did not send
+ */
+function getEmploymentStatusDetails(employmentDetails, employmentStatus) {
+  const statusReason = employmentDetails.statusReason || employmentDetails.employmentStatusReason ||
+    (employmentStatus.category === 'separated' ? employmentDetails.terminationReason : null) ||
+    (employmentStatus.status === 'ON_LEAVE' ? employmentDetails.leaveReason : null);
+  const details = {
+    statusReason: statusReason,
+    terminationDate: employmentDetails.terminationDate,
+    lastWorkDate: employmentDetails.lastWorkDate,
+    leaveStartDate: employmentDetails.leaveStartDate,
+    leaveEndDate: employmentDetails.leaveEndDate || employmentDetails.expectedReturnDate
+  };
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value));
+}
+
+/**
+ * Look up many employees by email, reusing the cached token and running at most
+ * BATCH_CONCURRENCY lookups at a time. Each email gets its own success/error entry
+ * and is served from the lookup cache like a single lookup.
+ */
+async function lookupEmployeesByEmail(env, emails, { debugMode = false, bypassCache = false, selection = DEFAULT_SELECTION, include = [], includeInactive = false, tenants = [{ name: null, env }] } = {}) {
+  const concurrency = parseInt(env.BATCH_CONCURRENCY, 10) || DEFAULT_BATCH_CONCURRENCY;
+  log.info('Batch lookup started', { emailCount: emails.length, concurrency });
+
+  const results = await mapWithConcurrency(emails, concurrency, async (email) => {
+    if (typeof email !== 'string' || !email.trim()) {
+      return {
+        httpStatus: 400,
+        success: false,
+        error: 'Email must be a non-empty string',
+        code: 'INVALID_EMAIL',
+        email: email
+      };
+    }
+    if (!isValidEmail(email.trim())) {
+      return {
+        httpStatus: 400,
+        success: false,
+        error: 'Invalid email address',
+        code: 'INVALID_EMAIL',
+        email: email
+      };
+    }
+
+    try {
+      const result = await lookupEmailInTenants(tenants, email.trim(), { debugMode, bypassCache, selection, include, includeInactive });
+      return { httpStatus: result.status, cache: result.cacheStatus, ...result.body };
+    } catch (error) {
+      log.error('Batch lookup failed', { email, ...errorLogFields(error) });
+      if (error instanceof UKGError) {
+        return { httpStatus: error.status, ...buildUKGErrorBody(error), email: email };
+      }
+      return {
+        httpStatus: 500,
+        success: false,
+        error: 'Internal server error',
+        details: error.message,
+        email: email
+      };
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    success: true,
+    totalRequested: emails.length,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+    results: results
+  };
+}
+
+/**
+ * Look up an email in one tenant, or in several (tenant=all) and merge what they found into
+ * one response listing every tenant's records. Returns { status, body, cacheStatus }.
+ */
+async function lookupEmailInTenants(tenants, requestedEmail, { debugMode = false, bypassCache = false, selection = DEFAULT_SELECTION, include = [], includeInactive = false } = {}) {
+  // Emails are matched case-insensitively and cached under the lower-cased address, so the
+  // response echoes that address too rather than the casing of whoever filled the cache
+  const emailToSearch = requestedEmail.toLowerCase();
+  const lookupInTenant = async (tenant) => {
+    const result = await withLookupCache(tenant.env, `email:${emailToSearch}:${getSelectionCacheKey(selection)}${getIncludeCacheKey(include)}${includeInactive ? ':inactive' : ''}`, { bypassCache, debugMode }, () =>
+      lookupEmployeeByEmail(tenant.env, emailToSearch, { debugMode, selection, include, includeInactive, fresh: bypassCache }));
+    tagTenant(result.body, tenant.name);
+    return result;
+  };
+
+  if (tenants.length === 1) {
+    return lookupInTenant(tenants[0]);
+  }
+
+  log.info('Looking up employee in every tenant', { email: emailToSearch, tenantCount: tenants.length });
+  const outcomes = await Promise.allSettled(tenants.map(lookupInTenant));
+
+  const records = [];
+  const tenantErrors = {};
+  const notFoundCodes = [];
+  outcomes.forEach((outcome, index) => {
+    const tenantName = tenants[index].name;
+    if (outcome.status === 'rejected') {
+      const error = outcome.reason;
+      log.warn('Tenant lookup failed', { tenant: tenantName, ...errorLogFields(error) });
+      tenantErrors[tenantName] = error instanceof UKGError
+        ? { code: error.code, error: error.message }
+        : { code: 'INTERNAL_ERROR', error: error.message };
+    } else if (outcome.value.status === 200) {
+      records.push(...(Array.isArray(outcome.value.body.records) ? outcome.value.body.records : [outcome.value.body]));
+    } else {
+      notFoundCodes.push(outcome.value.body.code);
+    }
+  });
+  const cacheStatus = outcomes.every(outcome => outcome.status === 'fulfilled' && outcome.value.cacheStatus === 'HIT') ? 'HIT' : 'MISS';
+
+  if (records.length === 0) {
+    // Nothing found and a tenant failed: report the failure rather than a possibly wrong 404
+    const failed = outcomes.find(outcome => outcome.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+    return {
+      status: 404,
+      cacheStatus: cacheStatus,
+      body: {
+        success: false,
+        error: 'No active employee record found in any tenant',
+        code: notFoundCodes.includes('NO_ACTIVE_RECORDS') ? 'NO_ACTIVE_RECORDS' : 'EMPLOYEE_NOT_FOUND',
+        email: emailToSearch,
+        tenants: tenants.map(tenant => tenant.name)
+      }
+    };
+  }
+
+  const body = {
+    success: true,
+    email: emailToSearch,
+    tenant: ALL_TENANTS,
+    tenants: tenants.map(tenant => tenant.name),
+    totalRecords: records.length,
+    records: records
+  };
+  if (Object.keys(tenantErrors).length > 0) {
+    body.tenantErrors = tenantErrors;
+  }
+  return { status: 200, body: body, cacheStatus: cacheStatus };
+}
+
+/**
+ * Add the tenant name to a lookup response (and each of its records) when tenants are named
+ */
+function tagTenant(body, tenantName) {
+  if (!tenantName) {
+    return;
+  }
+  body.tenant = tenantName;
+  if (Array.isArray(body.records)) {
+    body.records.forEach(record => {
+      record.tenant = tenantName;
+    });
+  }
+}
+
+/**
+ * Serve a lookup from the cache, or run it and cache the normalized result.
+ * Successful lookups use LOOKUP_CACHE_TTL_SECONDS and 404s LOOKUP_NEGATIVE_CACHE_TTL_SECONDS;
+ * debug-mode lookups and errors are never cached. Returns { status, body, cacheStatus: 'HIT' | 'MISS' }.
+ */
+async function withLookupCache(env, lookupKey, { bypassCache = false, debugMode = false } = {}, lookup) {
+  // Each tenant has its own cache entries
+  const cacheKey = env.UKG_TENANT ? `${lookupKey}:tenant=${env.UKG_TENANT}` : lookupKey;
+  if (!debugMode && !bypassCache) {
+    const cached = await readLookupCache(env, cacheKey);
+    if (cached) {
+      log.debug('Lookup cache hit', { cacheKey: maskCacheKey(cacheKey) });
+      return { status: cached.status, body: cached.body, cacheStatus: 'HIT' };
+    }
+  }
+
+  const result = await lookup();
+
+  // Partially enriched results are not cached so a transient UKG failure is retried on the next request
+  const partiallyEnriched = result.body.enrichmentErrors ||
+    (Array.isArray(result.body.records) && result.body.records.some(record => record.enrichmentErrors));
+
+  if (!debugMode && !partiallyEnriched && (result.status === 200 || result.status === 404)) {
+    const ttlSeconds = result.status === 200
+      ? parseNonNegativeInt(env.LOOKUP_CACHE_TTL_SECONDS, DEFAULT_LOOKUP_CACHE_TTL_SECONDS)
+      : parseNonNegativeInt(env.LOOKUP_NEGATIVE_CACHE_TTL_SECONDS, DEFAULT_LOOKUP_NEGATIVE_CACHE_TTL_SECONDS);
+    if (ttlSeconds > 0) {
+      await writeLookupCache(env, cacheKey, result, ttlSeconds);
+    }
+  }
+
+  return { ...result, cacheStatus: 'MISS' };
+}
+
+/**
+ * Read a cached lookup result from KV (when bound) or the Cache API; expired entries are ignored
+ */
+async function readLookupCache(env, cacheKey) {
+  try {
+    let entry = null;
+    if (env.LOOKUP_CACHE) {
+      entry = await env.LOOKUP_CACHE.get(`lookup:${cacheKey}`, 'json');
+    } else if (typeof caches !== 'undefined') {
+      const cached = await caches.default.match(getLookupCacheUrl(cacheKey));
+      entry = cached ? await cached.json() : null;
+    }
+    return entry && entry.expiresAt > Date.now() ? entry : null;
+  } catch (error) {
+    log.error('Failed to read lookup cache', errorLogFields(error));
+    return null;
+  }
+}
+
+/**
+ * Store a lookup result in KV (when bound) or the Cache API
+ */
+async function writeLookupCache(env, cacheKey, result, ttlSeconds) {
+  const entry = {
+    status: result.status,
+    body: result.body,
+    cachedAt: Date.now(),
+    expiresAt: Date.now() + ttlSeconds * 1000
+  };
+
+  try {
+    if (env.LOOKUP_CACHE) {
+      // KV requires an expiration TTL of at least 60 seconds; expiresAt enforces shorter TTLs
+      await env.LOOKUP_CACHE.put(`lookup:${cacheKey}`, JSON.stringify(entry), {
+        expirationTtl: Math.max(60, ttlSeconds),
+      });
+    } else if (typeof caches !== 'undefined') {
+      await caches.default.put(getLookupCacheUrl(cacheKey), new Response(JSON.stringify(entry), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${ttlSeconds}`,
+        },
+      }));
+    }
+  } catch (error) {
+    log.error('Failed to write lookup cache', errorLogFields(error));
+  }
+}
+
+/**
+ * Synthetic Cache API URL for a lookup cache key
+ */
+function getLookupCacheUrl(cacheKey) {
+  return `${LOOKUP_CACHE_URL_PREFIX}${encodeURIComponent(cacheKey)}`;
+}
+
+/**
+ * Run an async mapper over items with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return results;
+}
+
+/**
+ * Scheduled sync of one tenant's employee directory into DIRECTORY_DB. A run pages through
+ * FindEmploymentInformations, then FindSsoUsers, and rewrites only the rows whose data changed
+ * (the others just get their seen_at moved). One invocation reads at most DIRECTORY_SYNC_MAX_PAGES
+ * pages and saves the cursor with every page, so a large tenant is synced over several cron
+ * invocations. After the last page the run deletes the rows it did not see, sends webhook events
+ * for status changes and moves the watermark to its start. `env` is one tenant's env.
+ */
+async function syncEmployeeDirectory(env, trigger = null) {
+  if (!env.DIRECTORY_DB) {
+    log.warn('Directory sync skipped - DIRECTORY_DB is not bound');
+    return null;
+  }
+
+  const pageSize = parseInt(env.DIRECTORY_SYNC_PAGE_SIZE, 10) || DEFAULT_DIRECTORY_SYNC_PAGE_SIZE;
+  const maxPages = parseInt(env.DIRECTORY_SYNC_MAX_PAGES, 10) || DEFAULT_DIRECTORY_SYNC_MAX_PAGES;
+  const state = await readDirectorySyncState(env) || { watermark: null, lastSync: null, currentRun: null };
+
+  if (state.currentRun) {
+    log.info('Directory sync resumed', { tenant: env.UKG_TENANT, trigger, ...state.currentRun });
+  } else {
+    const intervalSeconds = parseNonNegativeInt(env.DIRECTORY_SYNC_INTERVAL_SECONDS, 0);
+    if (state.watermark && Date.now() - Date.parse(state.watermark) < intervalSeconds * 1000) {
+      log.info('Directory sync skipped - the last run is recent', { tenant: env.UKG_TENANT, watermark: state.watermark, intervalSeconds });
+      return state;
+    }
+    state.currentRun = {
+      startedAt: new Date().toISOString(),
+      trigger: trigger,
+      phase: 'employmentRecords',
+      pageNumber: 1,
+      invocations: 0,
+      pages: { employmentRecords: 0, ssoUsers: 0 },
+      records: { employmentRecords: 0, ssoUsers: 0 }
+    };
+    log.info('Directory sync started', { tenant: env.UKG_TENANT, trigger, pageSize, previousWatermark: state.watermark });
+  }
+  const run = state.currentRun;
+  run.invocations++;
+
+  try {
+    for (let pagesRead = 0; run.phase; pagesRead++) {
+      if (pagesRead >= maxPages) {
+        await writeDirectorySyncState(env, state).run();
+        log.info('Directory sync paused - page limit of this invocation reached', { maxPages, ...run });
+        return state;
+      }
+      await syncDirectoryPage(env, state, pageSize);
+    }
+    return await completeDirectorySync(env, state);
+  } catch (error) {
+    log.error('Directory sync failed', errorLogFields(error));
+    // Keep the watermark and the cursor - the next invocation retries the failed page
+    state.lastSync = {
+      status: 'failed',
+      trigger: run.trigger,
+      startedAt: run.startedAt,
+      completedAt: new Date().toISOString(),
+      durationMs: Date.now() - Date.parse(run.startedAt),
+      error: { code: error.code || 'INTERNAL_ERROR', message: error.message }
+    };
+    await writeDirectorySyncState(env, state).run();
+    throw error;
+  }
+}
+
+/**
+ * Read the page at the run's cursor and write it in one D1 batch: an upsert per record that
+ * only rewrites changed data, one statement marking every record of the page as seen, and
+ * the advanced cursor
+ */
+async function syncDirectoryPage(env, state, pageSize) {
+  const run = state.currentRun;
+  const phase = DIRECTORY_SYNC_PHASES[run.phase];
+  const parseRecord = run.phase === 'ssoUsers'
+    ? element => parseSsoUserElement(element, null)
+    : parseEmploymentInformationElement;
+  const page = await withUKGToken(env, (token) => findUKGRecordsPage(env, token,
+    { serviceName: phase.serviceName, operation: phase.operation, pageNumber: run.pageNumber, pageSize }, parseRecord));
+  log.debug('UKG page read', { service: phase.serviceName, pageNumber: run.pageNumber, pageTotal: page.pageTotal, recordCount: page.records.length });
+
+  const tenant = env.UKG_TENANT || '';
+  const records = page.records.filter(record => record.companyCode && record.employeeNumber);
+  const employeeKeys = records.map(record => `${record.companyCode.toUpperCase()}:${record.employeeNumber}`);
+  const upserts = records.map((record, index) => run.phase === 'ssoUsers'
+    ? upsertDirectorySsoUser(env, tenant, employeeKeys[index], record, run.startedAt)
+    : upsertDirectoryEmployment(env, tenant, employeeKeys[index], record, run.startedAt));
+
+  run.pages[run.phase]++;
+  run.records[run.phase] += records.length;
+  const lastPage = page.pageTotal !== null
+    ? run.pageNumber >= page.pageTotal
+    : page.records.length < pageSize;
+  if (lastPage || page.records.length === 0) {
+    run.phase = phase.next;
+    run.pageNumber = 1;
+  } else {
+    run.pageNumber++;
+  }
+
+  await env.DIRECTORY_DB.batch([
+    ...upserts,
+    env.DIRECTORY_DB.prepare(`UPDATE ${phase.table} SET seen_at = ?
+      WHERE tenant = ? AND employee_key IN (SELECT value FROM json_each(?))`).bind(run.startedAt, tenant, JSON.stringify(employeeKeys)),
+    writeDirectorySyncState(env, state)
+  ]);
+}
+
+/**
+ * Upsert statement for an employment record. Nothing is written when the details are
+ * unchanged; a new status keeps the old one in previous_state for change detection.
+ */
+function upsertDirectoryEmployment(env, tenant, employeeKey, details, runStartedAt) {
+  return env.DIRECTORY_DB.prepare(`INSERT INTO directory_employment
+      (tenant, employee_key, details, employment_status, hire_date, termination_date, changed_at, updated_at, seen_at)
+    VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?7, ?7)
+    ON CONFLICT (tenant, employee_key) DO UPDATE SET
+      details = excluded.details,
+      employment_status = excluded.employment_status,
+      hire_date = excluded.hire_date,
+      termination_date = excluded.termination_date,
+      previous_state = CASE WHEN employment_status IS excluded.employment_status THEN previous_state
+        ELSE json_object('status', employment_status, 'hireDate', hire_date, 'terminationDate', termination_date) END,
+      changed_at = CASE WHEN employment_status IS excluded.employment_status THEN changed_at ELSE excluded.changed_at END,
+      updated_at = excluded.updated_at
+    WHERE details IS NOT excluded.details`).bind(
+    tenant,
+    employeeKey,
+    JSON.stringify(details),
+    details.employmentStatus || null,
+    details.hireDate || null,
+    details.terminationDate || null,
+    runStartedAt
+  );
+}
+
+/**
+ * Upsert statement for an SSO user; nothing is written when the user is unchanged
+ */
+function upsertDirectorySsoUser(env, tenant, employeeKey, ssoUser, runStartedAt) {
+  return env.DIRECTORY_DB.prepare(`INSERT INTO directory_sso_users (tenant, employee_key, email, sso_user, updated_at, seen_at)
+    VALUES (?1, ?2, ?3, ?4, ?5, ?5)
+    ON CONFLICT (tenant, employee_key) DO UPDATE SET
+      email = excluded.email,
+      sso_user = excluded.sso_user,
+      updated_at = excluded.updated_at
+    WHERE sso_user IS NOT excluded.sso_user`).bind(
+    tenant,
+    employeeKey,
+    ssoUser.clientUserName ? ssoUser.clientUserName.toLowerCase() : null,
+    JSON.stringify(ssoUser),
+    runStartedAt
+  );
+}
+
+/**
+ * Finish a run whose cursor passed the last page: delete the records UKG no longer returned,
+ * send webhook events for the status changes of this run (none on the first run, which has
+ * nothing to compare with) and record the new watermark and statistics
+ */
+async function completeDirectorySync(env, state) {
+  const run = state.currentRun;
+  const tenant = env.UKG_TENANT || '';
+  const [removedEmployment, removedSsoUsers, counts, changes] = await env.DIRECTORY_DB.batch([
+    env.DIRECTORY_DB.prepare('DELETE FROM directory_employment WHERE tenant = ? AND seen_at < ?').bind(tenant, run.startedAt),
+    env.DIRECTORY_DB.prepare('DELETE FROM directory_sso_users WHERE tenant = ? AND seen_at < ?').bind(tenant, run.startedAt),
+    env.DIRECTORY_DB.prepare(`SELECT
+        (SELECT COUNT(*) FROM directory_employment WHERE tenant = ?1) AS employees,
+        (SELECT COUNT(*) FROM directory_employment WHERE tenant = ?1 AND updated_at = ?2) AS changedEmploymentRecords,
+        (SELECT COUNT(DISTINCT email) FROM directory_sso_users WHERE tenant = ?1) AS emails,
+        (SELECT COUNT(*) FROM directory_sso_users WHERE tenant = ?1 AND updated_at = ?2) AS changedSsoUsers`).bind(tenant, run.startedAt),
+    env.DIRECTORY_DB.prepare(`SELECT e.employee_key, e.employment_status, e.hire_date, e.termination_date, e.previous_state, s.email
+      FROM directory_employment e
+      LEFT JOIN directory_sso_users s ON s.tenant = e.tenant AND s.employee_key = e.employee_key
+      WHERE e.tenant = ? AND e.changed_at = ?`).bind(tenant, run.startedAt)
+  ]);
+
+  // Diff employee status against the previous run and notify webhook subscribers
+  const previousSnapshot = {};
+  const snapshot = {};
+  for (const row of changes.results) {
+    snapshot[row.employee_key] = {
+      status: row.employment_status,
+      hireDate: row.hire_date,
+      terminationDate: row.termination_date,
+      email: row.email || null
+    };
+    if (row.previous_state) {
+      previousSnapshot[row.employee_key] = { ...JSON.parse(row.previous_state), email: row.email || null };
+    }
+  }
+  const events = state.watermark ? detectEmployeeChanges(previousSnapshot, snapshot, run.startedAt, env.UKG_TENANT) : [];
+  const deliveries = await sendWebhookEvents(env, events);
+
+  const [count] = counts.results;
+  state.watermark = run.startedAt;
+  state.lastSync = {
+    status: 'succeeded',
+    trigger: run.trigger,
+    startedAt: run.startedAt,
+    completedAt: new Date().toISOString(),
+    durationMs: Date.now() - Date.parse(run.startedAt),
+    invocations: run.invocations,
+    ssoUsers: run.records.ssoUsers,
+    employmentRecords: run.records.employmentRecords,
+    emails: count.emails,
+    employees: count.employees,
+    pages: run.pages,
+    changedRecords: { ssoUsers: count.changedSsoUsers, employmentRecords: count.changedEmploymentRecords },
+    removedRecords: { ssoUsers: removedSsoUsers.meta.changes, employmentRecords: removedEmployment.meta.changes },
+    events: events.length,
+    webhookDeliveries: deliveries
+  };
+  state.currentRun = null;
+  await writeDirectorySyncState(env, state).run();
+  log.info('Directory sync completed', state.lastSync);
+  return state;
+}
+
+/**
+ * Sync status of the tenant: { watermark, lastSync, currentRun }, or null before the first run
+ */
+async function readDirectorySyncState(env) {
+  const row = await env.DIRECTORY_DB.prepare('SELECT state FROM directory_sync WHERE tenant = ?')
+    .bind(env.UKG_TENANT || '').first();
+  return row ? JSON.parse(row.state) : null;
+}
+
+/**
+ * Statement that stores the tenant's sync status (run it, or add it to a batch)
+ */
+function writeDirectorySyncState(env, state) {
+  return env.DIRECTORY_DB.prepare(`INSERT INTO directory_sync (tenant, state) VALUES (?, ?)
+    ON CONFLICT (tenant) DO UPDATE SET state = excluded.state`).bind(env.UKG_TENANT || '', JSON.stringify(state));
+}
+
+/**
+ * Directory record in the shape the lookups build from UKG: the SSO user fields plus
+ * employmentDetails (null when UKG has no employment information for the employee)
+ */
+function toDirectoryRecord(ssoUser, employmentDetails) {
+  return {
+    employeeNumber: ssoUser.employeeNumber,
+    companyCode: ssoUser.companyCode,
+    firstName: ssoUser.firstName || '',
+    lastName: ssoUser.lastName || '',
+    status: ssoUser.clientUserName ? ssoUser.status : null,
+    clientUserName: ssoUser.clientUserName || null,
+    employmentDetails: employmentDetails || null
+  };
+}
+
+/**
+ * Read a directory entry ("email:<address>" or "employee:<CO>:<number>"): { syncedAt, records }
+ * for an email, { syncedAt, record } for an employee. syncedAt is the oldest seen_at of the
+ * rows used. Returns null when the directory is not bound or disabled, has no entry, has no
+ * employment records for an email, or the entry is older than DIRECTORY_MAX_STALENESS_SECONDS -
+ * the caller then asks UKG.
+ */
+async function readDirectoryEntry(env, key) {
+  const maxStalenessSeconds = getDirectoryMaxStalenessSeconds(env);
+  if (!env.DIRECTORY_DB || maxStalenessSeconds === 0) {
+    return null;
+  }
+
+  try {
+    const byEmail = key.startsWith('email:');
+    const statement = byEmail
+      ? env.DIRECTORY_DB.prepare(`SELECT s.sso_user, s.seen_at AS sso_seen_at, e.details, e.seen_at AS employment_seen_at
+          FROM directory_sso_users s
+          LEFT JOIN directory_employment e ON e.tenant = s.tenant AND e.employee_key = s.employee_key
+          WHERE s.tenant = ? AND s.email = ?`)
+      : env.DIRECTORY_DB.prepare(`SELECT s.sso_user, s.seen_at AS sso_seen_at, e.details, e.seen_at AS employment_seen_at
+          FROM directory_employment e
+          LEFT JOIN directory_sso_users s ON s.tenant = e.tenant AND s.employee_key = e.employee_key
+          WHERE e.tenant = ? AND e.employee_key = ?`);
+    const { results } = await statement.bind(env.UKG_TENANT || '', key.slice(key.indexOf(':') + 1)).all();
+    if (results.length === 0) {
+      log.debug('Directory miss', { cacheKey: maskCacheKey(key) });
+      return null;
+    }
+    // A run that has synced the SSO users but not (yet) their employment records must not turn
+    // the lookup into a 404 - UKG still knows the status
+    if (byEmail && results.every(row => !row.details)) {
+      log.info('Directory entry has no employment records - asking UKG', { cacheKey: maskCacheKey(key) });
+      return null;
+    }
+
+    const syncedAt = results.flatMap(row => [row.sso_seen_at, row.employment_seen_at]).filter(Boolean).sort()[0];
+    const ageSeconds = Math.round((Date.now() - Date.parse(syncedAt)) / 1000);
+    if (!(ageSeconds <= maxStalenessSeconds)) {
+      log.info('Directory entry too old - asking UKG', { ageSeconds, maxStalenessSeconds });
+      return null;
+    }
+    const records = results.map(row => {
+      const details = row.details ? JSON.parse(row.details) : null;
+      return toDirectoryRecord(row.sso_user ? JSON.parse(row.sso_user) : details, details);
+    });
+    return byEmail ? { syncedAt, records } : { syncedAt, record: records[0] };
+  } catch (error) {
+    log.warn('Directory read failed - asking UKG', errorLogFields(error));
+    return null;
+  }
+}
+
+/**
+ * Note on a lookup response that it was answered from the directory
+ */
+function markDirectoryResponse(response, directoryEntry) {
+  response.dataSource = 'Employee directory (synced from UKG)';
+  response.directorySyncedAt = directoryEntry.syncedAt;
+}
+
+/**
+ * DIRECTORY_MAX_STALENESS_SECONDS (0 disables directory reads)
+ */
+function getDirectoryMaxStalenessSeconds(env) {
+  return parseNonNegativeInt(env.DIRECTORY_MAX_STALENESS_SECONDS, DEFAULT_DIRECTORY_MAX_STALENESS_SECONDS);
+}
+
+/**
+ * Compare two snapshots and build webhook events. A termination and a hire (or rehire) with
+ * the same email in different companies are reported as one employee.transferred event.
+ * Employees missing from the previous snapshot count as hires when active.
+ */
+function detectEmployeeChanges(previousSnapshot, snapshot, detectedAt, tenant = null) {
+  const changes = [];
+  for (const [employeeKey, current] of Object.entries(snapshot)) {
+    const previous = previousSnapshot[employeeKey];
+    const previousStatus = previous ? previous.status : null;
+    if (previousStatus === current.status) {
+      continue;
+    }
+
+    // Compare status categories: employed, pending, separated (terminated, retired...) or unknown
+    const previousCategory = previous ? getEmploymentStatus({ employmentStatus: previousStatus }).category : null;
+    const currentCategory = getEmploymentStatus({ employmentStatus: current.status }).category;
+    let type;
+    if (!previous) {
+      type = currentCategory === 'employed' ? 'employee.hired' : null;
+    } else if (currentCategory === 'separated' && previousCategory !== 'separated') {
+      type = 'employee.terminated';
+    } else if (previousCategory === 'separated' && currentCategory === 'employed') {
+      type = 'employee.rehired';
+    } else if (previousCategory === 'pending' && currentCategory === 'employed') {
+      type = 'employee.hired';
+    } else {
+      type = 'employee.status_changed';
+    }
+    if (type) {
+      changes.push({ type, employeeKey, previous: previous || null, current });
+    }
+  }
+
+  // Pair a termination and a hire/rehire for the same email into a company transfer
+  const transfers = [];
+  const paired = new Set();
+  for (const ended of changes.filter(change => change.type === 'employee.terminated' && change.current.email)) {
+    const started = changes.find(change => !paired.has(change) && change.current.email === ended.current.email &&
+      (change.type === 'employee.hired' || change.type === 'employee.rehired') &&
+      change.employeeKey.split(':')[0] !== ended.employeeKey.split(':')[0]);
+    if (started) {
+      paired.add(ended).add(started);
+      transfers.push({ type: 'employee.transferred', email: ended.current.email, from: ended, to: started });
+    }
+  }
+
+  const toEmployee = change => {
+    const [companyCode, employeeNumber] = change.employeeKey.split(':');
+    return { companyCode, employeeNumber };
+  };
+  const toState = state => state ? {
+    employmentStatus: getEmploymentStatus({ employmentStatus: state.status }).status,
+    employmentStatusCode: state.status,
+    hireDate: state.hireDate,
+    terminationDate: state.terminationDate
+  } : null;
+
+  return [
+    ...changes.filter(change => !paired.has(change)).map(change => ({
+      type: change.type,
+      data: {
+        ...toEmployee(change),
+        email: change.current.email,
+        previous: toState(change.previous),
+        current: toState(change.current)
+      }
+    })),
+    ...transfers.map(transfer => ({
+      type: transfer.type,
+      data: {
+        email: transfer.email,
+        from: { ...toEmployee(transfer.from), ...toState(transfer.from.current) },
+        to: { ...toEmployee(transfer.to), ...toState(transfer.to.current) }
+      }
+    }))
+  ].map(event => ({
+    id: `evt_${crypto.randomUUID()}`,
+    type: event.type,
+    ...(tenant ? { tenant } : {}),
+    detectedAt: detectedAt,
+    data: event.data
+  }));
+}
+
+/**
+ * Deliver new events to every subscriber of their type, one attempt each, storing each event for
+ * replay. A failed delivery is queued for a later cron run (see retryWebhookDeliveries) or, when it
+ * cannot be retried, stored as a dead letter. Returns delivery counts.
+ */
+async function sendWebhookEvents(env, events) {
+  const subscribers = getWebhookSubscribers(env);
+  if (events.length === 0 || subscribers.length === 0) {
+    log.info('No webhook events to send', { eventCount: events.length, subscriberCount: subscribers.length });
+    return { delivered: 0, failed: 0 };
+  }
+
+  if (env.WEBHOOK_EVENTS) {
+    await mapWithConcurrency(events, WEBHOOK_DELIVERY_CONCURRENCY, event =>
+      env.WEBHOOK_EVENTS.put(`webhook:event:${event.id}`, JSON.stringify(event), { expirationTtl: WEBHOOK_EVENT_TTL_SECONDS }));
+  }
+
+  const deliveries = events.flatMap(event => subscribers
+    .filter(subscriber => subscriberWantsEvent(subscriber, event))
+    .map(subscriber => ({ event, subscriber })));
+  const results = await mapWithConcurrency(deliveries, WEBHOOK_DELIVERY_CONCURRENCY, async ({ event, subscriber }) => {
+    const result = await deliverWebhookEvent(env, subscriber, event);
+    if (!result.delivered) {
+      await recordFailedWebhookDelivery(env, subscriber, event, result);
+    }
+    return result;
+  });
+
+  const delivered = results.filter(result => result.delivered).length;
+  log.info('Webhook events sent', { eventCount: events.length, delivered, failed: results.length - delivered });
+  return { delivered: delivered, failed: results.length - delivered };
+}
+
+/**
+ * Retry the queued deliveries whose backoff has passed, one attempt each. Every cron run calls
+ * this before it syncs, so a run never waits out a backoff. Returns { retried, delivered }.
+ */
+async function retryWebhookDeliveries(env) {
+  if (!env.WEBHOOK_EVENTS) {
+    return { retried: 0, delivered: 0 };
+  }
+  const listed = await env.WEBHOOK_EVENTS.list({ prefix: 'webhook:retry:', limit: MAX_WEBHOOK_RETRIES_PER_RUN });
+  const queued = await Promise.all(listed.keys.map(key => env.WEBHOOK_EVENTS.get(key.name, 'json')));
+  const due = queued.filter(retry => retry && Date.parse(retry.retryAfter) <= Date.now());
+  if (due.length === 0) {
+    return { retried: 0, delivered: 0 };
+  }
+
+  const subscribers = getWebhookSubscribers(env);
+  const results = await mapWithConcurrency(due, WEBHOOK_DELIVERY_CONCURRENCY, async retry => {
+    const retryKey = `webhook:retry:${retry.eventId}:${retry.subscriber}`;
+    const event = await env.WEBHOOK_EVENTS.get(`webhook:event:${retry.eventId}`, 'json');
+    const subscriber = subscribers.find(candidate => candidate.name === retry.subscriber);
+    if (!event || !subscriber) {
+      log.warn('Dropping webhook retry', { subscriber: retry.subscriber, reason: event ? 'Subscriber is no longer configured' : 'Event expired' });
+      await env.WEBHOOK_EVENTS.delete(retryKey);
+      return false;
+    }
+
+    const result = await deliverWebhookEvent(env, subscriber, event, retry.attempts + 1);
+    if (result.delivered) {
+      await env.WEBHOOK_EVENTS.delete(retryKey);
+    } else {
+      await recordFailedWebhookDelivery(env, subscriber, event, result);
+    }
+    return result.delivered;
+  });
+
+  const delivered = results.filter(Boolean).length;
+  log.info('Webhook retries sent', { retried: results.length, delivered });
+  return { retried: results.length, delivered: delivered };
+}
+
+/**
+ * POST one event to one subscriber, once. `attempt` numbers the attempt for the result and logs.
+ * Returns { eventId, subscriber, delivered, attempts, status, error }; status is null when the
+ * subscriber could not be reached or timed out.
+ */
+async function deliverWebhookEvent(env, subscriber, event, attempt = 1) {
+  const timeoutMs = parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_WEBHOOK_TIMEOUT_MS;
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let failure;
+  try {
+    const response = await fetch(subscriber.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': event.id,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `v1=${await signWebhookPayload(subscriber.secret, timestamp, body)}`
+      },
+      body: body,
+      signal: controller.signal,
+    });
+    if (response.ok) {
+      log.debug('Webhook delivered', { subscriber: subscriber.name, eventType: event.type, attempt });
+      return { eventId: event.id, subscriber: subscriber.name, delivered: true, attempts: attempt, status: response.status };
+    }
+    failure = { status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    failure = { status: null, error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  return { eventId: event.id, subscriber: subscriber.name, delivered: false, attempts: attempt, ...failure };
+}
+
+/**
+ * Queue a failed delivery for a later cron run when it failed with a network error, timeout, 408,
+ * 429 or 5xx and has attempts left (the backoff doubles with every attempt); store it as a dead
+ * letter otherwise, or always with queueRetry false. Without WEBHOOK_EVENTS the failure is only logged.
+ */
+async function recordFailedWebhookDelivery(env, subscriber, event, result, { queueRetry = true } = {}) {
+  const attemptLimit = parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_WEBHOOK_MAX_ATTEMPTS;
+  const retryable = result.status === null || result.status === 408 || result.status === 429 || result.status >= 500;
+  const failure = {
+    eventId: event.id,
+    eventType: event.type,
+    subscriber: subscriber.name,
+    attempts: result.attempts,
+    lastStatus: result.status,
+    lastError: result.error,
+    failedAt: new Date().toISOString()
+  };
+
+  if (env.WEBHOOK_EVENTS && queueRetry && retryable && result.attempts < attemptLimit) {
+    const delayMs = parseNonNegativeInt(env.WEBHOOK_RETRY_BASE_DELAY_MS, DEFAULT_WEBHOOK_RETRY_BASE_DELAY_MS) * 2 ** (result.attempts - 1);
+    const retryAfter = new Date(Date.now() + delayMs).toISOString();
+    log.warn('Webhook delivery failed - retrying on a later cron run', { subscriber: subscriber.name, eventType: event.type, reason: result.error, attempts: result.attempts, retryAfter });
+    await env.WEBHOOK_EVENTS.put(`webhook:retry:${event.id}:${subscriber.name}`, JSON.stringify({ ...failure, retryAfter }),
+      { expirationTtl: WEBHOOK_EVENT_TTL_SECONDS });
+    return;
+  }
+
+  log.error('Webhook delivery failed', { subscriber: subscriber.name, eventType: event.type, attempts: result.attempts, reason: result.error });
+  if (env.WEBHOOK_EVENTS) {
+    await env.WEBHOOK_EVENTS.put(`webhook:deadletter:${event.id}:${subscriber.name}`, JSON.stringify(failure), { expirationTtl: WEBHOOK_EVENT_TTL_SECONDS });
+    await env.WEBHOOK_EVENTS.delete(`webhook:retry:${event.id}:${subscriber.name}`);
+  }
+}
+
+/**
+ * Replay stored events: the given event IDs, or every dead letter when eventIds is null.
+ * Each replay is a single attempt; a successful one clears the matching dead letter, a failed
+ * one is stored as a dead letter (replays are not queued for retries).
+ */
+async function replayWebhookEvents(env, { eventIds = null, subscriberName = null } = {}) {
+  const subscribers = getWebhookSubscribers(env)
+    .filter(subscriber => !subscriberName || subscriber.name === subscriberName);
+
+  let targets;
+  if (eventIds) {
+    const events = await Promise.all(eventIds.map(eventId => env.WEBHOOK_EVENTS.get(`webhook:event:${eventId}`, 'json')));
+    targets = events.flatMap((event, index) => event
+      ? subscribers.filter(subscriber => subscriberName || subscriberWantsEvent(subscriber, event)).map(subscriber => ({ event, subscriber }))
+      : [{ missingEventId: eventIds[index] }]);
+  } else {
+    const deadLetters = await listWebhookDeadLetters(env);
+    targets = await Promise.all(deadLetters
+      .filter(deadLetter => !subscriberName || deadLetter.subscriber === subscriberName)
+      .map(async deadLetter => ({
+        event: await env.WEBHOOK_EVENTS.get(`webhook:event:${deadLetter.eventId}`, 'json'),
+        subscriber: subscribers.find(subscriber => subscriber.name === deadLetter.subscriber),
+        missingEventId: deadLetter.eventId
+      })));
+  }
+
+  return mapWithConcurrency(targets, WEBHOOK_DELIVERY_CONCURRENCY, async ({ event, subscriber, missingEventId }) => {
+    if (!event) {
+      return { eventId: missingEventId, delivered: false, error: 'Event not found (expired or never stored)' };
+    }
+    if (!subscriber) {
+      return { eventId: event.id, delivered: false, error: 'Subscriber is no longer configured' };
+    }
+    const result = await deliverWebhookEvent(env, subscriber, event);
+    if (result.delivered) {
+      await env.WEBHOOK_EVENTS.delete(`webhook:deadletter:${event.id}:${subscriber.name}`);
+    } else {
+      await recordFailedWebhookDelivery(env, subscriber, event, result, { queueRetry: false });
+    }
+    return result;
+  });
+}
+
+/**
+ * Dead letters in WEBHOOK_EVENTS (at most MAX_DEAD_LETTERS_LISTED)
+ */
+async function listWebhookDeadLetters(env) {
+  if (!env.WEBHOOK_EVENTS) {
+    return [];
+  }
+  const listed = await env.WEBHOOK_EVENTS.list({ prefix: 'webhook:deadletter:', limit: MAX_DEAD_LETTERS_LISTED });
+  const deadLetters = await Promise.all(listed.keys.map(key => env.WEBHOOK_EVENTS.get(key.name, 'json')));
+  return deadLetters.filter(Boolean);
+}
+
+/**
+ * Webhook subscribers from the WEBHOOK_SUBSCRIBERS secret, a JSON array of
+ * { "name": "...", "url": "https://...", "secret": "...", "events": ["employee.terminated", ...] }
+ * ("events" is optional and defaults to every event type)
+ */
+function getWebhookSubscribers(env) {
+  if (!env.WEBHOOK_SUBSCRIBERS) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(env.WEBHOOK_SUBSCRIBERS);
+    return (Array.isArray(parsed) ? parsed : []).filter(subscriber =>
+      subscriber && typeof subscriber.name === 'string' && typeof subscriber.url === 'string' && typeof subscriber.secret === 'string' && subscriber.secret);
+  } catch (error) {
+    log.error('WEBHOOK_SUBSCRIBERS is not valid JSON - ignoring it');
+    return [];
+  }
+}
+
+/**
+ * Whether a subscriber asked for this event type
+ */
+function subscriberWantsEvent(subscriber, event) {
+  return !Array.isArray(subscriber.events) || subscriber.events.includes(event.type);
+}
+
+/**
+ * HMAC-SHA256 (hex) of "<timestamp>.<body>" with the subscriber's secret
+ */
+async function signWebhookPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+  return toHex(new Uint8Array(signature));
+}
+
+/**
+ * Note the lookups a handler answered. They are recorded by recordRequestAudit once the
+ * response is final, so every request is audited in one place.
+ */
+function setAuditLookups(operation, lookups, debugMode = false, getFields = getAuditFields) {
+  const context = requestContext.getStore();
+  if (context) {
+    context.audit = { operation, lookups, debugMode, getFields };
+  }
+}
+
+/**
+ * Record the audit events of a finished request to a route that returns employee data.
+ * When the handler built the response, the lookups it noted are recorded (one event per
+ * returned record). A request turned down or failed before that - validation, authentication,
+ * scope, rate limit or UKG errors - gets one event with the response status and error code.
+ */
+async function recordRequestAudit(env, ctx, { operation, client, response, handlerAnswered, params, url }) {
+  if (!env.AUDIT_DB || !operation) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const audit = context ? context.audit : null;
+  const auditClient = client || { name: 'anonymous' };
+  if (audit && handlerAnswered) {
+    recordAuditEvents(env, ctx, auditClient, audit.operation, audit.lookups, audit.debugMode, audit.getFields);
+    return;
+  }
+
+  const body = await response.clone().json().catch(() => ({}));
+  recordAuditEvents(env, ctx, auditClient, operation, [{
+    lookupKey: getAuditLookupKey(params, url),
+    status: response.status,
+    body: body
+  }]);
+}
+
+/**
+ * Lookup key of a request the handler did not answer: the employee in the path, the SCIM user
+ * ID or the email query parameter (null when there is none, e.g. for a POST body)
+ */
+function getAuditLookupKey(params, url) {
+  if (params.companyCode && params.employeeNumber) {
+    return `${params.companyCode.toUpperCase()}:${params.employeeNumber}`;
+  }
+  if (params.id) {
+    return getScimAuditKey(params.id);
+  }
+  const email = url.searchParams.get('email');
+  return email ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Queue audit events for the employee data a request returned: one event per returned record,
+ * or one for a lookup that returned none. lookups is [{ lookupKey, status, body }], with body
+ * a lookup response (or { success, records }). The events are written to AUDIT_DB after the
+ * response is sent; a failed write is logged and does not fail the request.
+ */
+function recordAuditEvents(env, ctx, client, operation, lookups, debugMode = false, getFields = getAuditFields) {
+  if (!env.AUDIT_DB) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const occurredAt = new Date().toISOString();
+
+  const events = lookups.flatMap(({ lookupKey, status, body }) => {
+    const event = {
+      lookupKey: lookupKey,
+      tenant: body.tenant || null,
+      employee: null,
+      outcome: body.success ? 'NO_RESULTS' : body.code || 'ERROR',
+      httpStatus: status,
+      fields: []
+    };
+    const records = body.success ? (Array.isArray(body.records) ? body.records : [body]) : [];
+    if (records.length === 0) {
+      return [event];
+    }
+    return records.map(record => ({
+      ...event,
+      tenant: record.tenant || event.tenant,
+      employee: `${String(record.companyCode).toUpperCase()}:${record.employeeNumber}`,
+      outcome: 'FOUND',
+      fields: getFields(record).filter(field => !AUDIT_IGNORED_FIELDS.includes(field)).sort()
+    }));
+  });
+
+  const write = (async () => {
+    const statement = env.AUDIT_DB.prepare(`INSERT INTO audit_events
+      (occurred_at, request_id, client, operation, tenant, lookup_key, employee, outcome, http_status, debug, fields)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    const rows = await Promise.all(events.map(async (event) => statement.bind(
+      occurredAt,
+      context ? context.requestId : null,
+      client.name,
+      operation,
+      event.tenant,
+      event.lookupKey ? await hashAuditKey(env, event.lookupKey) : null,
+      event.employee,
+      event.outcome,
+      event.httpStatus,
+      debugMode ? 1 : 0,
+      JSON.stringify(event.fields)
+    )));
+    await env.AUDIT_DB.batch(rows);
+    log.debug('Audit events written', { operation, eventCount: rows.length });
+  })().catch(error => log.error('Audit events could not be written', { operation, eventCount: events.length, ...errorLogFields(error) }));
+
+  ctx.waitUntil(write);
+}
+
+/**
+ * Field names of a returned employee record
+ */
+function getAuditFields(record) {
+  return Object.keys(record);
+}
+
+/**
+ * Lookup key as stored in the audit trail: HMAC-SHA256 hex with AUDIT_HASH_KEY when it is set,
+ * the key itself otherwise
+ */
+async function hashAuditKey(env, lookupKey) {
+  if (!env.AUDIT_HASH_KEY) {
+    return lookupKey;
+  }
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(env.AUDIT_HASH_KEY), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(lookupKey))));
+}
+
+/**
+ * Read and validate the audit query parameters. employee takes an email or
+ * "<CompanyCode>:<EmployeeNumber>" (or "/" as separator); from and to are ISO timestamps.
+ * Returns { client, employee, from, to, limit, cursor } or { error: message }.
+ */
+function readAuditQuery(url) {
+  const read = (name) => (url.searchParams.get(name) || '').trim() || null;
+  const query = { client: read('client'), employee: null, from: null, to: null, limit: DEFAULT_AUDIT_QUERY_LIMIT, cursor: null };
+
+  const employee = read('employee');
+  if (employee) {
+    const identifier = employee.split(/[:/]/);
+    if (isValidEmail(employee)) {
+      query.employee = employee.toLowerCase();
+    } else if (identifier.length === 2 && isValidEmployeeIdentifier(identifier[0], identifier[1])) {
+      query.employee = `${identifier[0].toUpperCase()}:${identifier[1]}`;
+    } else {
+      return { error: 'employee must be an email or <companyCode>:<employeeNumber>' };
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    const value = read(name);
+    if (value) {
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) {
+        return { error: `${name} must be an ISO 8601 date or timestamp` };
+      }
+      query[name] = new Date(time).toISOString();
+    }
+  }
+
+  if (url.searchParams.has('limit')) {
+    query.limit = Number(url.searchParams.get('limit'));
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_AUDIT_QUERY_LIMIT) {
+      return { error: `limit must be between 1 and ${MAX_AUDIT_QUERY_LIMIT}` };
+    }
+  }
+  if (url.searchParams.has('cursor')) {
+    query.cursor = Number(url.searchParams.get('cursor'));
+    if (!Number.isInteger(query.cursor) || query.cursor < 1) {
+      return { error: 'cursor must be the nextCursor of a previous page' };
+    }
+  }
+  return query;
+}
+
+/**
+ * Audit events matching a query, newest first. The employee matches the looked-up key (hashed
+ * like stored keys) or the returned employee. Returns { events, nextCursor }.
+ */
+async function queryAuditEvents(env, { client, employee, from, to, limit, cursor }) {
+  const conditions = [];
+  const values = [];
+  if (client) {
+    conditions.push('client = ?');
+    values.push(client);
+  }
+  if (employee) {
+    conditions.push('(lookup_key = ? OR employee = ?)');
+    values.push(await hashAuditKey(env, employee), employee);
+  }
+  if (from) {
+    conditions.push('occurred_at >= ?');
+    values.push(from);
+  }
+  if (to) {
+    conditions.push('occurred_at < ?');
+    values.push(to);
+  }
+  if (cursor) {
+    conditions.push('id < ?');
+    values.push(cursor);
+  }
+
+  // One row more than asked for tells whether there is a next page
+  const { results } = await env.AUDIT_DB.prepare(`SELECT * FROM audit_events
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC LIMIT ?`).bind(...values, limit + 1).all();
+  const rows = results.slice(0, limit);
+  return {
+    events: rows.map(row => ({
+      id: row.id,
+      occurredAt: row.occurred_at,
+      requestId: row.request_id,
+      client: row.client,
+      operation: row.operation,
+      tenant: row.tenant,
+      lookupKey: row.lookup_key,
+      employee: row.employee,
+      outcome: row.outcome,
+      httpStatus: row.http_status,
+      debug: row.debug === 1,
+      fields: JSON.parse(row.fields)
+    })),
+    nextCursor: results.length > limit ? rows[rows.length - 1].id : null
+  };
+}
+
+/**
+ * Delete audit events older than AUDIT_RETENTION_DAYS (run by the cron trigger)
+ */
+async function pruneAuditEvents(env) {
+  const retentionDays = parseNonNegativeInt(env.AUDIT_RETENTION_DAYS, DEFAULT_AUDIT_RETENTION_DAYS);
+  if (!env.AUDIT_DB || retentionDays === 0) {
+    return null;
+  }
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const result = await env.AUDIT_DB.prepare('DELETE FROM audit_events WHERE occurred_at < ?').bind(cutoff).run();
+  const deleted = result.meta ? result.meta.changes : null;
+  log.info('Old audit events deleted', { cutoff, deleted });
+  return deleted;
+}
+
+/**
+ * Send a SOAP request to UKG with a per-attempt timeout, jittered exponential backoff retries
+ * (idempotent calls only, on 5xx or network errors) and a per-host circuit breaker.
+ * Resolves with the UKG Response; throws UKGError(UKG_UNAVAILABLE) when UKG cannot be reached.
+ */
+async function sendSoapRequest(env, serviceUrl, envelope, { serviceName, idempotent = true } = {}) {
+  const timeoutMs = parseInt(env.UKG_TIMEOUT_MS, 10) || DEFAULT_UKG_TIMEOUT_MS;
+  const breaker = getCircuitBreaker(serviceUrl);
+
+  if (breaker.openUntil > Date.now() || breaker.trialInFlight) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+    log.warn('Circuit breaker open - failing fast', { host: breaker.host, service: serviceName, halfOpen: breaker.trialInFlight });
+    throw new UKGError('UKG_UNAVAILABLE', `UKG is unavailable (circuit open after repeated failures), retry in ${retryAfterSeconds}s`, {
+      service: serviceName,
+      retryAfterSeconds: retryAfterSeconds
+    });
+  }
+
+  // Half-open: after the cooldown one trial call, without retries, decides whether the circuit
+  // closes again; every other call keeps failing fast until it has
+  const isTrial = breaker.openUntil > 0;
+  if (isTrial) {
+    breaker.trialInFlight = true;
+    log.info('Circuit breaker half-open - sending a trial request', { host: breaker.host, service: serviceName });
+  }
+  const maxRetries = idempotent && !isTrial ? parseNonNegativeInt(env.UKG_MAX_RETRIES, DEFAULT_UKG_MAX_RETRIES) : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let failure;
+
+    try {
+      const response = await fetch(serviceUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/soap+xml; charset=utf-8',
+        },
+        body: envelope,
+        signal: controller.signal,
+      });
+
+      // A 500 carrying a SOAP fault is a definitive answer from UKG (bad token, bad input)
+      // and is returned as-is; other 5xx responses are treated as transient.
+      let responseText = null;
+      if (response.status >= 500) {
+        responseText = await response.text();
+      }
+      if (!isTransientUKGResponse(response.status, responseText)) {
+        recordCircuitSuccess(breaker);
+        return responseText === null ? response : new Response(responseText, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+        });
+      }
+      failure = { message: `${serviceName} returned HTTP ${response.status}`, upstreamStatus: response.status };
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      failure = { message: timedOut ? `${serviceName} timed out after ${timeoutMs}ms` : `${serviceName} request failed: ${error.message}` };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (attempt >= maxRetries) {
+      recordCircuitFailure(env, breaker);
+      throw new UKGError('UKG_UNAVAILABLE', failure.message, { service: serviceName, upstreamStatus: failure.upstreamStatus || null });
+    }
+
+    const delayMs = getRetryDelayMs(env, attempt);
+    log.warn('Retrying UKG call', { service: serviceName, reason: failure.message, delayMs, attempt: attempt + 2, maxAttempts: maxRetries + 1 });
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+/**
+ * 502/503/504 (and 500 without a SOAP fault) are worth retrying; everything else is final
+ */
+function isTransientUKGResponse(status, responseText) {
+  if (status === 502 || status === 503 || status === 504) {
+    return true;
+  }
+  return status === 500 && !/<(?:[\w-]+:)?Fault[\s>]/.test(responseText || '');
+}
+
+/**
+ * Exponential backoff with jitter: base * 2^attempt, scaled by a random factor in [0.5, 1)
+ */
+function getRetryDelayMs(env, attempt) {
+  const baseDelayMs = parseNonNegativeInt(env.UKG_RETRY_BASE_DELAY_MS, DEFAULT_UKG_RETRY_BASE_DELAY_MS);
+  const exponentialDelay = Math.min(baseDelayMs * 2 ** attempt, MAX_UKG_RETRY_DELAY_MS);
+  return Math.round(exponentialDelay * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Circuit breaker state for the UKG host of a service URL (kept per isolate)
+ */
+function getCircuitBreaker(serviceUrl) {
+  const host = new URL(serviceUrl).host;
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, { host, consecutiveFailures: 0, openUntil: 0, trialInFlight: false });
+  }
+  return circuitBreakers.get(host);
+}
+
+/**
+ * Close the circuit after any definitive answer from UKG
+ */
+function recordCircuitSuccess(breaker) {
+  if (breaker.openUntil > 0) {
+    log.info('Circuit breaker closed', { host: breaker.host });
+  }
+  breaker.consecutiveFailures = 0;
+  breaker.openUntil = 0;
+  breaker.trialInFlight = false;
+}
+
+/**
+ * Count a failed call (after retries) and open the circuit once the threshold is reached
+ */
+function recordCircuitFailure(env, breaker) {
+  const threshold = parseInt(env.UKG_CIRCUIT_FAILURE_THRESHOLD, 10) || DEFAULT_UKG_CIRCUIT_FAILURE_THRESHOLD;
+  const cooldownMs = parseInt(env.UKG_CIRCUIT_COOLDOWN_MS, 10) || DEFAULT_UKG_CIRCUIT_COOLDOWN_MS;
+  breaker.consecutiveFailures++;
+  // A failed half-open trial re-opens the circuit for another cooldown
+  if (breaker.consecutiveFailures >= threshold || breaker.trialInFlight) {
+    breaker.trialInFlight = false;
+    breaker.openUntil = Date.now() + cooldownMs;
+    log.error('Circuit breaker opened', { host: breaker.host, consecutiveFailures: breaker.consecutiveFailures });
+  }
+}
+
+/**
+ * Parse a non-negative integer setting, falling back when it is missing or invalid (0 is allowed)
+ */
+function parseNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Build a SOAP 1.2 envelope with WS-Addressing headers. `headers` and `body` must be built
+ * with the xml`` tag so every interpolated value is escaped.
+ */
+function buildSoapEnvelope({ serviceUrl, action, namespaces = {}, headers = rawXml(''), body }) {
+  const namespaceDeclarations = Object.entries(namespaces)
+    .map(([prefix, uri]) => xml`
+            xmlns:${rawXml(prefix)}="${uri}"`);
+
+  return xml`
+<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
+            xmlns:a="http://www.w3.org/2005/08/addressing"${namespaceDeclarations}>
+  <s:Header>
+    <a:Action s:mustUnderstand="1">${action}</a:Action>
+    <a:To s:mustUnderstand="1">${serviceUrl}</a:To>
+    ${headers}
+  </s:Header>
+  <s:Body>
+    ${body}
+  </s:Body>
+</s:Envelope>`.toString();
+}
+
+/**
+ * UltiProToken and ClientAccessKey headers required by every UKG data service
+ */
+function buildUKGTokenHeaders(env, token) {
+  return xml`<UltiProToken xmlns="http://www.ultimatesoftware.com/foundation/authentication/ultiprotoken">${token}</UltiProToken>
+    <ClientAccessKey xmlns="http://www.ultimatesoftware.com/foundation/authentication/clientaccesskey">${env.UKG_CUSTOMER_API_KEY}</ClientAccessKey>`;
+}
+
+/**
+ * EmployeeNumberIdentifier element (company code + employee number) used by the employee services
+ */
+function buildEmployeeNumberIdentifier(elementName, companyCode, employeeNumber) {
+  return xml`<${rawXml(elementName)} xmlns:i="http://www.w3.org/2001/XMLSchema-instance" i:type="con:EmployeeNumberIdentifier">
+        <con:CompanyCode>${companyCode}</con:CompanyCode>
+        <con:EmployeeNumber>${employeeNumber}</con:EmployeeNumber>
+      </${rawXml(elementName)}>`;
+}
+
+/**
+ * Tagged template that escapes every interpolated value unless it is already XML
+ * (the result of another xml`` template or rawXml())
+ */
+function xml(strings, ...values) {
+  let result = strings[0];
+  for (let index = 0; index < values.length; index++) {
+    result += renderXmlValue(values[index]) + strings[index + 1];
+  }
+  return rawXml(result);
+}
 
-      if (!emailToSearch) {
-        return new Response(JSON.stringify({
-          error: 'Email parameter is required',
-          usage: 'GET: ?email=user@domain.com or POST: {"email": "user@domain.com"}',
-          headers_required: 'X-API-Key: your_api_key'
-        }), {
-          status: 400,
-          headers: { 'Content-Type': 'application/json' },
-        });
-      }
+/**
+ * Mark a trusted string as XML so xml`` does not escape it
+ */
+function rawXml(value) {
+  return new RawXml(value);
+}
 
-      // Validate environment variables
-      const requiredVars = ['UKG_CUSTOMER_API_KEY', 'UKG_USER_API_KEY', 'UKG_USERNAME', 'UKG_PASSWORD', 'UKG_BASE_URL', 'WORKER_API_KEY'];
-      for (const varName of requiredVars) {
-        if (!env[varName]) {
-          return new Response(JSON.stringify({
-            error: `Missing environment variable: ${varName}`
-          }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' },
-          });
-        }
-      }
+/**
+ * Render one interpolated value of an xml`` template
+ */
+function renderXmlValue(value) {
+  if (value instanceof RawXml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderXmlValue).join('');
+  }
+  return escapeXml(value);
+}
 
-      // Step 1: Authenticate and get token
-      const token = await authenticateUKG(env);
-      if (!token) {
-        return new Response(JSON.stringify({
-          error: 'Failed to authenticate with UKG API'
-        }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        });
-      }
+/**
+ * Escape a value for XML text and attribute content. Characters that are not allowed
+ * in XML 1.0 are dropped; `]]>` cannot survive because `>` is escaped.
+ */
+function escapeXml(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/[&<>"']/g, character => XML_ESCAPES[character]);
+}
 
-      // Step 2: Search for user by email
-      console.log(`Searching for user with email: ${emailToSearch}${debugMode ? ' (DEBUG MODE)' : ''}`);
-      let userInfo = await findUserByEmail(env, token, emailToSearch, debugMode);
-      
-      // Step 3: Process SSO user info (could be single record or array)
-      if (userInfo) {
-        // Handle both single records and arrays of records
-        const userRecords = Array.isArray(userInfo) ? userInfo : [userInfo];
-        console.log(`Processing ${userRecords.length} SSO record(s) for ${emailToSearch}`);
-        
-        // Process each record to get additional details
-        for (let i = 0; i < userRecords.length; i++) {
-          const record = userRecords[i];
-          console.log(`\n--- Processing Record ${i + 1}/${userRecords.length} ---`);
-          console.log(`Employee ${record.employeeNumber}, Company ${record.companyCode}`);
-          console.log(`Available identifiers: EmployeeNumber=${record.employeeNumber}, ClientUserName=${record.clientUserName}, UltiProUserName=${record.ultiProUserName}`);
-          
-          // Check employment status via EmployeeEmploymentInformation service
-          console.log(`Checking employment status via EmployeeEmploymentInformation service...`);
-          let employmentResult = null;
-          try {
-            employmentResult = await getEmploymentInformationByEmployeeIdentifier(env, token, record.companyCode, record.employeeNumber, debugMode);
-            if (employmentResult) {
-              record.employmentDetails = employmentResult;
-              console.log(`Employment details found for Record ${i + 1}: ${employmentResult.employmentStatus}`);
-            }
-          } catch (error) {
-            console.log(`Employment info check failed: ${error.message}`);
-          }
-        }
-        
-        // Filter records to only keep those with Employment Status = 'A' (Active)
-        const activeRecords = userRecords.filter(record => 
-          record.employmentDetails && 
-          record.employmentDetails.employmentStatus === 'A'
-        );
-        
-        console.log(`Found ${activeRecords.length} active record(s) out of ${userRecords.length} total records`);
-        
-        // Choose the primary record - use the LAST active record
-        let primaryRecord;
-        if (activeRecords.length > 0) {
-          primaryRecord = activeRecords[activeRecords.length - 1]; // Take the LAST active record
-          console.log(`Selected LAST active record from company ${primaryRecord.companyCode} as primary record`);
-        } else {
-          // No active records found - this means all records are terminated
-          console.log(`No active records found among ${userRecords.length} total records for ${emailToSearch}`);
-          return new Response(JSON.stringify({
-            success: false,
-            error: 'No active employee records found',
-            totalRecords: userRecords.length,
-            email: emailToSearch,
-            details: 'All employee records found are terminated or inactive'
-          }), {
-            status: 404,
-            headers: { 'Content-Type': 'application/json' },
-          });
-        }
-        
-        // Store records info for both debug and clean modes (clean mode won't expose it but needs it for consistency)
-        primaryRecord._debugAllRecordsInfo = {
-          totalRecordCount: userRecords.length,
-          activeRecordCount: activeRecords.length,
-          selectedRecord: 'LAST active record',
-          allRecordsBasicInfo: userRecords.map(record => ({
-            employeeNumber: record.employeeNumber,
-            companyCode: record.companyCode,
-            firstName: record.firstName,
-            lastName: record.lastName,
-            status: record.status,
-            hasEmploymentDetails: !!record.employmentDetails,
-            employmentStatus: record.employmentDetails ? 
-              (record.employmentDetails.employmentStatus === 'A' ? 'ACTIVE' : 
-               record.employmentDetails.employmentStatus === 'T' ? 'TERMINATED' : 
-               record.employmentDetails.employmentStatus || 'UNKNOWN') : 'UNKNOWN',
-            rawEmploymentStatus: record.employmentDetails ? record.employmentDetails.employmentStatus : null,
-            isSelected: record === primaryRecord,
-            employmentDetailsRaw: debugMode ? (record.employmentDetails ? record.employmentDetails.rawResponse : null) : null
-          })),
-          activeRecordsOnly: activeRecords.map(record => ({
-            employeeNumber: record.employeeNumber,
-            companyCode: record.companyCode,
-            employmentStatus: 'ACTIVE',
-            rawEmploymentStatus: record.employmentDetails.employmentStatus,
-            isSelected: record === primaryRecord
-          }))
-        };
-        
-        // Set userInfo to the primary record for backward compatibility
-        userInfo = primaryRecord;
-        
-        // Force copy employment details to ensure they're available
-        if (primaryRecord && primaryRecord.employmentDetails) {
-          userInfo.employmentDetails = { ...primaryRecord.employmentDetails };
-        }
-      }
-      
-      if (userInfo) {
-        // At this point, we already filtered to only active records (employmentStatus = 'A')
-        console.log(`Active user confirmed: ${userInfo.employeeNumber} from company ${userInfo.companyCode}`);
-        
-        const response = {
-          success: true,
-          employeeNumber: userInfo.employeeNumber,
-          companyCode: userInfo.companyCode,
-          firstName: userInfo.firstName,
-          lastName: userInfo.lastName,
-          status: userInfo.status,
-          email: emailToSearch
-        };
-        
-        // Add employment status - we know it's active since we filtered for it
-        if (userInfo.employmentDetails) {
-          response.employmentStatus = 'ACTIVE';
-          response.employmentStatusReason = 'Employment status: A (Active)';
-          response.dataSource = 'SSO + EmployeeEmploymentInformation Services';
-          
-          if (userInfo.employmentDetails.hireDate) {
-            response.hireDate = userInfo.employmentDetails.hireDate;
-          }
-          if (userInfo.employmentDetails.jobTitle) {
-            response.jobTitle = userInfo.employmentDetails.jobTitle;
-          }
-          
-          // Show selection note if multiple records were found
-          if (userInfo._debugAllRecordsInfo && userInfo._debugAllRecordsInfo.totalRecordCount > 1) {
-            response.note = `Selected last active record from ${userInfo._debugAllRecordsInfo.activeRecordCount} active records out of ${userInfo._debugAllRecordsInfo.totalRecordCount} total records found`;
-          }
-        } else {
-          response.employmentStatus = 'Active (assumed - no employment details available)';
-          response.dataSource = 'SSO Service Only';
-          
-          // Show selection note if multiple records were found
-          if (userInfo._debugAllRecordsInfo && userInfo._debugAllRecordsInfo.totalRecordCount > 1) {
-            response.note = `Selected record from ${userInfo._debugAllRecordsInfo.totalRecordCount} total records found (no employment status available)`;
-          }
-        }
-        
-        // Add debug information if debug mode is enabled
-        if (debugMode) {
-          response.debugModeEnabled = true;
-          
-          if (userInfo.rawSSOResponse) {
-            response.rawSSOResponse = userInfo.rawSSOResponse;
-          }
-          if (userInfo.employmentDetails) {
-            response.debugEmploymentDetails = userInfo.employmentDetails;
-          }
-          
-          // Include all records if multiple were found (avoiding circular references)
-          if (userInfo._debugAllRecordsInfo) {
-            response.debugAllRecords = userInfo._debugAllRecordsInfo.allRecordsBasicInfo;
-            response.debugActiveRecords = userInfo._debugAllRecordsInfo.activeRecordsOnly;
-            response.debugTotalRecordCount = userInfo._debugAllRecordsInfo.totalRecordCount;
-            response.debugActiveRecordCount = userInfo._debugAllRecordsInfo.activeRecordCount;
-            response.debugSelectedRecord = userInfo._debugAllRecordsInfo.selectedRecord;
-            response.debugMultipleRecordsFound = userInfo._debugAllRecordsInfo.totalRecordCount > 1;
-            
-            // Include employment details for ALL records, not just the primary one
-            response.debugAllEmploymentDetails = userInfo._debugAllRecordsInfo.allRecordsBasicInfo
-              .filter(record => record.hasEmploymentDetails)
-              .map(record => ({
-                companyCode: record.companyCode,
-                employeeNumber: record.employeeNumber,
-                employmentStatus: record.employmentStatus,
-                rawResponse: record.employmentDetailsRaw
-              }));
-          }
-        }
-        
-        return new Response(JSON.stringify(response), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' },
-        });
-      } else {
-        console.warn(`User not found for email: ${emailToSearch}`);
-        return new Response(JSON.stringify({
-          success: false,
-          error: 'User not found',
-          email: emailToSearch
-        }), {
-          status: 404,
-          headers: { 'Content-Type': 'application/json' },
-        });
-      }
+/**
+ * Validate an email address before it is sent to UKG
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(email);
+}
 
-    } catch (error) {
-      console.error('Error occurred:', error);
-      return new Response(JSON.stringify({
-        error: 'Internal server error',
-        details: error.message
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      });
-    }
-  },
-};
+/**
+ * Validate a UKG company code / employee number before it is sent to UKG
+ */
+function isValidEmployeeIdentifier(companyCode, employeeNumber) {
+  return typeof companyCode === 'string' && COMPANY_CODE_PATTERN.test(companyCode) &&
+         typeof employeeNumber === 'string' && EMPLOYEE_NUMBER_PATTERN.test(employeeNumber);
+}
 
 /**
  * Authenticate with UKG API and return authentication token
@@ -279,53 +5453,345 @@ export default {
 async function authenticateUKG(env) {
   const loginServiceUrl = `${env.UKG_BASE_URL}/services/LoginService`;
   
-  const loginEnvelope = `
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:a="http://www.w3.org/2005/08/addressing"
-            xmlns:login="http://www.ultipro.com/services/loginservice"
-            xmlns:contracts="http://www.ultipro.com/contracts">
-  <s:Header>
-    <a:Action s:mustUnderstand="1">http://www.ultipro.com/services/loginservice/ILoginService/Authenticate</a:Action>
-    <a:To s:mustUnderstand="1">${loginServiceUrl}</a:To>
-    <login:ClientAccessKey>${env.UKG_CUSTOMER_API_KEY}</login:ClientAccessKey>
+  const loginEnvelope = buildSoapEnvelope({
+    serviceUrl: loginServiceUrl,
+    action: 'http://www.ultipro.com/services/loginservice/ILoginService/Authenticate',
+    namespaces: {
+      login: 'http://www.ultipro.com/services/loginservice',
+      contracts: 'http://www.ultipro.com/contracts'
+    },
+    headers: xml`<login:ClientAccessKey>${env.UKG_CUSTOMER_API_KEY}</login:ClientAccessKey>
     <login:Password>${env.UKG_PASSWORD}</login:Password>
     <login:UserAccessKey>${env.UKG_USER_API_KEY}</login:UserAccessKey>
-    <login:UserName>${env.UKG_USERNAME}</login:UserName>
-  </s:Header>
-  <s:Body>
-    <contracts:TokenRequest>
-    </contracts:TokenRequest>
-  </s:Body>
-</s:Envelope>`;
+    <login:UserName>${env.UKG_USERNAME}</login:UserName>`,
+    body: xml`<contracts:TokenRequest>
+    </contracts:TokenRequest>`
+  });
 
   try {
-    const response = await fetch(loginServiceUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/soap+xml; charset=utf-8',
-      },
-      body: loginEnvelope,
-    });
+    // Login is not retried so rejected credentials are never replayed against UKG
+    const response = await sendSoapRequest(env, loginServiceUrl, loginEnvelope, { serviceName: 'LoginService', idempotent: false });
+
+    const responseText = await response.text();
 
     if (!response.ok) {
-      console.error('Login failed:', response.status, response.statusText);
-      return null;
+      // Client-side faults from the LoginService mean our credentials were rejected
+      throw createUKGErrorFromResponse(response.status, responseText, 'LoginService', 'UKG_AUTH_FAILED');
     }
-
-    const responseText = await response.text();
     
     // Parse XML to extract token
-    const tokenMatch = responseText.match(/<Token[^>]*>([^<]+)<\/Token>/);
-    if (tokenMatch && tokenMatch[1]) {
-      return tokenMatch[1];
+    const tokenResponse = parseXML(responseText);
+    const token = getXMLChildText(tokenResponse, 'Token');
+    if (token) {
+      return token;
     }
     
-    console.error('Token not found in response');
+    const statusMessage = getXMLChildText(tokenResponse, 'StatusMessage');
+    throw new UKGAuthError(statusMessage || 'UKG LoginService did not return a token', { service: 'LoginService' });
+  } catch (error) {
+    log.error('UKG login failed', errorLogFields(error));
+    throw toUKGError(error, 'LoginService');
+  }
+}
+
+/**
+ * Get a UKG token, reusing the cached one until it is close to expiring
+ */
+async function getUKGToken(env, { forceRefresh = false } = {}) {
+  const tenantKey = env.UKG_TENANT || '';
+
+  if (!forceRefresh) {
+    const memoryEntry = memoryTokenCache.get(tenantKey);
+    if (isTokenFresh(memoryEntry)) {
+      return memoryEntry.token;
+    }
+  }
+
+  // Lookups running side by side in one request (a batch fanning out) share one login
+  const context = requestContext.getStore();
+  if (!context) {
+    return loadUKGToken(env, forceRefresh);
+  }
+  context.tokenRequests = context.tokenRequests || new Map();
+  const requestKey = `${tenantKey}:${forceRefresh ? 'refresh' : 'cached'}`;
+  if (!context.tokenRequests.has(requestKey)) {
+    context.tokenRequests.set(requestKey, loadUKGToken(env, forceRefresh).finally(() => {
+      context.tokenRequests.delete(requestKey);
+    }));
+  }
+  return context.tokenRequests.get(requestKey);
+}
+
+/**
+ * Read the token from KV / the Cache API, or log in to UKG when there is no fresh one
+ */
+async function loadUKGToken(env, forceRefresh) {
+  const tenantKey = env.UKG_TENANT || '';
+
+  if (!forceRefresh) {
+    const storedEntry = await readCachedToken(env);
+    if (isTokenFresh(storedEntry)) {
+      memoryTokenCache.set(tenantKey, storedEntry);
+      return storedEntry.token;
+    }
+  }
+
+  log.info('Requesting new UKG login token', { forceRefresh, tenant: env.UKG_TENANT });
+  const token = await authenticateUKG(env);
+  if (!token) {
     return null;
+  }
+
+  const ttlSeconds = parseInt(env.UKG_TOKEN_TTL_SECONDS, 10) || DEFAULT_TOKEN_TTL_SECONDS;
+  const entry = { token, expiresAt: Date.now() + ttlSeconds * 1000 };
+  memoryTokenCache.set(tenantKey, entry);
+  await writeCachedToken(env, entry, ttlSeconds);
+  return token;
+}
+
+/**
+ * A cached token entry that is not about to expire
+ */
+function isTokenFresh(entry) {
+  return Boolean(entry && entry.token && entry.expiresAt - TOKEN_REFRESH_MARGIN_SECONDS * 1000 > Date.now());
+}
+
+/**
+ * Run a SOAP operation with a cached token, refreshing the token once if UKG rejects it
+ */
+async function withUKGToken(env, operation) {
+  const token = await getUKGToken(env);
+  if (!token) {
+    throw new UKGAuthError('Failed to authenticate with UKG API', { service: 'LoginService' });
+  }
+
+  try {
+    return await operation(token);
+  } catch (error) {
+    if (!(error instanceof UKGAuthError)) {
+      throw error;
+    }
+    log.warn('UKG rejected cached token - refreshing and retrying once', errorLogFields(error));
+    await invalidateUKGToken(env);
+    const refreshedToken = await getUKGToken(env, { forceRefresh: true });
+    if (!refreshedToken) {
+      throw new UKGAuthError('Failed to authenticate with UKG API', { service: 'LoginService' });
+    }
+    return await operation(refreshedToken);
+  }
+}
+
+/**
+ * Drop the cached UKG token from memory, KV and the Cache API
+ */
+async function invalidateUKGToken(env) {
+  memoryTokenCache.delete(env.UKG_TENANT || '');
+  try {
+    if (env.UKG_TOKEN_CACHE) {
+      await env.UKG_TOKEN_CACHE.delete(getTokenCacheKey(env));
+    } else if (typeof caches !== 'undefined') {
+      await caches.default.delete(getTokenCacheUrl(env));
+    }
+    log.info('UKG token cache invalidated', { tenant: env.UKG_TENANT });
+  } catch (error) {
+    log.error('Failed to invalidate UKG token cache', errorLogFields(error));
+  }
+}
+
+/**
+ * Read the cached token entry from KV (when bound) or the Cache API
+ */
+async function readCachedToken(env) {
+  try {
+    if (env.UKG_TOKEN_CACHE) {
+      return await env.UKG_TOKEN_CACHE.get(getTokenCacheKey(env), 'json');
+    }
+    if (typeof caches !== 'undefined') {
+      const cached = await caches.default.match(getTokenCacheUrl(env));
+      return cached ? await cached.json() : null;
+    }
+  } catch (error) {
+    log.error('Failed to read UKG token cache', errorLogFields(error));
+  }
+  return null;
+}
+
+/**
+ * Store the token entry in KV (when bound) or the Cache API
+ */
+async function writeCachedToken(env, entry, ttlSeconds) {
+  try {
+    if (env.UKG_TOKEN_CACHE) {
+      // KV requires an expiration TTL of at least 60 seconds
+      await env.UKG_TOKEN_CACHE.put(getTokenCacheKey(env), JSON.stringify(entry), {
+        expirationTtl: Math.max(60, ttlSeconds),
+      });
+    } else if (typeof caches !== 'undefined') {
+      await caches.default.put(getTokenCacheUrl(env), new Response(JSON.stringify(entry), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${ttlSeconds}`,
+        },
+      }));
+    }
+  } catch (error) {
+    log.error('Failed to write UKG token cache', errorLogFields(error));
+  }
+}
+
+/**
+ * KV key and Cache API URL of the token cache entry (one per tenant)
+ */
+function getTokenCacheKey(env) {
+  return env.UKG_TENANT ? `${TOKEN_CACHE_KEY}:${env.UKG_TENANT}` : TOKEN_CACHE_KEY;
+}
+
+function getTokenCacheUrl(env) {
+  return env.UKG_TENANT ? `${TOKEN_CACHE_URL}/${encodeURIComponent(env.UKG_TENANT)}` : TOKEN_CACHE_URL;
+}
+
+/**
+ * Build a typed UKGError from a failed HTTP response, using the SOAP fault when present
+ */
+function createUKGErrorFromResponse(status, responseText, serviceName, clientFaultCode = 'UKG_INVALID_INPUT') {
+  const faultError = parseUKGFault(responseText, serviceName, clientFaultCode);
+  if (faultError) {
+    faultError.upstreamStatus = status;
+    return faultError;
+  }
+
+  let code = 'UKG_UPSTREAM_ERROR';
+  if (status === 401) {
+    code = 'UKG_AUTH_FAILED';
+  } else if (status === 403) {
+    code = 'UKG_PERMISSION_DENIED';
+  } else if (status === 502 || status === 503 || status === 504) {
+    code = 'UKG_UNAVAILABLE';
+  }
+  return createUKGError(code, `${serviceName} returned HTTP ${status}`, { service: serviceName, upstreamStatus: status });
+}
+
+/**
+ * Parse a SOAP 1.2 (or 1.1) fault into a typed UKGError; returns null when the response has no fault
+ */
+function parseUKGFault(responseText, serviceName, clientFaultCode = 'UKG_INVALID_INPUT') {
+  let xmlDocument;
+  try {
+    xmlDocument = parseXML(responseText || '');
   } catch (error) {
-    console.error('Authentication error:', error);
     return null;
   }
+
+  const faultElement = findXMLElement(xmlDocument, 'Fault');
+  if (!faultElement) {
+    return null;
+  }
+
+  // SOAP 1.2: Code/Value (+ Subcode/Value) and Reason/Text; SOAP 1.1: faultcode and faultstring
+  const codeValues = findXMLElements(findXMLElement(faultElement, 'Code'), 'Value').map(getXMLText).filter(Boolean);
+  const faultCode = codeValues.length > 0 ? codeValues.join(' / ') : getXMLChildText(faultElement, 'faultcode');
+  const reason = getXMLChildText(findXMLElement(faultElement, 'Reason'), 'Text') ||
+                 getXMLChildText(faultElement, 'faultstring') ||
+                 'Unknown SOAP fault';
+
+  const isClientFault = /(^|[:\s])(Sender|Client)\b/.test(faultCode || '');
+  const code = classifyUKGFailure(`${faultCode || ''} ${reason}`, isClientFault ? clientFaultCode : 'UKG_UPSTREAM_ERROR');
+  return createUKGError(code, reason, { service: serviceName, faultCode: faultCode });
+}
+
+/**
+ * Read the OperationMessages of a UKG OperationResult element
+ */
+function getUKGOperationMessages(resultElement) {
+  return findXMLElements(resultElement, 'OperationMessage').map(messageElement => ({
+    code: getXMLChildText(messageElement, 'Code'),
+    message: getXMLChildText(messageElement, 'Message'),
+    propertyName: getXMLChildText(messageElement, 'PropertyName'),
+    severity: getXMLChildText(messageElement, 'Severity')
+  }));
+}
+
+/**
+ * Build a typed UKGError for an OperationResult that came back with Success=false
+ */
+function createUKGOperationError(resultElement, serviceName) {
+  const messages = getUKGOperationMessages(resultElement);
+  const messageText = messages
+    .map(message => [message.code, message.message].filter(Boolean).join(': '))
+    .filter(Boolean)
+    .join('; ');
+  const code = classifyUKGFailure(messageText, 'UKG_UPSTREAM_ERROR');
+  return createUKGError(code, messageText || `${serviceName} reported an unsuccessful operation`, {
+    service: serviceName,
+    messages: messages
+  });
+}
+
+/**
+ * Map the text of a UKG fault or operation message to one of the UKG_ERROR_STATUS codes
+ */
+function classifyUKGFailure(text, defaultCode) {
+  if (/permission|access (is )?denied|forbidden|not authori[sz]ed to|insufficient rights/i.test(text)) {
+    return 'UKG_PERMISSION_DENIED';
+  }
+  if (/token|authenticat|InvalidSecurity|FailedAuthentication|unauthori[sz]ed|credential|password|login/i.test(text)) {
+    return 'UKG_AUTH_FAILED';
+  }
+  if (/not found|does not exist|no (matching )?(employee|user|record)s?\b/i.test(text)) {
+    return 'EMPLOYEE_NOT_FOUND';
+  }
+  if (/unavailable|timed? ?out|too busy|throttl|maintenance|try again/i.test(text)) {
+    return 'UKG_UNAVAILABLE';
+  }
+  if (/invalid|validation|malformed|required|format|must be/i.test(text)) {
+    return 'UKG_INVALID_INPUT';
+  }
+  return defaultCode;
+}
+
+/**
+ * Create a UKGError, using UKGAuthError for auth failures so the token can be refreshed
+ */
+function createUKGError(code, message, details = {}) {
+  if (code === 'UKG_AUTH_FAILED') {
+    return new UKGAuthError(message, details);
+  }
+  return new UKGError(code, message, details);
+}
+
+/**
+ * Convert an unexpected error from a UKG call into a UKGError
+ * (malformed XML is an upstream error, anything else means the request never completed)
+ */
+function toUKGError(error, serviceName) {
+  if (error instanceof UKGError) {
+    return error;
+  }
+  if (error instanceof XMLParseError) {
+    return new UKGError('UKG_UPSTREAM_ERROR', `Malformed ${serviceName} response: ${error.message}`, { service: serviceName });
+  }
+  return new UKGError('UKG_UNAVAILABLE', `${serviceName} request failed: ${error.message}`, { service: serviceName });
+}
+
+/**
+ * JSON error body returned to callers for a UKGError
+ */
+function buildUKGErrorBody(error) {
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code
+  };
+  if (error.service) {
+    body.service = error.service;
+  }
+  if (error.faultCode) {
+    body.faultCode = error.faultCode;
+  }
+  if (error.messages && error.messages.length > 0) {
+    body.upstreamMessages = error.messages;
+  }
+  return body;
 }
 
 /**
@@ -335,131 +5801,147 @@ async function findUserByEmail(env, token, emailToSearch, debugMode = false) {
   const ssoUserServiceUrl = `${env.UKG_BASE_URL}/services/EmployeeSsoUser`;
   
   // Use GetSsoUserByClientUserName instead of FindSsoUsers for direct email lookup
-  const ssoUserEnvelope = `
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:a="http://www.w3.org/2005/08/addressing"
-            xmlns:sso="http://www.ultipro.com/services/employeessouser"
-            xmlns:con="http://www.ultipro.com/contracts">
-  <s:Header>
-    <a:Action s:mustUnderstand="1">http://www.ultipro.com/services/employeessouser/IEmployeeSsoUser/GetSsoUserByClientUserName</a:Action>
-    <a:To s:mustUnderstand="1">${ssoUserServiceUrl}</a:To>
-    <UltiProToken xmlns="http://www.ultimatesoftware.com/foundation/authentication/ultiprotoken">${token}</UltiProToken>
-    <ClientAccessKey xmlns="http://www.ultimatesoftware.com/foundation/authentication/clientaccesskey">${env.UKG_CUSTOMER_API_KEY}</ClientAccessKey>
-  </s:Header>
-  <s:Body>
-    <sso:GetSsoUserByClientUserName>
+  const ssoUserEnvelope = buildSoapEnvelope({
+    serviceUrl: ssoUserServiceUrl,
+    action: 'http://www.ultipro.com/services/employeessouser/IEmployeeSsoUser/GetSsoUserByClientUserName',
+    namespaces: {
+      sso: 'http://www.ultipro.com/services/employeessouser',
+      con: 'http://www.ultipro.com/contracts'
+    },
+    headers: buildUKGTokenHeaders(env, token),
+    body: xml`<sso:GetSsoUserByClientUserName>
       <sso:clientUserName>${emailToSearch}</sso:clientUserName>
-    </sso:GetSsoUserByClientUserName>
-  </s:Body>
-</s:Envelope>`;
+    </sso:GetSsoUserByClientUserName>`
+  });
 
   try {
-    const response = await fetch(ssoUserServiceUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/soap+xml; charset=utf-8',
-      },
-      body: ssoUserEnvelope,
-    });
+    const response = await sendSoapRequest(env, ssoUserServiceUrl, ssoUserEnvelope, { serviceName: 'EmployeeSsoUser' });
 
     if (!response.ok) {
-      console.error('SSO User query failed:', response.status, response.statusText);
-      return null;
+      const errorText = await response.text();
+      throw createUKGErrorFromResponse(response.status, errorText, 'EmployeeSsoUser');
     }
 
     const responseText = await response.text();
 
-    // For debugging: log SSO User Service full response when debug mode is enabled
-    if (debugMode) {
-      console.log(`GetSsoUserByClientUserName RESPONSE:`, responseText);
-    }
-
-    // Parse XML response from GetSsoUserByClientUserName (returns single user, not all users)
+    // Parse XML response from GetSsoUserByClientUserName (a single user, or an array when the email has several records)
     const userResult = parseSingleUserFromXML(responseText, emailToSearch);
     
     if (!userResult) {
-      console.log(`GetSsoUserByClientUserName failed for ${emailToSearch} - user not found`);
+      log.debug('GetSsoUserByClientUserName found no user', { email: emailToSearch });
       return null;
     }
     
     // For debugging: include raw response
     if (userResult && debugMode) {
-      userResult.rawSSOResponse = responseText; // Include full SSO response in debug mode
-      userResult.debugXML = responseText; // For single user, the whole response is the debug info
+      for (const record of [].concat(userResult)) {
+        record.rawSSOResponse = responseText; // Include full SSO response in debug mode
+        record.debugXML = responseText; // The whole response is the debug info for each record
+      }
     }
     
     return userResult;
   } catch (error) {
-    console.error('SSO User query error:', error);
-    return null;
+    if (error instanceof UKGError && error.code === 'EMPLOYEE_NOT_FOUND') {
+      log.debug('GetSsoUserByClientUserName reported no user', { email: emailToSearch, ...errorLogFields(error) });
+      return null;
+    }
+    log.error('EmployeeSsoUser query failed', errorLogFields(error));
+    throw toUKGError(error, 'EmployeeSsoUser');
   }
 }
 
 
 
+/**
+ * Find the SSO user for an employee using SSO User service - GetSsoUserByEmployeeIdentifier
+ */
+async function findUserByEmployeeIdentifier(env, token, companyCode, employeeNumber, debugMode = false) {
+  const ssoUserServiceUrl = `${env.UKG_BASE_URL}/services/EmployeeSsoUser`;
+  
+  const ssoUserEnvelope = buildSoapEnvelope({
+    serviceUrl: ssoUserServiceUrl,
+    action: 'http://www.ultipro.com/services/employeessouser/IEmployeeSsoUser/GetSsoUserByEmployeeIdentifier',
+    namespaces: {
+      sso: 'http://www.ultipro.com/services/employeessouser',
+      con: 'http://www.ultipro.com/contracts'
+    },
+    headers: buildUKGTokenHeaders(env, token),
+    body: xml`<sso:GetSsoUserByEmployeeIdentifier>
+      ${buildEmployeeNumberIdentifier('sso:employeeIdentifier', companyCode, employeeNumber)}
+    </sso:GetSsoUserByEmployeeIdentifier>`
+  });
+
+  try {
+    const response = await sendSoapRequest(env, ssoUserServiceUrl, ssoUserEnvelope, { serviceName: 'EmployeeSsoUser' });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createUKGErrorFromResponse(response.status, errorText, 'EmployeeSsoUser');
+    }
+
+    const responseText = await response.text();
+
+    const parsedUser = parseSingleUserFromXML(responseText, null, 'GetSsoUserByEmployeeIdentifierResult');
+    const userResult = Array.isArray(parsedUser) ? parsedUser[0] : parsedUser;
+    if (!userResult) {
+      log.debug('GetSsoUserByEmployeeIdentifier found no SSO user', { companyCode, employeeNumber });
+      return null;
+    }
+
+    if (debugMode) {
+      userResult.rawSSOResponse = responseText;
+    }
+
+    return userResult;
+  } catch (error) {
+    if (error instanceof UKGError && error.code === 'EMPLOYEE_NOT_FOUND') {
+      log.debug('GetSsoUserByEmployeeIdentifier reported no SSO user', { companyCode, employeeNumber, ...errorLogFields(error) });
+      return null;
+    }
+    log.error('EmployeeSsoUser query by employee identifier failed', errorLogFields(error));
+    throw toUKGError(error, 'EmployeeSsoUser');
+  }
+}
+
 /**
  * Get employment information using EmployeeEmploymentInformation service - GetEmploymentInformationByEmployeeIdentifier
  */
 async function getEmploymentInformationByEmployeeIdentifier(env, token, companyCode, employeeNumber, debugMode = false) {
   const employeeEmploymentInformationServiceUrl = `${env.UKG_BASE_URL}/services/EmployeeEmploymentInformation`;
-  
-  console.log(`Calling EmployeeEmploymentInformation service for Company: ${companyCode}, Employee: ${employeeNumber}`);
-  
-  // Create SOAP envelope based on the WSDL
-  const employeeEmploymentInformationEnvelope = `
-<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope"
-            xmlns:a="http://www.w3.org/2005/08/addressing"
-            xmlns:eei="http://www.ultipro.com/services/employeeemploymentinformation"
-            xmlns:con="http://www.ultipro.com/contracts">
-  <s:Header>
-    <a:Action s:mustUnderstand="1">http://www.ultipro.com/services/employeeemploymentinformation/IEmployeeEmploymentInformation/GetEmploymentInformationByEmployeeIdentifier</a:Action>
-    <a:To s:mustUnderstand="1">${employeeEmploymentInformationServiceUrl}</a:To>
-    <UltiProToken xmlns="http://www.ultimatesoftware.com/foundation/authentication/ultiprotoken">${token}</UltiProToken>
-    <ClientAccessKey xmlns="http://www.ultimatesoftware.com/foundation/authentication/clientaccesskey">${env.UKG_CUSTOMER_API_KEY}</ClientAccessKey>
-  </s:Header>
-  <s:Body>
-    <eei:GetEmploymentInformationByEmployeeIdentifier>
-      <eei:employeeIdentifier xmlns:i="http://www.w3.org/2001/XMLSchema-instance" i:type="con:EmployeeNumberIdentifier">
-        <con:CompanyCode>${companyCode}</con:CompanyCode>
-        <con:EmployeeNumber>${employeeNumber}</con:EmployeeNumber>
-      </eei:employeeIdentifier>
-    </eei:GetEmploymentInformationByEmployeeIdentifier>
-  </s:Body>
-</s:Envelope>`;
+  
+  log.debug('Calling EmployeeEmploymentInformation', { companyCode, employeeNumber });
+  
+  // Create SOAP envelope based on the WSDL
+  const employeeEmploymentInformationEnvelope = buildSoapEnvelope({
+    serviceUrl: employeeEmploymentInformationServiceUrl,
+    action: 'http://www.ultipro.com/services/employeeemploymentinformation/IEmployeeEmploymentInformation/GetEmploymentInformationByEmployeeIdentifier',
+    namespaces: {
+      eei: 'http://www.ultipro.com/services/employeeemploymentinformation',
+      con: 'http://www.ultipro.com/contracts'
+    },
+    headers: buildUKGTokenHeaders(env, token),
+    body: xml`<eei:GetEmploymentInformationByEmployeeIdentifier>
+      ${buildEmployeeNumberIdentifier('eei:employeeIdentifier', companyCode, employeeNumber)}
+    </eei:GetEmploymentInformationByEmployeeIdentifier>`
+  });
 
   try {
-    const response = await fetch(employeeEmploymentInformationServiceUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/soap+xml; charset=utf-8',
-      },
-      body: employeeEmploymentInformationEnvelope,
-    });
+    const response = await sendSoapRequest(env, employeeEmploymentInformationServiceUrl, employeeEmploymentInformationEnvelope, { serviceName: 'EmployeeEmploymentInformation' });
 
-    console.log(`EmployeeEmploymentInformation service response status: ${response.status} ${response.statusText}`);
+    log.debug('EmployeeEmploymentInformation responded', { status: response.status });
     
     if (!response.ok) {
       const errorText = await response.text();
-      console.log(`EmployeeEmploymentInformation service failed: ${response.status} ${response.statusText}`);
-      if (debugMode) {
-        console.log(`EmployeeEmploymentInformation FULL ERROR: ${errorText}`);
-      }
-      return null;
+      throw createUKGErrorFromResponse(response.status, errorText, 'EmployeeEmploymentInformation');
     }
 
     const responseText = await response.text();
-    console.log(`EmployeeEmploymentInformation service SUCCESS - response length: ${responseText.length}`);
-    
-    // For debugging: log full response when debug mode is enabled
-    if (debugMode) {
-      console.log(`EmployeeEmploymentInformation FULL RESPONSE:`, responseText);
-    }
 
     // Parse the response
     const result = parseEmploymentInformationDetailsFromXML(responseText, companyCode, employeeNumber, debugMode);
     
     if (result) {
-      console.log(`*** SUCCESS: Found employment information via EmployeeEmploymentInformation service ***`);
       // In debug mode, include full response for analysis
       if (debugMode) {
         result.fullResponse = responseText;
@@ -467,7 +5949,7 @@ async function getEmploymentInformationByEmployeeIdentifier(env, token, companyC
       }
       return result;
     } else {
-      console.log(`No employment information found`);
+      log.debug('No employment information found', { companyCode, employeeNumber });
       if (debugMode) {
         return {
           noEmploymentInfoFound: true,
@@ -480,16 +5962,169 @@ async function getEmploymentInformationByEmployeeIdentifier(env, token, companyC
     }
     
   } catch (error) {
-    console.error('EmployeeEmploymentInformation service error:', error);
-    if (debugMode) {
-      return {
-        error: true,
-        errorMessage: error.message,
-        serviceName: 'EmployeeEmploymentInformation-GetEmploymentInformationByEmployeeIdentifier'
-      };
+    if (error instanceof UKGError && error.code === 'EMPLOYEE_NOT_FOUND') {
+      log.debug('EmployeeEmploymentInformation reported no employee', { companyCode, employeeNumber, ...errorLogFields(error) });
+      return null;
+    }
+    log.error('EmployeeEmploymentInformation query failed', errorLogFields(error));
+    throw toUKGError(error, 'EmployeeEmploymentInformation');
+  }
+}
+
+/**
+ * Read one enrichment section (person, job or contact) from its UKG service.
+ * Returns { fields, allFields, rawResponse } or null when UKG has no data for the employee.
+ */
+async function getEmployeeSectionByEmployeeIdentifier(env, token, section, companyCode, employeeNumber, debugMode = false) {
+  const { serviceName, operation } = ENRICHMENT_SECTIONS[section];
+  const serviceUrl = `${env.UKG_BASE_URL}/services/${serviceName}`;
+  const serviceNamespace = `http://www.ultipro.com/services/${serviceName.toLowerCase()}`;
+
+  log.debug('Calling UKG service', { service: serviceName, companyCode, employeeNumber });
+
+  const envelope = buildSoapEnvelope({
+    serviceUrl: serviceUrl,
+    action: `${serviceNamespace}/I${serviceName}/${operation}`,
+    namespaces: {
+      svc: serviceNamespace,
+      con: 'http://www.ultipro.com/contracts'
+    },
+    headers: buildUKGTokenHeaders(env, token),
+    body: xml`<svc:${rawXml(operation)}>
+      ${buildEmployeeNumberIdentifier('svc:employeeIdentifier', companyCode, employeeNumber)}
+    </svc:${rawXml(operation)}>`
+  });
+
+  try {
+    const response = await sendSoapRequest(env, serviceUrl, envelope, { serviceName });
+
+    log.debug('UKG service responded', { service: serviceName, status: response.status });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createUKGErrorFromResponse(response.status, errorText, serviceName);
+    }
+
+    const responseText = await response.text();
+
+    const result = parseEmployeeSectionFromXML(responseText, section);
+    if (result && debugMode) {
+      result.rawResponse = responseText;
+    }
+    return result;
+  } catch (error) {
+    if (error instanceof UKGError && error.code === 'EMPLOYEE_NOT_FOUND') {
+      log.debug('UKG service reported no data', { service: serviceName, companyCode, employeeNumber, ...errorLogFields(error) });
+      return null;
+    }
+    log.error('UKG service query failed', { service: serviceName, ...errorLogFields(error) });
+    throw toUKGError(error, serviceName);
+  }
+}
+
+/**
+ * Read one page of a UKG Find* operation (FindSsoUsers, FindEmploymentInformations, ...).
+ * `query` holds EmployeeQuery filter fields. Each Results element is passed to parseRecord.
+ * Returns { records, pageTotal, totalItems } - the paging values are null when UKG omits PagingInfo.
+ */
+async function findUKGRecordsPage(env, token, { serviceName, operation, query = {}, pageNumber, pageSize }, parseRecord) {
+  const serviceUrl = `${env.UKG_BASE_URL}/services/${serviceName}`;
+  const serviceNamespace = `http://www.ultipro.com/services/${serviceName.toLowerCase()}`;
+  const queryFields = Object.entries({ ...query, PageNumber: pageNumber, PageSize: pageSize })
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([fieldName, value]) => xml`<con:${rawXml(fieldName)}>${value}</con:${rawXml(fieldName)}>`);
+
+  log.debug('Calling UKG service', { service: serviceName, operation, pageNumber, pageSize });
+
+  const envelope = buildSoapEnvelope({
+    serviceUrl: serviceUrl,
+    action: `${serviceNamespace}/I${serviceName}/${operation}`,
+    namespaces: {
+      svc: serviceNamespace,
+      con: 'http://www.ultipro.com/contracts'
+    },
+    headers: buildUKGTokenHeaders(env, token),
+    body: xml`<svc:${rawXml(operation)}>
+      <svc:query>${queryFields}</svc:query>
+    </svc:${rawXml(operation)}>`
+  });
+
+  try {
+    const response = await sendSoapRequest(env, serviceUrl, envelope, { serviceName });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createUKGErrorFromResponse(response.status, errorText, serviceName);
+    }
+
+    const xmlDocument = parseXML(await response.text());
+    const resultElement = findXMLElement(xmlDocument, `${operation}Result`);
+    if (!resultElement) {
+      throw createUKGError('UKG_UPSTREAM_ERROR', `Malformed ${serviceName} response: no ${operation}Result element`, { service: serviceName });
+    }
+
+    const success = getXMLChildText(resultElement, 'Success');
+    if (success !== null && success !== 'true') {
+      throw createUKGOperationError(resultElement, serviceName);
     }
+
+    const pagingInfo = findXMLElement(resultElement, 'PagingInfo');
+    const pageTotal = pagingInfo ? parseInt(getXMLChildText(pagingInfo, 'PageTotal'), 10) : NaN;
+    const totalItems = pagingInfo ? parseInt(getXMLChildText(pagingInfo, 'TotalItems'), 10) : NaN;
+    const resultsElement = findXMLElement(resultElement, 'Results');
+    const records = resultsElement && !resultsElement.isNil ? resultsElement.children.map(parseRecord) : [];
+
+    return {
+      records: records,
+      pageTotal: Number.isInteger(pageTotal) ? pageTotal : null,
+      totalItems: Number.isInteger(totalItems) ? totalItems : null
+    };
+  } catch (error) {
+    log.error('UKG service query failed', { service: serviceName, operation, ...errorLogFields(error) });
+    throw toUKGError(error, serviceName);
+  }
+}
+
+/**
+ * Parse an enrichment section from the first record in the service's Results block
+ */
+function parseEmployeeSectionFromXML(xmlText, section) {
+  const { serviceName, operation, fields: fieldSources } = ENRICHMENT_SECTIONS[section];
+  const xmlDocument = parseXML(xmlText);
+
+  const resultElement = findXMLElement(xmlDocument, `${operation}Result`);
+  if (!resultElement) {
+    log.warn('UKG response has no result element', { service: serviceName, operation });
+    return null;
+  }
+
+  const success = getXMLChildText(resultElement, 'Success');
+  if (success !== null && success !== 'true') {
+    throw createUKGOperationError(resultElement, serviceName);
+  }
+
+  const resultsElement = findXMLElement(resultElement, 'Results');
+  if (!resultsElement || resultsElement.isNil || resultsElement.children.length === 0) {
+    log.debug('UKG response has no results', { service: serviceName });
     return null;
   }
+
+  const recordElement = resultsElement.children[0];
+  const fields = {};
+  for (const [fieldName, sourceNames] of Object.entries(fieldSources)) {
+    const value = sourceNames.map(sourceName => getXMLChildText(recordElement, sourceName)).find(Boolean);
+    fields[fieldName] = value || null;
+  }
+
+  // UKG reports full/part time as a one-letter code
+  if (section === 'job' && fields.fullOrPartTime) {
+    fields.fullOrPartTime = { F: 'FULL_TIME', P: 'PART_TIME' }[fields.fullOrPartTime.toUpperCase()] || fields.fullOrPartTime;
+  }
+
+  return {
+    fields: fields,
+    allFields: extractAllFieldsFromBlock(recordElement)
+  };
 }
 
 /**
@@ -497,153 +6132,64 @@ async function getEmploymentInformationByEmployeeIdentifier(env, token, companyC
  */
 function parseEmploymentInformationDetailsFromXML(xmlText, companyCode, employeeNumber, debugMode = false) {
   try {
-    console.log(`\n=== EMPLOYEEEMPLOYMENTINFORMATION SERVICE RESPONSE FOR ${companyCode}-${employeeNumber} ===`);
+    const xmlDocument = parseXML(xmlText);
     
-    // Look for the GetEmploymentInformationByEmployeeIdentifierResult - try both namespace formats
-    let resultMatch = xmlText.match(/<b:GetEmploymentInformationByEmployeeIdentifierResult>(.*?)<\/b:GetEmploymentInformationByEmployeeIdentifierResult>/s);
-    if (!resultMatch) {
-      // Try without namespace prefix
-      resultMatch = xmlText.match(/<GetEmploymentInformationByEmployeeIdentifierResult[^>]*>(.*?)<\/GetEmploymentInformationByEmployeeIdentifierResult>/s);
-    }
-    if (!resultMatch) {
-      console.log('No GetEmploymentInformationByEmployeeIdentifierResult found in response (tried both namespace formats)');
-      if (debugMode) {
-        console.log('Full XML response for debugging:');
-        console.log(xmlText.substring(0, 1000) + '...');
-      }
+    // Look for the GetEmploymentInformationByEmployeeIdentifierResult (any namespace prefix)
+    const resultElement = findXMLElement(xmlDocument, 'GetEmploymentInformationByEmployeeIdentifierResult');
+    if (!resultElement) {
+      log.warn('UKG response has no result element', { service: 'EmployeeEmploymentInformation', operation: 'GetEmploymentInformationByEmployeeIdentifier' });
       return null;
     }
     
-    const resultBlock = resultMatch[1];
-    
-    // Check if the operation was successful - try both namespace formats
-    let successMatch = resultBlock.match(/<b:Success>([^<]+)<\/b:Success>/);
-    if (!successMatch) {
-      successMatch = resultBlock.match(/<Success>([^<]+)<\/Success>/);
-    }
-    if (debugMode) {
-      console.log('Success match result:', successMatch);
-    }
-    if (successMatch && successMatch[1] !== 'true') {
-      console.log('EmployeeEmploymentInformation lookup was not successful');
-      return null;
+    // Check if the operation was successful
+    const success = getXMLChildText(resultElement, 'Success');
+    if (success !== null && success !== 'true') {
+      throw createUKGOperationError(resultElement, 'EmployeeEmploymentInformation');
     }
     
-    // Look for the Results block containing employment information data - try both namespace formats
-    let resultsMatch = resultBlock.match(/<b:Results>(.*?)<\/b:Results>/s);
-    if (!resultsMatch) {
-      resultsMatch = resultBlock.match(/<Results>(.*?)<\/Results>/s);
-    }
-    if (debugMode) {
-      console.log('Results match found:', !!resultsMatch);
-      if (resultsMatch) {
-        console.log('Results content preview:', resultsMatch[1].substring(0, 200));
-      }
-    }
-    if (!resultsMatch) {
-      console.log('No Results found in EmployeeEmploymentInformation response (tried both namespace formats)');
+    // Look for the Results block containing employment information data
+    const resultsElement = findXMLElement(resultElement, 'Results');
+    if (!resultsElement) {
+      log.debug('UKG response has no results', { service: 'EmployeeEmploymentInformation' });
       return null;
     }
 
-    // Look for EmploymentInformation block within Results - try both namespace formats
-    let employmentInfoMatch = resultsMatch[1].match(/<b:EmploymentInformation>(.*?)<\/b:EmploymentInformation>/s);
-    if (!employmentInfoMatch) {
-      employmentInfoMatch = resultsMatch[1].match(/<EmploymentInformation>(.*?)<\/EmploymentInformation>/s);
-    }
-    if (debugMode) {
-      console.log('EmploymentInformation match found:', !!employmentInfoMatch);
-      if (employmentInfoMatch) {
-        console.log('EmploymentInformation content preview:', employmentInfoMatch[1].substring(0, 200));
-      }
-    }
-    if (!employmentInfoMatch) {
-      console.log('No EmploymentInformation found in Results (tried both namespace formats)');
+    // Look for EmploymentInformation block within Results
+    const employmentInfoElement = findXMLElement(resultsElement, 'EmploymentInformation');
+    if (!employmentInfoElement) {
+      log.debug('No EmploymentInformation found in Results');
       return null;
     }
 
-    const employmentData = employmentInfoMatch[1];
-    
-    if (debugMode) {
-      console.log(`*** EMPLOYMENT DATA TO PARSE (first 500 chars): ${employmentData.substring(0, 500)} ***`);
-    }
-    
+    const employmentData = xmlText.slice(employmentInfoElement.start, employmentInfoElement.end);
+
     // Extract employment details
-    const fields = {};
-    
-    // Employment information patterns - try both with and without namespace prefix
-    const patternNames = [
-      'employmentStatus', 'status', 'employeeStatus', 'employeeStatusCode', 'statusCode',
-      'hireDate', 'startDate', 'employmentStartDate', 'terminationDate', 'endDate', 'employmentEndDate', 'lastWorkDate',
-      'jobTitle', 'title', 'position', 'department', 'departmentCode',
-      'employmentType', 'employeeType', 'workerType',
-      'isActive', 'active',
-      'employeeId', 'employeeNumber', 'companyCode'
-    ];
-    
-    // Function to try both namespace formats
-    function extractFieldValue(data, fieldName) {
-      const capitalizedField = fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
-      
-      // Try with b: namespace prefix first
-      let pattern = new RegExp(`<b:${capitalizedField}>([^<]*)<\/b:${capitalizedField}>`, 'i');
-      let match = data.match(pattern);
-      
-      if (!match) {
-        // Try without namespace prefix
-        pattern = new RegExp(`<${capitalizedField}>([^<]*)<\/${capitalizedField}>`, 'i');
-        match = data.match(pattern);
-      }
-      
-      return match && match[1] ? match[1].trim() : null;
-    }
+    const fields = parseEmploymentInformationElement(employmentInfoElement);
     
-    // Extract all available fields
-    for (const fieldName of patternNames) {
-      const value = extractFieldValue(employmentData, fieldName);
-      if (value && value !== '') {
-        fields[fieldName] = value;
-        if (debugMode && fieldName === 'employmentStatus') {
-          console.log(`*** EMPLOYMENT STATUS EXTRACTED: ${fieldName} = ${value} ***`);
-        }
-      } else if (debugMode && fieldName === 'employmentStatus') {
-        console.log(`*** NO MATCH for ${fieldName} ***`);
-        console.log(`*** Employment data preview: ${employmentData.substring(0, 200)} ***`);
-      }
-    }
-    
-    // Special handling for employment status if not found by field extraction
+    // Special handling for employment status if not found inside EmploymentInformation
     if (!fields.employmentStatus) {
       // Try a broader search in the entire XML response
-      let directMatch = xmlText.match(/<b:EmploymentStatus>([^<]*)<\/b:EmploymentStatus>/i);
-      if (!directMatch) {
-        directMatch = xmlText.match(/<EmploymentStatus>([^<]*)<\/EmploymentStatus>/i);
-      }
-      if (directMatch && directMatch[1]) {
-        fields.employmentStatus = directMatch[1].trim();
-        if (debugMode) {
-          console.log(`*** EMPLOYMENT STATUS FOUND BY DIRECT XML SEARCH: ${directMatch[1]} ***`);
-        }
+      const directStatus = getXMLChildText(xmlDocument, 'EmploymentStatus');
+      if (directStatus) {
+        fields.employmentStatus = directStatus;
+        log.debug('Employment status found outside EmploymentInformation', { employmentStatus: directStatus });
       }
     }
     
     // In debug mode, extract ALL fields from the employment data
     if (debugMode) {
-      fields.allDetectedFields = extractAllFieldsFromBlock(employmentData);
-      fields.rawEmploymentData = `<EmploymentInformation>${employmentData}</EmploymentInformation>`;
+      fields.allDetectedFields = extractAllFieldsFromBlock(employmentInfoElement);
+      fields.rawEmploymentData = employmentData;
     }
     
     // Log what we found
     const foundFields = Object.keys(fields).filter(key => !['allDetectedFields', 'rawEmploymentData'].includes(key));
-    console.log(`Extracted employment fields: ${foundFields.join(', ')}`);
-
-    if (fields.employmentStatus) {
-      console.log(`*** EMPLOYMENT STATUS FOUND: ${fields.employmentStatus} ***`);
-    }
-    if (fields.terminationDate) {
-      console.log(`*** TERMINATION DATE FOUND: ${fields.terminationDate} ***`);
-    }
-
-    console.log('=== END EMPLOYEEEMPLOYMENTINFORMATION SERVICE RESPONSE ===\n');
+    log.debug('Extracted employment fields', {
+      companyCode,
+      employeeNumber,
+      fields: foundFields,
+      employmentStatus: fields.employmentStatus || null
+    });
 
     // Always return the employment data if we have any fields or if the service call was successful
     return {
@@ -653,119 +6199,420 @@ function parseEmploymentInformationDetailsFromXML(xmlText, companyCode, employee
     };
     
   } catch (error) {
-    console.error('Error parsing EmployeeEmploymentInformation XML response:', error);
+    if (error instanceof UKGError) {
+      throw error;
+    }
+    log.error('Failed to parse EmployeeEmploymentInformation response', errorLogFields(error));
+    if (error instanceof XMLParseError) {
+      throw toUKGError(error, 'EmployeeEmploymentInformation');
+    }
     return null;
   }
 }
 
 /**
- * Parse single user XML response from GetSsoUserByClientUserName
+ * Extract the employment fields from one EmploymentInformation element
+ * (matched by local name, whatever the namespace prefix)
+ */
+function parseEmploymentInformationElement(employmentInfoElement) {
+  const fieldNames = [
+    'employmentStatus', 'status', 'employeeStatus', 'employeeStatusCode', 'statusCode',
+    'statusReason', 'employmentStatusReason', 'terminationReason', 'leaveReason',
+    'hireDate', 'startDate', 'employmentStartDate', 'terminationDate', 'endDate', 'employmentEndDate', 'lastWorkDate',
+    'leaveStartDate', 'leaveEndDate', 'expectedReturnDate',
+    'jobTitle', 'title', 'position', 'department', 'departmentCode',
+    'employmentType', 'employeeType', 'workerType',
+    'isActive', 'active', 'isPrimaryCompany', 'primaryCompany',
+    'employeeId', 'employeeNumber', 'companyCode'
+  ];
+
+  const fields = {};
+  for (const fieldName of fieldNames) {
+    const value = getXMLChildText(employmentInfoElement, fieldName);
+    if (value) {
+      fields[fieldName] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Flatten every leaf element below an element into { "Parent.Child": value } for debug output
+ * (nil elements map to null, repeated elements get an index suffix)
+ */
+function extractAllFieldsFromBlock(element, prefix = '', fields = {}) {
+  const occurrences = {};
+  for (const child of element.children) {
+    const occurrence = occurrences[child.localName] = (occurrences[child.localName] || 0) + 1;
+    const name = occurrence > 1 ? `${child.localName}[${occurrence - 1}]` : child.localName;
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (child.children.length > 0) {
+      extractAllFieldsFromBlock(child, key, fields);
+    } else {
+      fields[key] = getXMLText(child);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse single user XML response from GetSsoUserByClientUserName (or GetSsoUserByEmployeeIdentifier)
  */
-function parseSingleUserFromXML(xmlText, emailToSearch) {
+function parseSingleUserFromXML(xmlText, emailToSearch, resultElementName = 'GetSsoUserByClientUserNameResult') {
   try {
-    console.log(`Parsing single user response for: ${emailToSearch}`);
+    const xmlDocument = parseXML(xmlText);
     
-    // Look for the single SsoUser result - try both namespace formats
-    let ssoUserMatch = xmlText.match(/<b:GetSsoUserByClientUserNameResult>(.*?)<\/b:GetSsoUserByClientUserNameResult>/s);
-    if (!ssoUserMatch) {
-      ssoUserMatch = xmlText.match(/<GetSsoUserByClientUserNameResult[^>]*>(.*?)<\/GetSsoUserByClientUserNameResult>/s);
-    }
-    if (!ssoUserMatch) {
-      console.log('No GetSsoUserByClientUserNameResult found in response (tried both namespace formats)');
+    // Look for the single SsoUser result (any namespace prefix)
+    const resultElement = findXMLElement(xmlDocument, resultElementName);
+    if (!resultElement) {
+      log.warn('UKG response has no result element', { service: 'EmployeeSsoUser', operation: resultElementName });
       return null;
     }
     
-    const resultBlock = ssoUserMatch[1];
-    
-    // Check if the operation was successful - try both namespace formats
-    let successMatch = resultBlock.match(/<b:Success>([^<]+)<\/b:Success>/);
-    if (!successMatch) {
-      successMatch = resultBlock.match(/<Success>([^<]+)<\/Success>/);
+    // Check if the operation was successful
+    const success = getXMLChildText(resultElement, 'Success');
+    if (success !== null && success !== 'true') {
+      throw createUKGOperationError(resultElement, 'EmployeeSsoUser');
     }
-    if (successMatch && successMatch[1] !== 'true') {
-      console.log('SSO User lookup was not successful');
+    
+    // Extract the SsoUser from Results - an empty or nil Results block means no user
+    const resultsElement = findXMLElement(resultElement, 'Results');
+    if (!resultsElement || resultsElement.isNil || resultsElement.children.length === 0) {
+      log.debug('UKG response has no results', { service: 'EmployeeSsoUser' });
       return null;
     }
     
-    // Extract the SsoUser from Results - try both namespace formats
-    let ssoUserDataMatch = resultBlock.match(/<b:Results>(.*?)<\/b:Results>/s);
-    if (!ssoUserDataMatch) {
-      ssoUserDataMatch = resultBlock.match(/<Results>(.*?)<\/Results>/s);
+    // An email can map to several employee records (one SsoUser per company) - parse them all
+    const users = resultsElement.children.map(ssoUserElement => parseSsoUserElement(ssoUserElement, emailToSearch));
+    return users.length === 1 ? users[0] : users;
+
+  } catch (error) {
+    if (error instanceof UKGError) {
+      throw error;
     }
-    if (!ssoUserDataMatch) {
-      console.log('No Results found in response (tried both namespace formats)');
-      return null;
+    log.error('Failed to parse EmployeeSsoUser response', errorLogFields(error));
+    if (error instanceof XMLParseError) {
+      throw toUKGError(error, 'EmployeeSsoUser');
     }
-    
-    const ssoUserData = ssoUserDataMatch[1];
-    
-    // Helper function to extract field values with flexible namespace handling
-    function extractFieldValue(data, fieldName) {
-      const capitalizedField = fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
-      
-      // Try with b: namespace prefix first
-      let pattern = new RegExp(`<b:${capitalizedField}>([^<]*)<\/b:${capitalizedField}>`, 'i');
-      let match = data.match(pattern);
-      
-      if (!match) {
-        // Try without namespace prefix
-        pattern = new RegExp(`<${capitalizedField}>([^<]*)<\/${capitalizedField}>`, 'i');
-        match = data.match(pattern);
+    return null;
+  }
+}
+
+/**
+ * Extract the user fields from one SsoUser element
+ */
+function parseSsoUserElement(ssoUserElement, emailToSearch) {
+  const extractFieldValue = (element, fieldName) => getXMLChildText(element, fieldName) || '';
+  
+  // Extract SSO user fields
+  const clientUserName = extractFieldValue(ssoUserElement, 'clientUserName');
+  const ultiProUserName = extractFieldValue(ssoUserElement, 'ultiProUserName');
+  const status = extractFieldValue(ssoUserElement, 'status');
+  
+  // Extract employee identifier info
+  const employeeIdElement = findXMLElement(ssoUserElement, 'EmployeeIdentifier');
+  
+  let companyCode = '';
+  let employeeNumber = '';
+  let firstName = '';
+  let lastName = '';
+  
+  if (employeeIdElement) {
+    companyCode = extractFieldValue(employeeIdElement, 'companyCode');
+    employeeNumber = extractFieldValue(employeeIdElement, 'employeeNumber');
+  }
+  
+  // Try to extract names from various possible locations
+  firstName = extractFieldValue(ssoUserElement, 'firstName') || 
+              extractFieldValue(ssoUserElement, 'givenName') || 
+              extractFieldValue(ssoUserElement, 'firstNm') || '';
+              
+  lastName = extractFieldValue(ssoUserElement, 'lastName') || 
+             extractFieldValue(ssoUserElement, 'surname') || 
+             extractFieldValue(ssoUserElement, 'lastNm') || 
+             extractFieldValue(ssoUserElement, 'familyName') || '';
+  
+  // Note: GetSsoUserByClientUserName might not return first/last name directly
+  // We may need to get that from a separate call or it might be in a different location
+  
+  const result = {
+    employeeNumber: employeeNumber,
+    companyCode: companyCode,
+    firstName: firstName,
+    lastName: lastName,
+    status: status || '1',
+    clientUserName: clientUserName || emailToSearch,
+    ultiProUserName: ultiProUserName || emailToSearch
+  };
+  
+  log.debug('Found SSO user', { companyCode: result.companyCode, employeeNumber: result.employeeNumber, status: result.status });
+  return result;
+}
+
+/**
+ * Minimal namespace-aware XML parser for UKG SOAP responses.
+ * The Workers runtime has no DOMParser, so this builds a lightweight element tree:
+ * { name, prefix, localName, namespaceURI, attributes, children, text, isNil, start, end }
+ * Supports namespace prefixes, CDATA, comments, processing instructions and entity decoding.
+ */
+function parseXML(xmlText) {
+  const documentNode = {
+    name: '#document',
+    prefix: null,
+    localName: '#document',
+    namespaceURI: null,
+    attributes: {},
+    children: [],
+    text: '',
+    isNil: false,
+    namespaces: { xml: XML_NAMESPACE },
+    start: 0,
+    end: xmlText.length
+  };
+  const stack = [documentNode];
+  let position = 0;
+
+  while (position < xmlText.length) {
+    const current = stack[stack.length - 1];
+    const tagStart = xmlText.indexOf('<', position);
+
+    if (tagStart === -1) {
+      appendXMLText(current, decodeXMLEntities(xmlText.slice(position)));
+      break;
+    }
+    if (tagStart > position) {
+      appendXMLText(current, decodeXMLEntities(xmlText.slice(position, tagStart)));
+    }
+
+    if (xmlText.startsWith('<!--', tagStart)) {
+      position = findXMLTerminator(xmlText, '-->', tagStart + 4);
+      continue;
+    }
+    if (xmlText.startsWith('<![CDATA[', tagStart)) {
+      const cdataEnd = findXMLTerminator(xmlText, ']]>', tagStart + 9);
+      appendXMLText(current, xmlText.slice(tagStart + 9, cdataEnd - 3));
+      position = cdataEnd;
+      continue;
+    }
+    if (xmlText.startsWith('<?', tagStart)) {
+      position = findXMLTerminator(xmlText, '?>', tagStart + 2);
+      continue;
+    }
+    if (xmlText.startsWith('<!', tagStart)) {
+      // DOCTYPE declarations are skipped (internal subsets are not supported)
+      position = findXMLTerminator(xmlText, '>', tagStart + 2);
+      continue;
+    }
+
+    const tagEnd = findXMLTagEnd(xmlText, tagStart);
+
+    if (xmlText[tagStart + 1] === '/') {
+      const closingName = xmlText.slice(tagStart + 2, tagEnd).trim();
+      if (stack.length === 1 || closingName !== current.name) {
+        throw new XMLParseError(`Unexpected closing tag </${closingName}>`, tagStart);
       }
-      
-      return match && match[1] ? match[1].trim() : '';
+      current.end = tagEnd + 1;
+      stack.pop();
+      position = tagEnd + 1;
+      continue;
     }
-    
-    // Extract SSO user fields
-    const clientUserName = extractFieldValue(ssoUserData, 'clientUserName');
-    const ultiProUserName = extractFieldValue(ssoUserData, 'ultiProUserName');
-    const status = extractFieldValue(ssoUserData, 'status');
-    
-    // Extract employee identifier info - try both namespace formats
-    let employeeIdMatch = ssoUserData.match(/<b:EmployeeIdentifier[^>]*>(.*?)<\/b:EmployeeIdentifier>/s);
-    if (!employeeIdMatch) {
-      employeeIdMatch = ssoUserData.match(/<EmployeeIdentifier[^>]*>(.*?)<\/EmployeeIdentifier>/s);
+
+    let tagContent = xmlText.slice(tagStart + 1, tagEnd);
+    const selfClosing = tagContent.endsWith('/');
+    if (selfClosing) {
+      tagContent = tagContent.slice(0, -1);
     }
-    
-    let companyCode = '';
-    let employeeNumber = '';
-    let firstName = '';
-    let lastName = '';
-    
-    if (employeeIdMatch) {
-      const empIdBlock = employeeIdMatch[1];
-      companyCode = extractFieldValue(empIdBlock, 'companyCode');
-      employeeNumber = extractFieldValue(empIdBlock, 'employeeNumber');
+
+    const nameMatch = tagContent.match(/^[^\s/>]+/);
+    if (!nameMatch) {
+      throw new XMLParseError('Element without a name', tagStart);
     }
-    
-    // Try to extract names from various possible locations
-    firstName = extractFieldValue(ssoUserData, 'firstName') || 
-                extractFieldValue(ssoUserData, 'givenName') || 
-                extractFieldValue(ssoUserData, 'firstNm') || '';
-                
-    lastName = extractFieldValue(ssoUserData, 'lastName') || 
-               extractFieldValue(ssoUserData, 'surname') || 
-               extractFieldValue(ssoUserData, 'lastNm') || 
-               extractFieldValue(ssoUserData, 'familyName') || '';
-    
-    // Note: GetSsoUserByClientUserName might not return first/last name directly
-    // We may need to get that from a separate call or it might be in a different location
-    
-    const result = {
-      employeeNumber: employeeNumber,
-      companyCode: companyCode,
-      firstName: firstName,
-      lastName: lastName,
-      status: status || '1',
-      clientUserName: clientUserName || emailToSearch,
-      ultiProUserName: ultiProUserName || emailToSearch
-    };
-    
-    console.log(`Found SSO user: Employee ${result.employeeNumber}, Company: ${result.companyCode}, Status: ${result.status}`);
-    return result;
-    
-  } catch (error) {
-    console.error('Error parsing single user XML:', error);
+
+    const element = createXMLElement(nameMatch[0], tagContent.slice(nameMatch[0].length), current, tagStart);
+    current.children.push(element);
+
+    if (selfClosing) {
+      element.end = tagEnd + 1;
+    } else {
+      stack.push(element);
+    }
+    position = tagEnd + 1;
+  }
+
+  if (stack.length > 1) {
+    throw new XMLParseError(`Unclosed element <${stack[stack.length - 1].name}>`, xmlText.length);
+  }
+
+  return documentNode;
+}
+
+/**
+ * Create an element node, resolving its namespace from xmlns declarations in scope
+ */
+function createXMLElement(name, attributeText, parent, start) {
+  const namespaces = Object.create(parent.namespaces);
+  const attributes = {};
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let attributeMatch;
+
+  while ((attributeMatch = attributePattern.exec(attributeText)) !== null) {
+    const attributeName = attributeMatch[1];
+    const attributeValue = decodeXMLEntities(attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3]);
+    attributes[attributeName] = attributeValue;
+
+    if (attributeName === 'xmlns') {
+      namespaces[''] = attributeValue;
+    } else if (attributeName.startsWith('xmlns:')) {
+      namespaces[attributeName.slice(6)] = attributeValue;
+    }
+  }
+
+  const separatorIndex = name.indexOf(':');
+  const prefix = separatorIndex === -1 ? null : name.slice(0, separatorIndex);
+  const localName = separatorIndex === -1 ? name : name.slice(separatorIndex + 1);
+
+  // xsi:nil="true" marks an explicitly empty value, whatever prefix is bound to the XSI namespace
+  const isNil = Object.keys(attributes).some(attributeName => {
+    const attributeSeparator = attributeName.indexOf(':');
+    if (attributeSeparator === -1 || attributeName.slice(attributeSeparator + 1) !== 'nil') {
+      return false;
+    }
+    return namespaces[attributeName.slice(0, attributeSeparator)] === XSI_NAMESPACE && attributes[attributeName] === 'true';
+  });
+
+  return {
+    name,
+    prefix,
+    localName,
+    namespaceURI: namespaces[prefix || ''] || null,
+    attributes,
+    children: [],
+    text: '',
+    isNil,
+    namespaces,
+    start,
+    end: null
+  };
+}
+
+/**
+ * Find the index of the closing '>' of a tag, ignoring any '>' inside quoted attribute values
+ */
+function findXMLTagEnd(xmlText, tagStart) {
+  let quote = null;
+  for (let index = tagStart + 1; index < xmlText.length; index++) {
+    const character = xmlText[index];
+    if (quote) {
+      if (character === quote) {
+        quote = null;
+      }
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '>') {
+      return index;
+    }
+  }
+  throw new XMLParseError('Unterminated tag', tagStart);
+}
+
+/**
+ * Return the position just after `terminator`, or throw if the construct is never closed
+ */
+function findXMLTerminator(xmlText, terminator, fromIndex) {
+  const index = xmlText.indexOf(terminator, fromIndex);
+  if (index === -1) {
+    throw new XMLParseError(`Missing "${terminator}"`, fromIndex);
+  }
+  return index + terminator.length;
+}
+
+/**
+ * Append character data to an element (whitespace outside the root element is ignored)
+ */
+function appendXMLText(node, text) {
+  if (node.localName === '#document') {
+    if (text.trim()) {
+      throw new XMLParseError('Text outside of the root element');
+    }
+    return;
+  }
+  node.text += text;
+}
+
+/**
+ * Decode predefined XML entities and numeric character references
+ */
+function decodeXMLEntities(text) {
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const isHex = entity[1] === 'x' || entity[1] === 'X';
+      const codePoint = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+    }
+    return Object.prototype.hasOwnProperty.call(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Find the first descendant element with the given local name (case-insensitive),
+ * optionally restricted to a namespace URI
+ */
+function findXMLElement(node, localName, namespaceURI = null) {
+  if (!node) {
+    return null;
+  }
+  const wantedName = localName.toLowerCase();
+  for (const child of node.children) {
+    if (child.localName.toLowerCase() === wantedName && (!namespaceURI || child.namespaceURI === namespaceURI)) {
+      return child;
+    }
+    const nestedMatch = findXMLElement(child, localName, namespaceURI);
+    if (nestedMatch) {
+      return nestedMatch;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find all descendant elements with the given local name (case-insensitive)
+ */
+function findXMLElements(node, localName, namespaceURI = null) {
+  const matches = [];
+  if (!node) {
+    return matches;
+  }
+  const wantedName = localName.toLowerCase();
+  for (const child of node.children) {
+    if (child.localName.toLowerCase() === wantedName && (!namespaceURI || child.namespaceURI === namespaceURI)) {
+      matches.push(child);
+    }
+    matches.push(...findXMLElements(child, localName, namespaceURI));
+  }
+  return matches;
+}
+
+/**
+ * Get the trimmed text of an element; null when the element is missing or xsi:nil
+ */
+function getXMLText(element) {
+  if (!element || element.isNil) {
     return null;
   }
+  return element.text.trim();
+}
+
+/**
+ * Get the text of the first descendant element with the given local name
+ */
+function getXMLChildText(node, localName, namespaceURI = null) {
+  return getXMLText(findXMLElement(node, localName, namespaceURI));
 }
+
+// Internal helpers covered by the unit tests in test/
+export {
+  parseXML, findXMLElement, findXMLElements, getXMLText, getXMLChildText,
+  xml, rawXml, escapeXml, buildSoapEnvelope, isValidEmail, isValidEmployeeIdentifier,
+  sendSoapRequest, detectEmployeeChanges
+};